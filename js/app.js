@@ -6,15 +6,22 @@
 import { FormHandler } from './modules/form-handler.js';
 import { SingleChart } from './modules/single-chart.js';
 import { GunghapModule } from './modules/gunghap-module.js';
+import { CalendarModule } from './modules/calendar-module.js';
+import { PillarSearchModule } from './modules/pillar-search-module.js';
+import { RectificationModule } from './modules/rectification-module.js';
 import { BirthMoment } from './models/birth-moment.js';
 import { appState } from './core/state.js';
 import { LOCATIONS } from './modules/longitude-correction.js';
+import { verifySolarTermTable } from './lib/sajuwiki/calculator.js';
 
 class SinsajuApp {
   constructor() {
     this.singleChart = null;
     this.formHandler = null;
     this.gunghapModule = null;
+    this.calendarModule = null;
+    this.pillarSearchModule = null;
+    this.rectificationModule = null;
   }
 
   init() {
@@ -29,16 +36,38 @@ class SinsajuApp {
     this.singleChart = new SingleChart();
     this.gunghapModule = new GunghapModule();
 
-    // Single person form
-    this.formHandler = new FormHandler('saju-form', (data) => {
-      try {
-        this.singleChart.analyze(data);
-      } catch (err) {
-        console.error('Analysis failed:', err);
-        alert('분석 중 오류가 발생했습니다: ' + err.message);
+    // 만세력 달력: 날짜를 누르면 개인 분석 입력란을 채우고 탭 전환
+    this.calendarModule = new CalendarModule('manse-calendar', {
+      onSelectDay: (date) => {
+        this.formHandler.fill(date);
+        this._switchTab('single');
+        document.getElementById('in-hour')?.focus();
+      }
+    });
+
+    // 사주 역산: 고른 구간의 시각은 이미 사주 기준 시각이므로 보정 없이 분석
+    this.pillarSearchModule = new PillarSearchModule('pillar-search', {
+      onSelect: (moment) => {
+        this.formHandler.fill(moment);
+        this._switchTab('single');
+        const data = this.formHandler.getData();
+        if (data) this._analyze({ ...data, noCorrection: true });
+      }
+    });
+
+    // 출생 시각 보정: 고른 후보는 시계 시각이므로 평소처럼 보정해 분석
+    this.rectificationModule = new RectificationModule('rectification', {
+      onSelect: (moment) => {
+        this.formHandler.fill(moment);
+        const data = this.formHandler.getData();
+        if (data) this._analyze(data);
+        document.getElementById('results')?.scrollIntoView({ behavior: 'smooth' });
       }
     });
 
+    // Single person form
+    this.formHandler = new FormHandler('saju-form', (data) => this._analyze(data));
+
     // Tab navigation
     document.querySelectorAll('.tab-btn').forEach(btn => {
       btn.addEventListener('click', () => this._switchTab(btn.dataset.tab));
@@ -84,9 +113,30 @@ class SinsajuApp {
       gunghapBtn.addEventListener('click', () => this._runGunghap());
     }
 
+    // ?verify-terms: 절기표·KASI 기준표를 천문 엔진으로 다시 계산해 콘솔에 보고
+    if (new URLSearchParams(window.location.search).has('verify-terms')) {
+      this._verifySolarTerms();
+    }
+
     console.log('신(新) 만세력 initialized');
   }
 
+  _verifySolarTerms() {
+    const { checked, drift, reference } = verifySolarTermTable();
+    console.log(`절기표 검증: ${checked}개 중 ${drift.length}개 차이`, drift);
+    console.log(`KASI 기준표 검증: ${reference.checked}개, 최대 오차 ${reference.maxDiffMinutes}분, 실패 ${reference.failures.length}개`, reference.failures);
+  }
+
+  _analyze(data) {
+    try {
+      this.singleChart.analyze(data);
+      if (!data.pillars) this.rectificationModule.setBirth(data);
+    } catch (err) {
+      console.error('Analysis failed:', err);
+      alert('분석 중 오류가 발생했습니다: ' + [err.message, err.details?.reason].filter(Boolean).join(' '));
+    }
+  }
+
   _switchTab(tabId) {
     document.querySelectorAll('.tab-btn').forEach(b => b.classList.remove('active'));
     document.querySelectorAll('.tab-content').forEach(c => c.style.display = 'none');
@@ -95,6 +145,11 @@ class SinsajuApp {
     const content = document.getElementById(`tab-${tabId}`);
     if (btn) btn.classList.add('active');
     if (content) content.style.display = '';
+
+    // 달력은 처음 열 때 그린다
+    if (tabId === 'calendar' && !this.calendarModule.rendered) {
+      this.calendarModule.render();
+    }
   }
 
   _runGunghap() {
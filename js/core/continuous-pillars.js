@@ -10,7 +10,8 @@
  */
 
 import { clamp, normalizeAngle } from '../utils/math.js';
-import { computeContinuousSnapshot } from './trig-engine.js';
+import { computeContinuousSnapshot, toEpochMs } from './trig-engine.js';
+import { JASI_CONVENTIONS, DEFAULT_JASI } from '../lib/sajuwiki/constants.js';
 
 // ===================================================================
 // Blend Primitives
@@ -54,38 +55,38 @@ function normalizeAngleSigned(deg) {
 // ===================================================================
 
 /**
- * Compute the day-pillar blend factor for births during 자시.
+ * Compute the day-pillar blend factor for births near the 자시 day change.
  *
- * In traditional saju, 자시 (23:00-01:00) spans two calendar days.
- * Births at 23:00 belong to the next day's pillar, but this creates
- * a hard discontinuity. This function returns a smooth blend:
+ * Where the day pillar flips depends on the 자시 convention:
+ *   - 정자시 (jeong): at 23:00, so 자시 already belongs to the next day
+ *   - 야자시/조자시 (ya): at midnight, splitting 자시 across two days
  *
- *   23:00 -> 0.0 (fully current day)
- *   00:00 -> 0.5 (equal blend)
- *   01:00 -> 1.0 (fully next day -- but in practice 01:00 is already
- *            past 자시, so blend stays at 1 which means "next day confirmed")
+ * The flip is a hard discontinuity, so this returns a smooth blend over
+ * the hour either side of it:
  *
- * Outside the 23:00-01:00 window, returns 0 (no blending needed).
+ *   flip - 1h -> 0.0 (fully current day)
+ *   flip      -> 0.5 (equal blend)
+ *   flip + 1h -> 1.0 (fully next day)
+ *
+ * Outside that two-hour window, returns 0 (no blending needed).
  *
  * @param {number} hour - birth hour (0-23)
  * @param {number} minute - birth minute (0-59)
+ * @param {string} [jasi=DEFAULT_JASI] - 자시 convention key (JASI_CONVENTIONS)
  * @returns {{ blend: number, smoothBlend: number, needsBlend: boolean }}
  */
-export function hourDayBlend(hour, minute) {
+export function hourDayBlend(hour, minute, jasi = DEFAULT_JASI) {
   const totalMinutes = hour * 60 + minute;
+  const flipMinutes = (JASI_CONVENTIONS[jasi] ?? JASI_CONVENTIONS[DEFAULT_JASI]).dayChangeHour * 60;
 
-  // 자시 window: 23:00 (1380 min) to 01:00 (60 min next day)
+  // Minutes since the window opened (flip - 60), wrapped across midnight
   // Total window = 120 minutes
+  const sinceOpen = ((totalMinutes - (flipMinutes - 60)) % 1440 + 1440) % 1440;
   let blend;
   let needsBlend;
 
-  if (hour >= 23) {
-    // 23:00 ~ 23:59: 0.0 to ~0.5
-    blend = (totalMinutes - 23 * 60) / 120;
-    needsBlend = true;
-  } else if (hour < 1) {
-    // 00:00 ~ 00:59: ~0.5 to ~1.0
-    blend = (totalMinutes + 60) / 120;
+  if (sinceOpen < 120) {
+    blend = sinceOpen / 120;
     needsBlend = true;
   } else {
     blend = 0;
@@ -110,7 +111,7 @@ export function hourDayBlend(hour, minute) {
  * When a birth falls in the first or last 10% of a solar-term month,
  * it blends with the adjacent month's pillar.
  *
- * @param {Date|number} birthKST - birth date (KST)
+ * @param {Date|number} birthKST - birth instant (Date or UTC epoch ms)
  * @param {Date|number} curTermDate - start of current solar term
  * @param {Date|number} nextTermDate - start of next solar term
  * @returns {{ fraction: number, blendPrev: number, blendNext: number, phase: string }}
@@ -120,9 +121,9 @@ export function hourDayBlend(hour, minute) {
  *   - phase: "entering" | "stable" | "exiting"
  */
 export function monthBlend(birthKST, curTermDate, nextTermDate) {
-  const birth = typeof birthKST === 'number' ? birthKST : birthKST.getTime();
-  const cur = typeof curTermDate === 'number' ? curTermDate : curTermDate.getTime();
-  const next = typeof nextTermDate === 'number' ? nextTermDate : nextTermDate.getTime();
+  const birth = toEpochMs(birthKST);
+  const cur = toEpochMs(curTermDate);
+  const next = toEpochMs(nextTermDate);
 
   const span = next - cur;
   if (span <= 0) {
@@ -194,10 +195,11 @@ export function yearBlend(birthKST, ipchunThisDate, ipchunNextDate) {
  */
 export function enhanceWithContinuous(discreteResult, hour, minute) {
   // Compute the full continuous snapshot
-  const snapshot = computeContinuousSnapshot(discreteResult, hour, minute);
+  const jasi = discreteResult.jasiConvention ?? DEFAULT_JASI;
+  const snapshot = computeContinuousSnapshot(discreteResult, hour, minute, jasi);
 
   // Compute blend factors
-  const hourDayBlendInfo = hourDayBlend(hour, minute);
+  const hourDayBlendInfo = hourDayBlend(hour, minute + (discreteResult.solarOffsetMinutes ?? 0), jasi);
 
   let monthBlendInfo = { fraction: 0.5, blendPrev: 0, blendNext: 0, phase: 'stable' };
   if (discreteResult.monthTermDates) {
@@ -20,11 +20,11 @@
 import {
   STEM_W, BR_W, BR_EL,
   CHEONGAN_OHENG, CHEONGAN_EUMYANG, BONGI_EUMYANG,
-  JIJI_OHENG,
+  JIJI, JIJI_OHENG,
   STEM_COMBINE, STEM_CLASH,
   BRANCH_COMBINE, BRANCH_CLASH,
   TRIPLE_COMBINE, BANHAP_TABLE, WANGJI,
-  OHENG, TEN_GODS_GROUPED
+  OHENG, TEN_GODS_GROUPED, THRESHOLDS
 } from '../lib/sajuwiki/constants.js';
 
 import { OhengAnalyzer, SajuCalculator } from '../lib/sajuwiki/calculator.js';
@@ -34,8 +34,8 @@ import { ohengStrengthAtAngle } from './trig-engine.js';
 // 운세 기둥 가중치
 // ═══════════════════════════════════════════════════
 
-const FORTUNE_STEM_W = { daeun: 12, saeun: 8, wolun: 4 };
-const FORTUNE_BR_W = { daeun: 18, saeun: 12, wolun: 6 };
+const FORTUNE_STEM_W = { daeun: 12, saeun: 8, wolun: 4, iljin: 2, siun: 1 };
+const FORTUNE_BR_W = { daeun: 18, saeun: 12, wolun: 6, iljin: 3, siun: 1.5 };
 
 /**
  * 운세 ↔ 원국 상호작용 가중치
@@ -51,6 +51,39 @@ const FORTUNE_INTERACTION_W = {
 /** 운세 합(合) 감쇄 계수 (합의 원소 변환에만 적용) */
 const FORTUNE_DAMPEN = 0.35;
 
+/**
+ * 공망 감쇄 계수 (기본값)
+ * 대운·세운 지지가 원국 공망에 들면 그 지지의 가중치에 곱한다.
+ * computeProfile(…, { gongmangFactor })로 바꿀 수 있고, 1이면 감쇄하지 않는다.
+ */
+export const GONGMANG_FACTOR = 0.5;
+
+/**
+ * 공망 설정 (입력 폼의 '공망' 선택)
+ *   day: 일주 기준 공망만 감쇄 (기본)
+ *   both: 일주·년주 기준 공망 모두 (둘 다 들어도 한 번만 감쇄)
+ *   off: 공망은 표시만 하고 가중치는 그대로
+ */
+export const GONGMANG_MODES = {
+  day: { label: '일주 기준 감쇄', gongmangBases: ['day'] },
+  both: { label: '일주·년주 기준 감쇄', gongmangBases: ['day', 'year'] },
+  off: { label: '표시만 (감쇄 안 함)', gongmangBases: ['day'], gongmangFactor: 1 }
+};
+export const DEFAULT_GONGMANG = 'day';
+
+/**
+ * 공망 설정 → computeProfile 옵션
+ * @param {string} [mode=DEFAULT_GONGMANG] - GONGMANG_MODES 키
+ * @returns {{ gongmangFactor: number, gongmangBases: string[] }}
+ */
+export function gongmangScoreOptions(mode = DEFAULT_GONGMANG) {
+  const { gongmangBases, gongmangFactor = GONGMANG_FACTOR } = GONGMANG_MODES[mode] ?? GONGMANG_MODES[DEFAULT_GONGMANG];
+  return { gongmangFactor, gongmangBases };
+}
+
+/** 공망 감쇄를 받는 운세 기둥 */
+const GONGMANG_FORTUNES = ['daeun', 'saeun'];
+
 // ═══════════════════════════════════════════════════
 // 충(衝) 교란 모델 상수
 // ═══════════════════════════════════════════════════
@@ -105,17 +138,21 @@ function _angleToDist(angle) {
  *
  * @param {Object} natalDiscrete - SajuCalculator.calculate() 결과
  * @param {boolean} hasTime - 시간 정보 유무
- * @param {Object} [fortunePillars={}] - { daeun?: idx60, saeun?: idx60, wolun?: idx60 }
+ * @param {Object} [fortunePillars={}] - { daeun?: idx60, saeun?: idx60, wolun?: idx60, iljin?: idx60, siun?: idx60 }
  * @param {Object|null} [natalAngles=null] - { year, month, day, hour } 각 기둥의 연속 각도. null이면 이산 방식 유지.
- * @param {Object|null} [fortuneAngles=null] - { daeun?, saeun?, wolun? } 운세 기둥의 연속 각도. null이면 지지 중심각(bi*30) 사용.
+ * @param {Object|null} [fortuneAngles=null] - { daeun?, saeun?, wolun?, iljin?, siun? } 운세 기둥의 연속 각도. null이면 지지 중심각(bi*30) 사용.
+ * @param {Object} [options={}]
+ * @param {number} [options.gongmangFactor=GONGMANG_FACTOR] - 공망에 든 대운·세운 지지의 가중치 배율
+ * @param {string[]} [options.gongmangBases=['day']] - 공망 기준 기둥 ('day', 'year')
  * @returns {Object} {
  *   oheng: { raw, percent },
  *   sipsung: { raw, percent, grouped },
- *   interactions: [{ type, source, target, desc }],
+ *   interactions: [{ type, source, target, desc }],   // type '공망': source 운세 지지가 target 기둥 기준 공망
  *   total: number
  * }
  */
-export function computeProfile(natalDiscrete, hasTime, fortunePillars = {}, natalAngles = null, fortuneAngles = null) {
+export function computeProfile(natalDiscrete, hasTime, fortunePillars = {}, natalAngles = null, fortuneAngles = null, options = {}) {
+  const { gongmangFactor = GONGMANG_FACTOR, gongmangBases = ['day'] } = options;
   const natalPositions = hasTime
     ? ['hour', 'day', 'month', 'year']
     : ['day', 'month', 'year'];
@@ -137,7 +174,7 @@ export function computeProfile(natalDiscrete, hasTime, fortunePillars = {}, nata
   }
 
   const fortunePositions = [];
-  for (const fp of ['daeun', 'saeun', 'wolun']) {
+  for (const fp of ['daeun', 'saeun', 'wolun', 'iljin', 'siun']) {
     if (fortunePillars[fp] == null) continue;
     const idx60 = fortunePillars[fp];
     const si = idx60 % 10;
@@ -152,6 +189,19 @@ export function computeProfile(natalDiscrete, hasTime, fortunePillars = {}, nata
 
   const allPositions = [...natalPositions, ...fortunePositions];
   const interactions = [];
+
+  // 공망: 원국 순에서 빠진 지지에 든 대운·세운은 힘을 덜 쓴다 (기준이 여럿이어도 한 번만 감쇄)
+  for (const fp of fortunePositions) {
+    if (!GONGMANG_FORTUNES.includes(fp)) continue;
+    let voided = false;
+    for (const basis of gongmangBases) {
+      const voids = SajuCalculator.getGongmang(natalDiscrete.idxs[basis]);
+      if (!voids.includes(bd[fp].bi)) continue;
+      if (!voided) bd[fp].w *= gongmangFactor;
+      voided = true;
+      interactions.push({ type: '공망', source: fp, target: basis, desc: `${voids.map(b => JIJI[b]).join('')}공망` });
+    }
+  }
   const clashEvents = []; // 충 교란 이벤트 수집
 
   // 이미 합(合)된 위치 추적 — 합된 간지는 운세에서 추가 합 불가
@@ -381,6 +431,28 @@ export function computeProfile(natalDiscrete, hasTime, fortunePillars = {}, nata
   };
 }
 
+/**
+ * 운세 프로필의 조후 충족도.
+ * 원국의 조후용신 오행이 운세로 얼마나 늘었는지, 원국에서 급하던 조후가
+ * 이 운에서 풀리는지(기후 오행이 THRESHOLDS.JOHU_MIN 이상)를 본다.
+ *
+ * @param {Object} profile - computeProfile() 결과 (운세 적용)
+ * @param {Object} natal - computeProfile() 결과 (원국)
+ * @param {Object} johu - YongsinAnalyzer.calculate().조후
+ * @returns {{ el, percent, delta, relieved }}
+ *   relieved: 원국 조후가 급한데(urgent) 이 운에서 기후 오행(need)이 기준 이상
+ */
+export function scoreJohu(profile, natal, johu) {
+  const el = johu.용신;
+  const percent = profile.oheng.percent[el];
+  return {
+    el,
+    percent,
+    delta: Math.round((percent - natal.oheng.percent[el]) * 10) / 10,
+    relieved: johu.urgent && profile.oheng.percent[johu.need] >= THRESHOLDS.JOHU_MIN
+  };
+}
+
 // ═══════════════════════════════════════════════════
 // 충 교란 계산
 // ═══════════════════════════════════════════════════
@@ -6,9 +6,14 @@
  * 각 시점에서 활성 대운 + 세운 (+ 월운)을 반영한 통합 프로필을 산출.
  */
 
-import { computeProfile } from './fortune-scorer.js';
-import { REF_YEAR, REF_YEAR_IDX, YUKSHIP_GAPJA, OHENG } from '../lib/sajuwiki/constants.js';
-import { WolunCalculator } from '../lib/sajuwiki/calculator.js';
+import { computeProfile, scoreJohu } from './fortune-scorer.js';
+import { REF_YEAR, REF_YEAR_IDX, YUKSHIP_GAPJA, OHENG, DEFAULT_AGE_SYSTEM } from '../lib/sajuwiki/constants.js';
+import { SajuCalculator, WolunCalculator, IljinCalculator, SiunCalculator, ShinsalAnalyzer, YongsinAnalyzer, ageAt } from '../lib/sajuwiki/calculator.js';
+import { AstronomyUtils } from '../lib/sajuwiki/astronomy.js';
+import { timeToHourAngle } from './trig-engine.js';
+
+/** 대운 한 칸의 길이 (10 회귀년, ms) — 다음 교운을 모를 때의 끝 시각 */
+export const DAEUN_SPAN_MS = 10 * 365.2422 * 864e5;
 
 // ═══════════════════════════════════════════════════
 // 대운 연속 각도 계산
@@ -23,51 +28,121 @@ import { WolunCalculator } from '../lib/sajuwiki/calculator.js';
  * 순행(forward): 각도 증가 방향으로 이동
  * 역행(backward): 각도 감소 방향으로 이동
  *
- * @param {number} koreanAge - 현재 한국 나이
- * @param {Object} activeDaeun - 활성 대운 { idx, age, ... }
+ * 시각(Date)을 주고 대운에 교운 시각(start)이 있으면 교운 순간부터의
+ * 경과 시간으로, 아니면 세는 나이로 진행도를 잰다.
+ *
+ * @param {number|Date} at - 현재 세는 나이 또는 시각
+ * @param {Object} activeDaeun - 활성 대운 { idx, koreanAge, start, ... }
  * @param {boolean} forward - 순행(true) / 역행(false)
  * @returns {number} 연속 각도 (0-360)
  */
-export function computeDaeunAngle(koreanAge, activeDaeun, forward) {
+export function computeDaeunAngle(at, activeDaeun, forward) {
   const bi = activeDaeun.idx % 12;
   const center = bi * 30;
-  const dAge = activeDaeun.age ?? activeDaeun.startAge ?? 1;
-  const fraction = Math.max(0, Math.min(1, (koreanAge - dAge) / 10));
+  let progress;
+  if (at instanceof Date && activeDaeun.start) {
+    progress = (at.getTime() - activeDaeun.start.getTime()) / DAEUN_SPAN_MS;
+  } else {
+    const dAge = activeDaeun.koreanAge ?? activeDaeun.age ?? activeDaeun.startAge ?? 1;
+    progress = (at - dAge) / 10;
+  }
+  const fraction = Math.max(0, Math.min(1, progress));
   const dir = forward ? 1 : -1;
   const angle = center + (fraction - 0.5) * 30 * dir;
   return ((angle % 360) + 360) % 360;
 }
 
+/** 시각 → 연 단위 위치 (그 해 7월 1일 KST = 정수 연도) */
+function yearPosition(at) {
+  const { year } = AstronomyUtils.dateToCivil(at);
+  const mid = AstronomyUtils.civilToDate(year, 7, 1).getTime();
+  const span = mid - AstronomyUtils.civilToDate(year - 1, 7, 1).getTime();
+  return year + (at.getTime() - mid) / span;
+}
+
+/**
+ * 시각 at에 걸린 대운.
+ * 교운 시각(start)이 있으면 그 순간에 바꾸고, 없으면 at이 속한 해의 세는 나이로 찾는다.
+ *
+ * @param {Array} daeunList - DaeunCalculator.calculate().list
+ * @param {Date} at
+ * @param {number} [birthYear] - 교운 시각이 없을 때 세는 나이 계산용
+ * @returns {Object|null} 대운 항목 (첫 교운 전이면 null)
+ */
+export function findActiveDaeun(daeunList, at, birthYear) {
+  const koreanAge = AstronomyUtils.dateToCivil(at).year - birthYear + 1;
+  for (let i = daeunList.length - 1; i >= 0; i--) {
+    const d = daeunList[i];
+    const dAge = d.koreanAge ?? d.age;
+    if (d.start ? at.getTime() >= d.start.getTime() : (dAge != null && koreanAge >= dAge)) return d;
+  }
+  return null;
+}
+
+/**
+ * 표본 시각의 대운 기둥과 연속 각도.
+ * 교운 시각을 아는 대운 데이터가 있으면 표본마다 다시 찾고,
+ * 없으면 호출자가 정한 고정 대운(daeunIdx, daeunAngle)을 쓴다.
+ */
+function daeunAt(daeunData, at, daeunIdx, daeunAngle) {
+  const list = daeunData?.list;
+  if (!at || !list?.[0]?.start) return { idx: daeunIdx, angle: daeunAngle };
+  const d = findActiveDaeun(list, at);
+  return d
+    ? { idx: d.idx, angle: computeDaeunAngle(at, d, daeunData.forward ?? true) }
+    : { idx: null, angle: null };
+}
+
+/** 운세 기둥·각도에 대운을 더한다 */
+function addDaeun(fortunePillars, fortuneAngles, daeun) {
+  if (daeun.idx == null) return;
+  fortunePillars.daeun = daeun.idx;
+  if (daeun.angle != null) fortuneAngles.daeun = daeun.angle;
+}
+
 /**
  * 연도별 시계열 데이터를 생성한다.
+ * 각 해는 7월 1일(KST)을 표본으로 대운을 정하므로, 교운 시각이 있으면
+ * 교운이 그 해 상반기면 그 해부터, 하반기면 다음 해부터 새 대운이다.
+ * age는 대운 데이터의 나이 표기(ageSystem)를 따른다 (만 나이는 그 해 생일 이후).
  *
  * @param {Object} natalDiscrete - SajuCalculator.calculate() 결과
  * @param {boolean} hasTime - 시간 정보 유무
  * @param {Object} daeunData - DaeunCalculator.calculate() 결과
- *   { list: [{idx, age, calYear, ...}], startAge, startYear, forward }
+ *   { list: [{idx, age, koreanAge, calYear, start, ...}], startAge, startYear, forward, ageSystem }
  * @param {number} birthYear - 출생 연도
  * @param {number} startYear - 시작 연도
  * @param {number} endYear - 종료 연도
+ * @param {Object|null} [natalAngles=null]
+ * @param {Object} [scoreOptions={}] - computeProfile 옵션 (gongmangFactor, gongmangBases)
  * @returns {Object} {
  *   natal: { oheng, sipsung },
- *   yearly: [{ year, age, daeun, saeun, oheng, sipsung, interactions, delta }],
- *   daeunBoundaries: [{ year, pillar, idx }]
+ *   ageSystem,
+ *   yearly: [{ year, age, daeun, saeun, oheng, sipsung, interactions, shinsal, johu, delta }],
+ *   // interactions: 합충 외에 대운·세운 지지가 공망에 들면 type '공망'
+ *   // shinsal: 대운·세운 기둥에 드는 신살 (ShinsalAnalyzer.detectFortune)
+ *   // johu: 원국 조후용신의 운세 충족도 (scoreJohu)
+ *   daeunBoundaries: [{ year, start, position, pillar, idx }]
+ *   // position: 차트 X 위치 (연 단위, 각 해의 표본인 7월 1일이 정수)
  * }
  */
 export function generateFortuneTimeSeries(
-  natalDiscrete, hasTime, daeunData, birthYear, startYear, endYear, natalAngles = null
+  natalDiscrete, hasTime, daeunData, birthYear, startYear, endYear, natalAngles = null, scoreOptions = {}
 ) {
   // 원국 기준선 (운세 없이 순수 원국만)
   const natal = computeProfile(natalDiscrete, hasTime, {}, natalAngles);
+  const { 조후 } = YongsinAnalyzer.calculate(natalDiscrete, hasTime);
 
   // 대운 리스트 정리
   const daeunList = Array.isArray(daeunData) ? daeunData : (daeunData?.list || []);
-  const daeunStartAge = daeunData?.startAge || (daeunList[0]?.age ?? 1);
   const forward = daeunData?.forward ?? true;
+  const ageSystem = daeunData?.ageSystem ?? DEFAULT_AGE_SYSTEM;
 
   // 대운 경계 연도 목록
   const daeunBoundaries = daeunList.map(d => ({
-    year: d.calYear || (birthYear + d.age - 1),
+    year: d.calYear || (birthYear + (d.koreanAge ?? d.age) - 1),
+    start: d.start ?? null,
+    position: d.start ? yearPosition(d.start) : null,
     pillar: d.pillar || YUKSHIP_GAPJA[d.idx],
     idx: d.idx
   }));
@@ -76,16 +151,10 @@ export function generateFortuneTimeSeries(
 
   for (let year = startYear; year <= endYear; year++) {
     const koreanAge = year - birthYear + 1;
+    const at = AstronomyUtils.civilToDate(year, 7, 1);
 
     // 활성 대운 찾기
-    let activeDaeun = null;
-    for (let i = daeunList.length - 1; i >= 0; i--) {
-      const dAge = daeunList[i].age ?? daeunList[i].startAge;
-      if (dAge != null && koreanAge >= dAge) {
-        activeDaeun = daeunList[i];
-        break;
-      }
-    }
+    const activeDaeun = findActiveDaeun(daeunList, at, birthYear);
 
     // 세운 idx60 계산
     const saeunIdx = ((REF_YEAR_IDX + (year - REF_YEAR)) % 60 + 60) % 60;
@@ -95,11 +164,11 @@ export function generateFortuneTimeSeries(
     const fortuneAngles = {};
     if (activeDaeun) {
       fortunePillars.daeun = activeDaeun.idx;
-      fortuneAngles.daeun = computeDaeunAngle(koreanAge, activeDaeun, forward);
+      fortuneAngles.daeun = computeDaeunAngle(activeDaeun.start ? at : koreanAge, activeDaeun, forward);
     }
     fortunePillars.saeun = saeunIdx;
 
-    const profile = computeProfile(natalDiscrete, hasTime, fortunePillars, natalAngles, fortuneAngles);
+    const profile = computeProfile(natalDiscrete, hasTime, fortunePillars, natalAngles, fortuneAngles, scoreOptions);
 
     // 원국 대비 변화량
     const delta = { oheng: {}, sipsung: {} };
@@ -112,7 +181,7 @@ export function generateFortuneTimeSeries(
 
     yearly.push({
       year,
-      age: koreanAge,
+      age: ageAt(natalDiscrete.birthDate, { year }, ageSystem),
       daeun: activeDaeun ? {
         idx: activeDaeun.idx,
         pillar: activeDaeun.pillar || YUKSHIP_GAPJA[activeDaeun.idx]
@@ -124,11 +193,13 @@ export function generateFortuneTimeSeries(
       oheng: profile.oheng,
       sipsung: profile.sipsung,
       interactions: profile.interactions,
+      shinsal: ShinsalAnalyzer.detectFortune(natalDiscrete, hasTime, fortunePillars),
+      johu: scoreJohu(profile, natal, 조후),
       delta
     });
   }
 
-  return { natal, yearly, daeunBoundaries };
+  return { natal, ageSystem, yearly, daeunBoundaries };
 }
 
 /**
@@ -142,24 +213,28 @@ export function generateFortuneTimeSeries(
  * @param {number} targetYear
  * @param {Object|null} [natalAngles=null]
  * @param {number|null} [daeunAngle=null] - 대운 연속 각도. null이면 지지 중심각 사용.
- * @returns {Array<{ monthNum, pillar, oheng, sipsung, interactions, delta }>}
+ * @param {Object|null} [daeunData=null] - DaeunCalculator.calculate() 결과. 교운 시각이 있으면
+ *   달마다(절입 보름 뒤 표본) 대운을 다시 찾아 daeunIdx·daeunAngle 대신 쓴다.
+ * @param {Object} [scoreOptions={}] - computeProfile 옵션 (gongmangFactor, gongmangBases)
+ * @returns {Array<{ monthNum, pillar, oheng, sipsung, interactions, shinsal, johu, delta }>}
+ *   shinsal: 대운·세운·월운 기둥에 드는 신살
+ *   johu: 원국 조후용신의 운세 충족도 (scoreJohu)
  */
 export function generateMonthlyDetail(
-  natalDiscrete, hasTime, daeunIdx, saeunIdx, targetYear, natalAngles = null, daeunAngle = null
+  natalDiscrete, hasTime, daeunIdx, saeunIdx, targetYear, natalAngles = null, daeunAngle = null, daeunData = null, scoreOptions = {}
 ) {
   const natal = computeProfile(natalDiscrete, hasTime, {}, natalAngles);
+  const { 조후 } = YongsinAnalyzer.calculate(natalDiscrete, hasTime);
   const wolunList = WolunCalculator.calculate(natalDiscrete, targetYear);
   const monthly = [];
 
   for (const wol of wolunList) {
     const fortunePillars = { saeun: saeunIdx, wolun: wol.idx };
     const fortuneAngles = {};
-    if (daeunIdx != null) {
-      fortunePillars.daeun = daeunIdx;
-      if (daeunAngle != null) fortuneAngles.daeun = daeunAngle;
-    }
+    const at = wol.termDt ? new Date(wol.termDt.getTime() + 15 * 864e5) : null;
+    addDaeun(fortunePillars, fortuneAngles, daeunAt(daeunData, at, daeunIdx, daeunAngle));
 
-    const profile = computeProfile(natalDiscrete, hasTime, fortunePillars, natalAngles, fortuneAngles);
+    const profile = computeProfile(natalDiscrete, hasTime, fortunePillars, natalAngles, fortuneAngles, scoreOptions);
 
     const delta = { oheng: {}, sipsung: {} };
     for (const e of OHENG) {
@@ -176,6 +251,8 @@ export function generateMonthlyDetail(
       oheng: profile.oheng,
       sipsung: profile.sipsung,
       interactions: profile.interactions,
+      shinsal: ShinsalAnalyzer.detectFortune(natalDiscrete, hasTime, fortunePillars),
+      johu: scoreJohu(profile, natal, 조후),
       delta
     });
   }
@@ -183,6 +260,146 @@ export function generateMonthlyDetail(
   return monthly;
 }
 
+/**
+ * 특정 양력 월의 일별 상세 데이터 (일진).
+ * 날짜마다 그날의 세운·월운(정오 기준)과 일진을 반영한다.
+ *
+ * @param {Object} natalDiscrete
+ * @param {boolean} hasTime
+ * @param {number|null} daeunIdx - 활성 대운 idx60
+ * @param {number} year - 양력 연도
+ * @param {number} month - 양력 월 (1-12)
+ * @param {Object|null} [natalAngles=null]
+ * @param {number|null} [daeunAngle=null] - 대운 연속 각도. null이면 지지 중심각 사용.
+ * @param {Object|null} [daeunData=null] - DaeunCalculator.calculate() 결과. 교운 시각이 있으면
+ *   날마다(정오 표본) 대운을 다시 찾는다.
+ * @param {Object} [scoreOptions={}] - computeProfile 옵션 (gongmangFactor, gongmangBases)
+ * @returns {Array<{ day, idx, pillar, isToday, tgStem, tgBranch, ts, oheng, sipsung, interactions, delta }>}
+ */
+export function generateDailyDetail(
+  natalDiscrete, hasTime, daeunIdx, year, month, natalAngles = null, daeunAngle = null, daeunData = null, scoreOptions = {}
+) {
+  const natal = computeProfile(natalDiscrete, hasTime, {}, natalAngles);
+  const iljinList = IljinCalculator.calculate(natalDiscrete, year, month);
+  const daily = [];
+
+  for (const il of iljinList) {
+    const fortunePillars = { saeun: il.saeunIdx, wolun: il.wolunIdx, iljin: il.idx };
+    const fortuneAngles = {};
+    const at = AstronomyUtils.civilToDate(year, month, il.day, 12, 0);
+    addDaeun(fortunePillars, fortuneAngles, daeunAt(daeunData, at, daeunIdx, daeunAngle));
+
+    const profile = computeProfile(natalDiscrete, hasTime, fortunePillars, natalAngles, fortuneAngles, scoreOptions);
+
+    const delta = { oheng: {}, sipsung: {} };
+    for (const e of OHENG) {
+      delta.oheng[e] = Math.round((profile.oheng.percent[e] - natal.oheng.percent[e]) * 10) / 10;
+    }
+    for (const g of Object.keys(natal.sipsung.grouped)) {
+      delta.sipsung[g] = Math.round(((profile.sipsung.grouped[g] || 0) - (natal.sipsung.grouped[g] || 0)) * 10) / 10;
+    }
+
+    daily.push({
+      day: il.day,
+      idx: il.idx,
+      pillar: il.pillar,
+      isToday: il.isToday,
+      tgStem: il.tgStem,
+      tgBranch: il.tgBranch,
+      ts: il.ts,
+      oheng: profile.oheng,
+      sipsung: profile.sipsung,
+      interactions: profile.interactions,
+      delta
+    });
+  }
+
+  return daily;
+}
+
+/**
+ * 하루의 시운: 12시진 상세 + 24시간 연속 곡선.
+ * 하루는 정자시 기준으로 전날 23:00(자시)부터 23:00까지.
+ * 시진별 항목은 시주 지지를 중심각에 두고, 곡선은 매 시각 timeToHourAngle()의
+ * 연속 각도로 시주 지지의 오행 분포를 정한다 (천간은 그 시각이 속한 시진의 시주).
+ *
+ * @param {Object} natalDiscrete
+ * @param {boolean} hasTime
+ * @param {number|null} daeunIdx - 활성 대운 idx60
+ * @param {number} year - 양력 연도
+ * @param {number} month - 양력 월 (1-12)
+ * @param {number} day - 양력 일
+ * @param {Object|null} [natalAngles=null]
+ * @param {number|null} [daeunAngle=null] - 대운 연속 각도. null이면 지지 중심각 사용.
+ * @param {Object|null} [daeunData=null] - DaeunCalculator.calculate() 결과. 교운 시각이 있으면
+ *   표본 시각마다 대운을 다시 찾는다.
+ * @param {number} [stepMinutes=10] - 곡선 표본 간격 (분)
+ * @param {Object} [scoreOptions={}] - computeProfile 옵션 (gongmangFactor, gongmangBases)
+ * @returns {Object} {
+ *   natal: { oheng, sipsung },
+ *   hours: [{ branch, idx, pillar, start, end, tgStem, tgBranch, ts, oheng, sipsung, interactions, delta }],
+ *   curve: [{ minutes, hour, minute, angle, idx, oheng }]   // minutes: 23:00부터 경과 분
+ * }
+ */
+export function generateHourlyDetail(
+  natalDiscrete, hasTime, daeunIdx, year, month, day, natalAngles = null, daeunAngle = null, daeunData = null, stepMinutes = 10, scoreOptions = {}
+) {
+  const natal = computeProfile(natalDiscrete, hasTime, {}, natalAngles);
+  const siunList = SiunCalculator.calculate(natalDiscrete, year, month, day);
+
+  // 하루의 시작: 전날 23:00 (KST)
+  const dayStart = AstronomyUtils.civilToDate(year, month, day, 0, 0).getTime() - 60 * 60000;
+
+  const profileAt = (siun, siunAngle, minutes) => {
+    const fortunePillars = { saeun: siun.saeunIdx, wolun: siun.wolunIdx, iljin: siun.iljinIdx, siun: siun.idx };
+    const fortuneAngles = { siun: siunAngle };
+    const at = new Date(dayStart + minutes * 60000);
+    addDaeun(fortunePillars, fortuneAngles, daeunAt(daeunData, at, daeunIdx, daeunAngle));
+    return computeProfile(natalDiscrete, hasTime, fortunePillars, natalAngles, fortuneAngles, scoreOptions);
+  };
+
+  const hours = siunList.map(siun => {
+    const profile = profileAt(siun, siun.branch * 30, siun.branch * 120 + 60);
+
+    const delta = { oheng: {}, sipsung: {} };
+    for (const e of OHENG) {
+      delta.oheng[e] = Math.round((profile.oheng.percent[e] - natal.oheng.percent[e]) * 10) / 10;
+    }
+    for (const g of Object.keys(natal.sipsung.grouped)) {
+      delta.sipsung[g] = Math.round(((profile.sipsung.grouped[g] || 0) - (natal.sipsung.grouped[g] || 0)) * 10) / 10;
+    }
+
+    return {
+      branch: siun.branch,
+      idx: siun.idx,
+      pillar: siun.pillar,
+      start: siun.start,
+      end: siun.end,
+      tgStem: siun.tgStem,
+      tgBranch: siun.tgBranch,
+      ts: siun.ts,
+      oheng: profile.oheng,
+      sipsung: profile.sipsung,
+      interactions: profile.interactions,
+      delta
+    };
+  });
+
+  const curve = [];
+  for (let minutes = 0; minutes <= 1440; minutes += stepMinutes) {
+    const clock = (23 * 60 + minutes) % 1440;
+    const hour = Math.floor(clock / 60);
+    const minute = clock % 60;
+    // 곡선 끝(다음 23:00)은 다음날 자시이므로 마지막 시진(해시)에 붙인다
+    const branch = minutes === 1440 ? 11 : SajuCalculator.getHourBranch(hour, minute);
+    const angle = timeToHourAngle(hour, minute);
+    const profile = profileAt(siunList[branch], angle, minutes);
+    curve.push({ minutes, hour, minute, angle, idx: siunList[branch].idx, oheng: profile.oheng.percent });
+  }
+
+  return { natal: { oheng: natal.oheng, sipsung: natal.sipsung }, hours, curve };
+}
+
 /**
  * 월별 데이터를 시계열 차트 공통 포맷으로 변환.
  * FortuneTimeSeriesChart.render()에 그대로 전달 가능.
@@ -198,6 +415,8 @@ export function monthlyToChartData(monthlyData, natal) {
       oheng: m.oheng,
       sipsung: m.sipsung,
       interactions: m.interactions,
+      shinsal: m.shinsal,
+      johu: m.johu,
       delta: m.delta,
       _monthLabel: `${m.monthNum}월 (${m.termName})`,
     })),
@@ -0,0 +1,206 @@
+/**
+ * ===================================================================
+ * rectification.js — 사건 기반 출생 시각 보정
+ * ===================================================================
+ * 날짜가 있는 인생 사건(결혼, 이직, 질병 …)을 받아, 범위 안의 출생 시각
+ * 후보마다 사건이 든 해의 운세 시계열(generateFortuneTimeSeries)이
+ * 그 사건과 얼마나 맞는지 점수를 매긴다.
+ *
+ * 점수 규칙 (사건 하나당):
+ *   1. 십성: 범주의 십성 그룹이 원국보다 늘면 늘어난 %p / 5 (그룹당 최대 2점)
+ *   2. 합충: 세운이 범주의 궁(宮)과 범주의 합·충을 맺으면 2점, 대운·월운이면 1점
+ * 사건에 월이 있으면 그 달(15일)이 든 월운 항목(generateMonthlyDetail)으로,
+ * 없으면 그 해 항목(generateFortuneTimeSeries)으로 점수를 매긴다.
+ * 후보 점수는 사건 점수의 합. 시주와 교운 시각이 출생 시각에 따라 바뀌므로
+ * 시주 궁이 걸린 범주(출산·학업·재물·질병)가 시각을 가르는 데 가장 많이 기여한다.
+ */
+
+import { BirthMoment } from '../models/birth-moment.js';
+import { generateFortuneTimeSeries, generateMonthlyDetail } from './fortune-timeseries.js';
+import { gongmangScoreOptions } from './fortune-scorer.js';
+import { REF_YEAR, REF_YEAR_IDX } from '../lib/sajuwiki/constants.js';
+import { createError, ErrorCodes } from '../lib/sajuwiki/error-handler.js';
+
+// 사건 범주: 기대 십성 그룹(성별별 가능), 합충 종류, 관련 궁
+export const EVENT_CATEGORIES = {
+  marriage: { label: '결혼·연애', groups: { m: ['재성'], f: ['관성'] }, kinds: ['합'], palaces: ['day'] },
+  childbirth: { label: '출산', groups: { m: ['관성'], f: ['식상'] }, kinds: ['합'], palaces: ['hour'] },
+  job: { label: '취업·이직·승진', groups: ['관성'], kinds: ['합', '충'], palaces: ['month'] },
+  study: { label: '합격·학업', groups: ['인성'], kinds: ['합'], palaces: ['month', 'hour'] },
+  money: { label: '재물 득실', groups: ['재성'], kinds: ['합', '충'], palaces: ['day', 'hour'] },
+  illness: { label: '질병·사고', groups: ['관성'], kinds: ['충'], palaces: ['day', 'hour'] },
+  move: { label: '이사·이주', groups: [], kinds: ['충'], palaces: ['year', 'day'] },
+  loss: { label: '이별·상실', groups: ['비겁'], kinds: ['충'], palaces: ['day', 'year'] },
+};
+
+const PALACE_LABEL = { year: '년주', month: '월주', day: '일주', hour: '시주' };
+const SOURCE_POINTS = { saeun: 2, daeun: 1, wolun: 1 };
+const SOURCE_LABEL = { saeun: '세운', daeun: '대운', wolun: '월운' };
+
+/** 운세 합충 종류: 천간합·지지합·반합·삼합 → 합, 천간충·지지충 → 충 */
+function interactionKind(type) {
+  if (type.endsWith('충')) return '충';
+  if (type.endsWith('합')) return '합';
+  return null;
+}
+
+function pad2(n) {
+  return String(n).padStart(2, '0');
+}
+
+/**
+ * 양력 월의 15일이 드는 사주 월 (절입은 늘 3~8일이므로 15일은 한 절기 달 안에 든다)
+ * @returns {{ sajuYear: number, monthNum: number }} monthNum 1 = 인월, 1월은 전 해의 축월(12)
+ */
+function sajuMonthOf(year, month) {
+  return { sajuYear: month === 1 ? year - 1 : year, monthNum: (month + 10) % 12 + 1 };
+}
+
+/**
+ * 사건 하나의 점수와 근거
+ * @param {Object} entry - generateFortuneTimeSeries().yearly 항목 (월이 있는 사건은 generateMonthlyDetail() 항목)
+ * @param {Object} event - { year, month?, category }
+ * @param {string} gender
+ * @returns {{ points: number, reasons: string[] }}
+ */
+export function scoreEvent(entry, event, gender) {
+  const cat = EVENT_CATEGORIES[event.category];
+  if (!cat || !entry) return { points: 0, reasons: [] };
+
+  let points = 0;
+  const reasons = [];
+
+  const groups = Array.isArray(cat.groups) ? cat.groups : (cat.groups[gender] ?? []);
+  for (const g of groups) {
+    const d = entry.delta.sipsung[g] ?? 0;
+    if (d > 0) {
+      const p = Math.min(d / 5, 2);
+      points += p;
+      reasons.push(`${g} +${d.toFixed(1)}%p (+${p.toFixed(1)})`);
+    }
+  }
+
+  for (const ix of entry.interactions) {
+    const p = SOURCE_POINTS[ix.source];
+    if (!p || !cat.palaces.includes(ix.target)) continue;
+    const kind = interactionKind(ix.type);
+    if (!kind || !cat.kinds.includes(kind)) continue;
+    points += p;
+    reasons.push(`${SOURCE_LABEL[ix.source]}–${PALACE_LABEL[ix.target]} ${ix.type} ${ix.desc} (+${p})`);
+  }
+
+  return { points: Math.round(points * 10) / 10, reasons };
+}
+
+/**
+ * 출생 시각 후보 순위
+ *
+ * @param {Object} birth - { year, month, day, gender, longitude?, jasi?, daeunConvention?, gongmang? } 출생일 (시계 날짜)
+ *   gongmang: GONGMANG_MODES 키 (운세 점수의 공망 감쇄)
+ * @param {Array<{ year, month?, category }>} events - 사건 (월이 없으면 연 단위)
+ * @param {Object} [options]
+ * @param {number} [options.from=0] - 범위 시작 (0시부터 분)
+ * @param {number} [options.to=1439] - 범위 끝 (분, 포함)
+ * @param {number} [options.step=10] - 간격 (분)
+ * @param {Function} [options.toSajuTime] - (hour, minute) → { year, month, day, hour, minute, solarOffsetMinutes? }
+ *   시계 시각을 사주 기준 시각(KST 출생 순간 + 일·시주 경계 보정, getSajuMoment)으로.
+ *   없으면 그대로 KST로 쓴다.
+ * @param {number} [options.top=5] - 돌려줄 구간 수
+ * @returns {Object} {
+ *   candidates: [{ minutes, time, hourPillar, score, evidence }],
+ *   windows: [{ from, to, hourPillar, score, evidence }]   // 시주·점수가 같은 연속 후보, 점수 순
+ * }
+ *   evidence: [{ event, points, reasons }]
+ */
+export function rankBirthTimes(birth, events, options = {}) {
+  const { from = 0, to = 1439, step = 10, toSajuTime = null, top = 5 } = options;
+  if (events.length === 0) {
+    throw createError(ErrorCodes.INVALID_INPUT, { reason: '사건을 하나 이상 입력해 주세요.' });
+  }
+  if (!(step >= 1) || from > to) {
+    throw createError(ErrorCodes.INVALID_INPUT, { from, to, step, reason: '시각 범위와 간격을 확인해 주세요.' });
+  }
+  for (const e of events) {
+    // 출생한 해의 사건도 받되, 월이 있으면 출생 월 이후만
+    const beforeBirth = e.year < birth.year || (e.year === birth.year && e.month != null && e.month < birth.month);
+    if (beforeBirth || !EVENT_CATEGORIES[e.category] || (e.month != null && !(e.month >= 1 && e.month <= 12))) {
+      throw createError(ErrorCodes.INVALID_INPUT, { event: e, reason: `${e.year}년 사건은 출생 이후 날짜와 범주가 필요합니다 (월은 1~12).` });
+    }
+  }
+  const years = events.map(e => e.year);
+  const minYear = Math.min(...years);
+  const maxYear = Math.max(...years);
+  const scoreOptions = gongmangScoreOptions(birth.gongmang);
+
+  const candidates = [];
+  for (let minutes = from; minutes <= to; minutes += step) {
+    const hour = Math.floor(minutes / 60);
+    const minute = minutes % 60;
+    const saju = toSajuTime
+      ? toSajuTime(hour, minute)
+      : { year: birth.year, month: birth.month, day: birth.day, hour, minute };
+
+    const bm = new BirthMoment(
+      saju.year, saju.month, saju.day, saju.hour, saju.minute, birth.gender, birth.longitude,
+      {
+        jasi: birth.jasi, daeunConvention: birth.daeunConvention, solarOffsetMinutes: saju.solarOffsetMinutes ?? 0,
+        birthDate: { year: birth.year, month: birth.month, day: birth.day }
+      }
+    );
+    const discrete = bm.computeDiscrete();
+    const cont = bm.computeContinuous();
+    const natalAngles = {
+      year: cont.year?.angle, month: cont.month?.angle, day: cont.day?.angle, hour: cont.hour?.angle
+    };
+    const daeun = bm.computeDaeun();
+    const ts = generateFortuneTimeSeries(
+      discrete, true, daeun, birth.year, minYear, maxYear, natalAngles, scoreOptions
+    );
+
+    // 월이 있는 사건: 사주 연도별 월운 상세 (같은 해의 사건끼리 공유)
+    const monthly = new Map();
+    const monthEntry = (event) => {
+      const { sajuYear, monthNum } = sajuMonthOf(event.year, event.month);
+      if (!monthly.has(sajuYear)) {
+        const saeunIdx = ((REF_YEAR_IDX + (sajuYear - REF_YEAR)) % 60 + 60) % 60;
+        monthly.set(sajuYear, generateMonthlyDetail(discrete, true, null, saeunIdx, sajuYear, natalAngles, null, daeun, scoreOptions));
+      }
+      return monthly.get(sajuYear).find(m => m.monthNum === monthNum);
+    };
+
+    let score = 0;
+    const evidence = events.map(event => {
+      const entry = event.month ? monthEntry(event) : ts.yearly.find(y => y.year === event.year);
+      const result = scoreEvent(entry, event, birth.gender);
+      score += result.points;
+      return { event, ...result };
+    });
+
+    candidates.push({
+      minutes,
+      time: `${pad2(hour)}:${pad2(minute)}`,
+      hourPillar: discrete.pillars.hour,
+      score: Math.round(score * 10) / 10,
+      evidence
+    });
+  }
+
+  // 시주·점수가 같은 연속 후보를 구간으로 묶는다 (근거는 구간 첫 후보의 것)
+  const windows = [];
+  for (const c of candidates) {
+    const last = windows[windows.length - 1];
+    const key = `${c.hourPillar}|${c.score}`;
+    if (last && last._key === key && last._end + step === c.minutes) {
+      last.to = c.time;
+      last._end = c.minutes;
+    } else {
+      windows.push({ from: c.time, to: c.time, hourPillar: c.hourPillar, score: c.score, evidence: c.evidence, _key: key, _end: c.minutes });
+    }
+  }
+  windows.sort((a, b) => b.score - a.score);
+
+  return {
+    candidates,
+    windows: windows.slice(0, top).map(({ _key, _end, ...w }) => w)
+  };
+}
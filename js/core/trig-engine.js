@@ -24,7 +24,8 @@
 
 import { toRad, angleDiff, normalizeAngle, clamp } from '../utils/math.js';
 import {
-  JIJI, CHEONGAN_OHENG, OHENG, BR_EL, STEM_W, BR_W
+  JIJI, CHEONGAN_OHENG, OHENG, BR_EL, STEM_W, BR_W,
+  JASI_CONVENTIONS, DEFAULT_JASI
 } from '../lib/sajuwiki/constants.js';
 
 // ===================================================================
@@ -213,6 +214,20 @@ export function ohengStrengthAtAngle(theta) {
 // Time / Date -> Angle Converters
 // ===================================================================
 
+/**
+ * Normalize an instant to UTC epoch milliseconds.
+ *
+ * All instants handled by the engine are absolute (UTC epoch based),
+ * never host-local wall-clock values, so angle computations are
+ * identical in every timezone the code runs in.
+ *
+ * @param {Date|number} instant - Date or UTC epoch ms
+ * @returns {number} UTC epoch ms
+ */
+export function toEpochMs(instant) {
+  return typeof instant === 'number' ? instant : instant.getTime();
+}
+
 /**
  * Convert clock time (hour:minute) to the hour-cycle angle.
  *
@@ -226,12 +241,18 @@ export function ohengStrengthAtAngle(theta) {
  *   12:00 -> 180 deg (오)
  *   18:00 -> 270 deg (유)
  *
+ * With longitude correction, `offsetMinutes` shifts the KST clock reading
+ * to the local time of the birthplace first (see getSajuMoment); with
+ * solar-time hour boundaries that is apparent solar time, so 180 deg falls
+ * on true solar noon.
+ *
  * @param {number} hour - hour (0-23)
  * @param {number} minute - minute (0-59)
+ * @param {number} [offsetMinutes=0] - KST-to-local-time shift in minutes
  * @returns {number} angle in [0, 360)
  */
-export function timeToHourAngle(hour, minute) {
-  return (hour * 15 + minute * 0.25) % 360;
+export function timeToHourAngle(hour, minute, offsetMinutes = 0) {
+  return normalizeAngle(hour * 15 + (minute + offsetMinutes) * 0.25);
 }
 
 /**
@@ -242,16 +263,16 @@ export function timeToHourAngle(hour, minute) {
  * (fraction near 0 or 1), the angle drifts toward the neighboring
  * branch, creating natural blending.
  *
- * @param {Date|number} birthKST - birth date/time (KST) as Date or ms timestamp
- * @param {Date|number} curTermDate - start of current solar term (절기)
- * @param {Date|number} nextTermDate - start of next solar term
+ * @param {Date|number} birthKST - birth instant as Date or UTC epoch ms
+ * @param {Date|number} curTermDate - start of current solar term (절기), same form
+ * @param {Date|number} nextTermDate - start of next solar term, same form
  * @param {number} monthBranchIdx - branch index for this month (0-11)
  * @returns {number} angle in [0, 360)
  */
 export function dateToMonthAngle(birthKST, curTermDate, nextTermDate, monthBranchIdx) {
-  const birth = typeof birthKST === 'number' ? birthKST : birthKST.getTime();
-  const cur = typeof curTermDate === 'number' ? curTermDate : curTermDate.getTime();
-  const next = typeof nextTermDate === 'number' ? nextTermDate : nextTermDate.getTime();
+  const birth = toEpochMs(birthKST);
+  const cur = toEpochMs(curTermDate);
+  const next = toEpochMs(nextTermDate);
 
   const span = next - cur;
   if (span <= 0) {
@@ -273,16 +294,16 @@ export function dateToMonthAngle(birthKST, curTermDate, nextTermDate, monthBranc
  * Same logic as dateToMonthAngle but for the year cycle, using
  * 입춘 (Ipchun, start of spring) as the year boundary.
  *
- * @param {Date|number} birthKST - birth date/time (KST)
+ * @param {Date|number} birthKST - birth instant as Date or UTC epoch ms
  * @param {Date|number} ipchunThisDate - 입춘 of the current year
  * @param {Date|number} ipchunNextDate - 입춘 of the next year
  * @param {number} yearBranchIdx - branch index for this year (0-11)
  * @returns {number} angle in [0, 360)
  */
 export function dateToYearAngle(birthKST, ipchunThisDate, ipchunNextDate, yearBranchIdx) {
-  const birth = typeof birthKST === 'number' ? birthKST : birthKST.getTime();
-  const cur = typeof ipchunThisDate === 'number' ? ipchunThisDate : ipchunThisDate.getTime();
-  const next = typeof ipchunNextDate === 'number' ? ipchunNextDate : ipchunNextDate.getTime();
+  const birth = toEpochMs(birthKST);
+  const cur = toEpochMs(ipchunThisDate);
+  const next = toEpochMs(ipchunNextDate);
 
   const span = next - cur;
   if (span <= 0) {
@@ -354,9 +375,12 @@ const PILLAR_WEIGHTS = {
  *   }
  * @param {number} hour - birth hour (0-23)
  * @param {number} minute - birth minute (0-59)
+ * @param {string} [jasi] - 자시 convention key (JASI_CONVENTIONS); defaults to
+ *   the one the discrete result was calculated with
  * @returns {Object} continuous snapshot
  */
-export function computeContinuousSnapshot(discreteResult, hour, minute) {
+export function computeContinuousSnapshot(discreteResult, hour, minute,
+                                          jasi = discreteResult.jasiConvention ?? DEFAULT_JASI) {
   const { idxs } = discreteResult;
   // Extract branch/stem indices from 60갑자 indices
   const branches = {
@@ -373,7 +397,7 @@ export function computeContinuousSnapshot(discreteResult, hour, minute) {
   };
 
   // --- Hour pillar (시주) ---
-  const hourAngle = timeToHourAngle(hour, minute);
+  const hourAngle = timeToHourAngle(hour, minute, discreteResult.solarOffsetMinutes ?? 0);
   const hourInfluences = allBranchInfluences(hourAngle);
   const hourOheng = ohengStrengthAtAngle(hourAngle);
 
@@ -381,14 +405,14 @@ export function computeContinuousSnapshot(discreteResult, hour, minute) {
   let monthAngle;
   if (discreteResult.curTermDt && discreteResult.nextTermDt) {
     monthAngle = dateToMonthAngle(
-      discreteResult.birthKST || new Date(),
+      discreteResult.birthKST || Date.now(),
       discreteResult.curTermDt,
       discreteResult.nextTermDt,
       branches.month
     );
   } else if (discreteResult.monthTermDates) {
     monthAngle = dateToMonthAngle(
-      discreteResult.birthKST || new Date(),
+      discreteResult.birthKST || Date.now(),
       discreteResult.monthTermDates.cur,
       discreteResult.monthTermDates.next,
       branches.month
@@ -417,7 +441,15 @@ export function computeContinuousSnapshot(discreteResult, hour, minute) {
   // The day cycle starts at the beginning of the 인시 sector (45° = 인 center
   // 60° minus half-sector 15°). The hour angle tells us how far through the
   // day we are; that fraction maps to position within the day branch's 30° sector.
-  const dayFraction = normalizeAngle(hourAngle - CYCLE_START) / 360;
+  // The day pillar itself flips at the 자시 convention's day change (23:00 for
+  // 정자시, midnight for 야자시), before 인시. Births between the two already
+  // belong to the new day, so they sit just before its cycle start; this keeps
+  // the day angle continuous across the flip.
+  const dayChangeAngle = ((JASI_CONVENTIONS[jasi] ?? JASI_CONVENTIONS[DEFAULT_JASI]).dayChangeHour * 15) % 360;
+  let dayFraction = normalizeAngle(hourAngle - CYCLE_START) / 360;
+  if (normalizeAngle(hourAngle - dayChangeAngle) < normalizeAngle(CYCLE_START - dayChangeAngle)) {
+    dayFraction -= 1;
+  }
   const dayAngle = normalizeAngle(branches.day * 30 + (dayFraction - 0.5) * 30);
   const dayInfluences = allBranchInfluences(dayAngle);
   const dayOheng = ohengStrengthAtAngle(dayAngle);
@@ -478,6 +510,7 @@ export function computeContinuousSnapshot(discreteResult, hour, minute) {
       branchInfluences: dayInfluences,
       dominantBranch: findDominantBranch(dayInfluences),
       idx60: idxs.day,
+      jasiConvention: jasi,
       maturityAngle,
       phase: dayPhase,
       oheng: dayOheng
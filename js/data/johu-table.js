@@ -0,0 +1,79 @@
+/**
+ * ===================================================================
+ * sinsaju-calculator - Climate Yongsin Table (궁통보감 조후용신표)
+ * ===================================================================
+ * The 窮通寶鑑 table of 調候 stems: for each day master (10) and
+ * month branch (12), the stems the classic prescribes to warm, cool,
+ * moisten or dry the chart, most important first.
+ *
+ * JOHU_TABLE[dayStem][monthBranch] = [primary, ...secondary]
+ *   - keys are Korean stem / branch names as in CHEONGAN / JIJI
+ *   - months are listed from 인 (the first solar month)
+ *
+ * Summarised from the widely used condensed table; where the text
+ * branches on the chart (e.g. "if 壬 is absent use 癸"), only the
+ * main line is kept.
+ */
+
+export const JOHU_TABLE = {
+  갑: {
+    인: ['병', '계'], 묘: ['경', '병', '정', '무', '기'], 진: ['경', '정', '임'],
+    사: ['계', '정', '경'], 오: ['계', '정', '경'], 미: ['계', '정', '경'],
+    신: ['경', '정', '임'], 유: ['경', '정', '병'], 술: ['경', '갑', '정', '임', '계'],
+    해: ['경', '정', '병', '무'], 자: ['정', '경', '병'], 축: ['정', '경', '병'],
+  },
+  을: {
+    인: ['병', '계'], 묘: ['병', '계'], 진: ['계', '병', '무'],
+    사: ['계'], 오: ['계', '병'], 미: ['계', '병'],
+    신: ['병', '계', '기'], 유: ['계', '병', '정'], 술: ['계', '신'],
+    해: ['병', '무'], 자: ['병'], 축: ['병'],
+  },
+  병: {
+    인: ['임', '경'], 묘: ['임', '기'], 진: ['임', '갑'],
+    사: ['임', '계', '경'], 오: ['임', '경'], 미: ['임', '경'],
+    신: ['임', '무'], 유: ['임', '계'], 술: ['갑', '임'],
+    해: ['갑', '무', '경', '임'], 자: ['임', '무', '기'], 축: ['임', '갑'],
+  },
+  정: {
+    인: ['갑', '경'], 묘: ['경', '갑'], 진: ['갑', '경'],
+    사: ['갑', '경'], 오: ['임', '경', '계'], 미: ['갑', '임', '경'],
+    신: ['갑', '경', '병', '무'], 유: ['갑', '경', '병', '무'], 술: ['갑', '경', '무'],
+    해: ['갑', '경'], 자: ['갑', '경'], 축: ['갑', '경'],
+  },
+  무: {
+    인: ['병', '갑', '계'], 묘: ['병', '갑', '계'], 진: ['갑', '병', '계'],
+    사: ['갑', '병', '계'], 오: ['임', '갑', '병'], 미: ['계', '병', '갑'],
+    신: ['병', '계', '갑'], 유: ['병', '계'], 술: ['갑', '병', '계'],
+    해: ['갑', '병'], 자: ['병', '갑'], 축: ['병', '갑'],
+  },
+  기: {
+    인: ['병', '경', '갑'], 묘: ['갑', '계', '병'], 진: ['병', '계', '갑'],
+    사: ['계', '병'], 오: ['계', '병'], 미: ['계', '병'],
+    신: ['병', '계'], 유: ['병', '계'], 술: ['갑', '병', '계'],
+    해: ['병', '갑', '무'], 자: ['병', '갑', '무'], 축: ['병', '갑', '무'],
+  },
+  경: {
+    인: ['무', '갑', '임', '병', '정'], 묘: ['정', '갑', '경', '병'], 진: ['갑', '정', '임', '계'],
+    사: ['임', '무', '병', '정'], 오: ['임', '계'], 미: ['정', '갑'],
+    신: ['정', '갑'], 유: ['정', '갑', '병'], 술: ['갑', '임'],
+    해: ['정', '병'], 자: ['정', '갑', '병'], 축: ['병', '정', '갑'],
+  },
+  신: {
+    인: ['기', '임', '경'], 묘: ['임', '갑'], 진: ['임', '갑'],
+    사: ['임', '갑', '계'], 오: ['임', '기', '계'], 미: ['임', '경', '갑'],
+    신: ['임', '갑', '무'], 유: ['임', '갑'], 술: ['임', '갑'],
+    해: ['임', '병'], 자: ['병', '무', '임', '갑'], 축: ['병', '임', '무', '기'],
+  },
+  임: {
+    인: ['경', '병', '무'], 묘: ['무', '신', '경'], 진: ['갑', '경'],
+    사: ['임', '신', '경', '계'], 오: ['계', '경', '신'], 미: ['신', '갑'],
+    신: ['무', '정'], 유: ['갑', '경'], 술: ['갑', '병'],
+    해: ['무', '병', '경'], 자: ['무', '병'], 축: ['병', '정', '갑'],
+  },
+  계: {
+    인: ['신', '병'], 묘: ['경', '신'], 진: ['병', '신', '갑'],
+    사: ['신'], 오: ['경', '신', '임', '계'], 미: ['경', '신', '임', '계'],
+    신: ['정'], 유: ['신', '병'], 술: ['신', '갑', '임', '계'],
+    해: ['경', '신', '무', '정'], 자: ['병', '신'], 축: ['병', '정'],
+  },
+};
@@ -0,0 +1,467 @@
+/**
+ * ===================================================================
+ * sinsaju-calculator - Precomputed Solar Terms (24절기 시각표)
+ * ===================================================================
+ * Bundled 24-term instants for 1800-2200, so findSolarTerm() and
+ * getSolarTermsForYear() skip the astronomy search inside that range.
+ * Values were produced by the same engine (lib/sajuwiki/astronomy.js);
+ * run verifySolarTermTable() (or open the app with ?verify-terms) after
+ * changing the engine to find drift, get regenerated rows and check the
+ * engine against the KASI reference instants.
+ *
+ * SOLAR_TERM_TABLE[year - SOLAR_TERM_TABLE_START] is one row per year:
+ * 24 fields of 3 base-36 digits, 소한 → 동지 in calendar order.
+ *   - 소한: minutes from Jan 1 00:00 UTC of that year
+ *   - every other term: minutes after the previous term
+ * Instants are truncated to the minute, like AstronomyUtils.jdToKST().
+ */
+
+export const SOLAR_TERM_TABLE_START = 1800;
+export const SOLAR_TERM_TABLE_END = 2200;
+
+export const SOLAR_TERM_TABLE = [
+  // 1800
+  '4zcgd8geqghzglpgqpgvoh17h62haphe2hgghhdhgsheyhblh7kh2egxdgrugn6gipgfqgdb',
+  '596gcygf0ghpglzgqfgvxh0zh6chahheahgbhhghgqhewhbmh7eh2igx5grzgmzgiwgfjgdi',
+  '5imgd6gevghxglsgqogvqh17h63haqhe0hglhh7hgyhephbrh7ah2kgx3gs0gmzgiwgfjgdj',
+  '5sbgd7geughxglrgqlgvph13h65hakhe5hgdhhghgqhf0hbjh7lh2dgxdgrtgn7giqgfqgdc',
+  '623gczgf1ghpglygqfgvvh0yh68hahhe7hgehhehgvhevhbsh7dh2mgx4gs1gmwgixgffgdk',
+  '57hgd7gerghzglpgqpgvnh19h60hashe0hglhh9hgzheuhbrh7gh2jgx8grxgn1gisgfkgde',
+  '5hbgd1gewghuglugqkgvuh11h68hahhe8hgahhhhgohf1hbjh7lh2ggxcgrwgn6gisgfogde',
+  '5r4gd0geyghrglvgqhgvth11h66hakhe3hghhh9hgxheshbth7ch2pgx5gs6gmygj1gfggdm',
+  '60tgd7geoghxgllgqngvkh17h5zhaqhe2hgjhhchgxheyhboh7lh2hgxdgrwgn8girgfqgdc',
+  '56rgczgeyghpglvgqdgvuh0wh69haghe9hgbhhjhgrhf0hbnh7jh2igx9grzgn2givgflgdh',
+  // 1810
+  '5gcgd5gewghugltgqkgvqh12h62hanhdzhgjhh8hgzherhbvh7ch2ogx5gs4gmzgizgfigdl',
+  '5q5gd8gerghyglpgqmgvmh13h60hakhe1hgdhhehgrhf0hbmh7oh2hgxggrxgn9gisgfrgdc',
+  '604gcygezghoglxgqdgvuh0vh68hafhe7hgahhfhgthexhbrh7gh2ngx8gs4gn0gizgfigdk',
+  '55mgd6gerghwglogqmgvnh16h5zharhdyhglhh8hgzheshbth7eh2mgx9gs1gn3giwgflgdi',
+  '5fhgd4getghuglrgqjgvqh10h64haihe5hgahhghgohf1hbkh7lh2fgxegrwgn9gisgfrgdf',
+  '5p7gd0gf0ghpglwgqegvsh0xh65hahhe3hgehhbhgvheuhbth7dh2qgx5gs5gmzgj1gfhgdm',
+  '5yogd8gepghyglmgqmgvkh15h5xhaphdyhgkhhahgyhexhbsh7jh2kgxdgrygn6gisgfogdd',
+  '54igczgexghpglugqfgvsh0xh67haghe8hgahhihgqhf2hbmh7mh2igxcgrzgn5gitgfmgdf',
+  '5e3gd1gewghrgltgqhgvrh11h63halhe0hgihh8hgzheshbvh7dh2rgx6gs7gn0gj1gfhgdm',
+  '5nvgd7geoghvgllgqkgvjh12h5yhamhdzhgfhhdhgthf0hbph7oh2jgxhgrzgncgitgfsgde',
+  // 1820
+  '5xtgcxgexghlglugq9gvrh0sh66hadhe7hgahhhhgshf1hbqh7kh2ngxbgs4gn4gizgflgdk',
+  '538gd5gesghtglngqigvkh11h5xhanhdxhgkhh8hh0heuhbwh7fh2qgx8gs5gn2gizgflgdk',
+  '5cwgd6getghvglogqjgvlh0zh5zhaghe1hg9hhehgqhf1hbmh7ph2hgxigrygnbgitgftgde',
+  '5mngczgf0ghoglwgqcgvsh0th65hache3hg9hhbhgthevhbth7hh2rgx9gs8gn2gj3gfjgdm',
+  '5w5gd6gepghwglmgqkgvjh13h5whanhdwhgjhh8hgyheuhbuh7jh2ngxdgs3gn7gixgfogdh',
+  '51ygd1geughqglrgqfgvph0xh65hafhe6hgahhhhgohf2hblh7nh2hgxfgrzgn9giugfrgdg',
+  '5blgd0geyghpglugqegvqh0xh64haihe1hgfhhahgxhethbvh7dh2rgx6gs7gn1gj3gfigdo',
+  '5l9gd9gepghwglkgqkgvhh12h5vhamhdxhghhhbhgvhf0hbqh7oh2kgxhgrzgnbgiugfrgde',
+  '5v6gczgexghngltgqbgvqh0sh65hache6hg9hhjhgshf3hbqh7oh2mgxegs2gn6giwgfmgdh',
+  '50rgd2getghqglqgqggvmh0zh5zhalhdzhgjhh8hh1hevhbyh7hh2sgxags7gn2gj1gfigdl',
+  // 1830
+  '5akgd5gepghugllgqjgvjh11h5yhaihe0hgchhdhgshf1hbph7qh2kgxkgs0gnegiugfugdd',
+  '5kkgcxgeyghlgltgq9gvqh0rh64hache4hg9hhehgtheyhbth7lh2sgxdgs9gn5gj4gflgdm',
+  '5u8gd5geoghsgljgqggvgh0zh5uhamhdwhgkhh8hh1hewhbxh7jh2rgxegs6gn8gj0gfpgdj',
+  '502gd3gesghqglngqdgvkh0vh60haehe3hg9hhhhgqhf4hbnh7rh2jgxigs0gncgivgftgdf',
+  '59pgd0gezghogltgqbgvph0sh62hadhe0hgbhhahgwhevhbwh7hh2tgxagsagn3gj4gfkgdp',
+  '5jcgd9geoghwgljgqjgvfh10h5shajhduhgfhh8hgwhexhbth7oh2pgxigs4gncgiygfsgdh',
+  '5t7gd0gevghoglqgqagvoh0rh62habhe4hg7hhghgqhf3hboh7ph2mgxigs3gnagizgfqgdh',
+  '4yqgd0gevghoglpgqdgvmh0wh5zhaihdyhgghh9hgzhethbxh7gh2tgx9gs9gn4gj4gfkgdo',
+  '58bgd8geoghwgljgqigvgh10h5uhajhdwhgdhhbhgshf0hbph7oh2lgxjgs0gndgiwgfugdg',
+  '5i2gczgezghmgltgq8gvph0ph62haahe4hg7hhfhgrhf1hbsh7mh2qgxegs7gn6gj1gfmgdl',
+  // 1840
+  '5rigd4gerghrgllgqfgvhh0yh5vhajhdwhgihh8hh2hevhbzh7kh2tgxdgs8gn5gj1gflgdk',
+  '4x7gd4gepghrgllgqggvih0xh5yhaghe1hgbhhfhgshf4hbph7sh2kgxlgs0gndgiugftgdd',
+  '56ygcwgexghlglsgq8gvqh0rh63hache3hgbhhchgvheyhbwh7kh2ugxdgsbgn5gj5gflgdn',
+  '5gpgd5gemghsglhgqfgvdh0yh5shajhduhgihh8hh0hexhbxh7oh2tgxjgs8gncgj1gfrgdj',
+  '5qngd0gerghmgllgq8gvih0qh5zhaahe3hg8hhjhgrhf7hbqh7uh2ngxlgs4gndgiygftgdg',
+  '4w9gcygevghlglogq8gvkh0rh5yhadhdzhgehhahh0hexhc0h7kh2wgxcgsdgn4gj6gflgdp',
+  '55xgd8genghvglhgqhgvch0yh5qhaghdshgdhh8hgvhf0hbth7rh2qgxmgs5gnfgizgfvgdh',
+  '5fsgczgexghmglqgq8gvlh0oh60ha7he1hg5hhehgqhf2hbsh7qh2sgxkgs9gncgj3gfqgdk',
+  '5pfgd2gerghoglmgqbgvhh0vh5uhaghdvhgghh6hh1heuhc0h7kh2wgxfgscgn8gj6gfngdo',
+  '4v7gd5geoghsglhgqfgvfh0wh5vhaghdxhgchhchgshf2hbph7sh2lgxmgs2gnggixgfwgdg',
+  // 1850
+  '54ygcygeyghlglsgq6gvoh0oh62ha9he3hg7hhehgthezhbuh7lh2tgxegsagn8gj5gfogdo',
+  '5emgd7gepghsgligqegvch0wh5qhahhdthgghh7hh1hewhbzh7mh2vgxhgsagnagj3gfpgdl',
+  '5ofgd3geqghpgllgqbgvgh0sh5whabhe0hg8hhhhgrhf7hbrh7vh2ngxngs3gnegiwgfugde',
+  '4u2gcxgewghjglqgq7gvmh0qh60habhe0hgchhbhgyhezhbzh7lh2ygxdgsegn5gj6gfkgdo',
+  '53rgd6gemghtglggqfgvch0xh5qhaihdshgfhh7hgxheyhbwh7qh2sgxmgs8gnggj1gfugdi',
+  '5dogczgetghkglmgq7gvih0nh5zha7he2hg5hhghgqhf5hbsh7th2rgxngs9gnfgj2gftgdj',
+  '5nbgczgesghkglkgq6gvgh0qh5thaehdvhgfhh9hh2hexhc2h7lh2zgxfgsegn8gj8gfngdp',
+  '4sxgd6gemghsglegqegvah0uh5qhafhdvhgchhbhguhf3hbth7th2pgxngs5gnggiygfxgdg',
+  '52kgczgexghkglqgq5gvlh0mh5zha5he1hg5hhehgrhf2hbuh7rh2ugxjgsbgnbgj6gfqgdm',
+  '5c7gd4gepghpgligqbgvch0th5phaehdrhgehh5hh1hevhc2h7mh2zgxjgsfgnbgj7gfqgdn',
+  // 1860
+  '5lxgd4genghpglggqbgvdh0rh5thabhdxhg8hhfhgrhf6hbrh7wh2ogxqgs5gnigizgfxgdg',
+  '4rlgcwgevghiglogq4gvkh0mh5zha9he0hg9hhdhgvhf0hbyh7mh2xgxggsegn8gj8gfogdp',
+  '515gd6genghsglfgqdgvah0uh5ohaghdqhgfhh6hgzhexhbyh7oh2vgxkgsbgnegj4gfugdl',
+  '5awgd2getghnglkgq7gvgh0nh5uha7hdzhg5hhghgrhf6hbsh7vh2rgxpgs7gnhgj1gfugdi',
+  '5kkgcygetghjglngq5gvhh0nh5uhabhdwhgchhbhh0hezhc3h7nh31gxggsggn8gj8gfmgdp',
+  '4q8gd6gelghrglegqdgvah0wh5phaghdshgehh9hgxhf1hbwh7uh2sgxpgs8gnhgj0gfvgdh',
+  '504gcygeughiglogq4gvjh0mh5yha6he2hg5hhfhgrhf5hbth7uh2ugxngsdgnfgj5gftgdm',
+  '5a0gd1gepghlglhgq6gvch0ph5phadhdshgehh7hh2hexhc4h7oh31gxkgshgndgjagfqgdr',
+  '5jvgd5gelghogldgq9gv8h0qh5phabhduhgbhhdhgvhf6hbvh7xh2rgxrgs7gnkgizgfzgdh',
+  '4plgcxgewghhglngq2gvih0jh5wha5he0hg6hhehgvhf3hbyh7sh2ygxjgsfgnbgj8gfpgdp',
+  // 1870
+  '4z8gd6geoghqglhgqbgv9h0sh5lhadhdohgdhh4hgzhexhc1h7ph2zgxmgsfgnfgj7gftgdo',
+  '591gd3geqghngligq8gvdh0nh5sha6hdwhg4hhehgphf6hbsh7yh2sgxsgsagnkgj2gfygdh',
+  '5iqgcxgetghhglmgq2gvhh0lh5vha7hdxhg9hhbhgxhf0hc1h7oh31gxigsignagjbgfogdr',
+  '4ocgd6gekghqglcgqcgv8h0th5nhaghdrhgehh7hgxhezhbxh7sh2ugxngsagnhgj3gfwgdk',
+  '4xzgd0geughjgllgq4gvgh0lh5vha5he0hg5hhghgqhf6hbsh7vh2sgxpgsagnhgj4gfvgdl',
+  '57ogd0gerghjgljgq4gvch0mh5qha9hdshgdhh7hh2hezhc4h7ph33gxigsjgnbgjagfogdq',
+  '5hagd5gekghpglcgqagv6h0rh5mhachdshgbhhbhgxhf6hbxh7yh2tgxsgs9gnjgj0gfwgdg',
+  '4mxgcvgetghgglmgq1gvhh0ih5xha4he0hg6hhfhguhf6hbyh7uh2zgxogsfgnegj7gfrgdn',
+  '4wngd1genghmglfgq6gv9h0ph5mhabhdphgdhh5hh1hexhc4h7qh32gxngsjgnggjbgftgdp',
+  '56fgd3gemghlgldgq6gv7h0mh5oha7hduhg6hhdhgthf7hbuh80h2ugxvgsbgnogj3gg0gdi',
+  // 1880
+  '5g5gcwgetghegljgpygveh0gh5tha3hdxhg7hhdhgyhf3hc3h7sh32gxmgsjgndgjcgfrgdr',
+  '4lqgd6gelghpglbgq8gv5h0qh5jhachdohgdhh5hh0hezhc2h7th2zgxpgsegnigj7gfwgdm',
+  '4vegd3gerghlgljgq4gvdh0jh5rha3hdwhg2hhehgqhf7hbth7zh2vgxtgsdgnlgj5gfzgdk',
+  '559gczgesghhgljgq1gvdh0ih5qha5hdshg8hh7hgzhezhc4h7rh35gxmgsmgnegjegfrgdt',
+  '5ezgd6gekghoglagq9gv5h0qh5jhachdphgchh8hgxhf3hbyh7wh2wgxtgsbgnmgj4gfzgdj',
+  '4kqgcxgetghhglkgq0gvfh0ih5uha3he0hg4hhfhgshf6hbwh7vh2xgxpgsfgnhgj8gfvgdn',
+  '4uggd2gerghkglhgq4gv9h0mh5mha9hdphgchh5hh1hexhc4h7ph33gxlgskgnegjdgfsgds',
+  '545gd7gemghogldgq7gv6h0nh5lha8hdshg7hhbhguhf7hbwh80h2vgxvgsbgnmgj2gg0gdh',
+  '5dxgcwgetghegllgpzgveh0gh5uha3hdyhg5hhfhgwhf5hc2h7vh33gxogsignegjagfqgdp',
+  '4jmgd3gelghlglcgq8gv6h0qh5khadhdohgehh5hh1hezhc4h7th32gxpgsignhgj9gftgdo',
+  // 1890
+  '4tegd2gemghkglegq5gv9h0lh5pha5hdwhg5hhehgshf8hbvh80h2vgxwgsegnogj5gg1gdj',
+  '53dgcvgerghdglhgpwgvah0fh5pha3hduhg8hhbhgzhf3hc5h7th37gxngsognfgjfgfsgdt',
+  '5d0gd5geighmgl7gq6gv0h0nh5ghaahdnhgdhh8hh1hf3hc3h7xh30gxtgsggnlgj6gfzgdl',
+  '4imgczgerghgglhgpzgvah0fh5qha0hdwhg3hhfhgshf9hbyh80h2ygxugsggnlgj7gfxgdm',
+  '4sagczgerghiglggq1gv9h0hh5lha3hdohg7hh5hgzheyhc6h7sh37gxogsognhgjggfsgdu',
+  '51vgd6gekghogl9gq7gv2h0nh5hha7hdnhg7hh7hguhf5hbyh80h2ygxygsegnqgj6gg1gdj',
+  '5bjgcwgesghdgligpxgvch0eh5rha0hdxhg3hhehgthf6hc0h7xh31gxsgsjgnjgjbgfvgdq',
+  '4h4gd2genghjglcgq4gv5h0mh5jhaahdnhgchh4hh1heyhc4h7rh34gxngslgnhgjcgfvgdr',
+  '4qogd5gemghmglcgq5gv6h0kh5lha5hdshg5hhchgshf8hbvh81h2vgxxgscgnqgj4gg2gdk',
+  '50hgcwgeughdgligpvgvbh0dh5pha0hduhg5hhchgyhf4hc5h7wh36gxpgsngnggjegfsgds',
+  // 1900
+  '5a4gd4gejghmgl8gq6gv1h0nh5ghaahdmhgchh7hh2hf2hc5h7xh34gxtgsignkgj8gfwgdm',
+  '5jtgczgenghhglegq1gv9h0hh5pha2hdwhg4hhfhgthfahbxh83h2zgxxgsggnogj7gfzgdk',
+  '5trgcxgeqghdglggpxgv9h0fh5mha3hdqhg8hh7hh0hf0hc7h7th39gxqgsqgnigjigfugdu',
+  '63jgd6geighlgl6gq4guzh0lh5fha8hdmhgahh7hgyhf5hc2h81h31gxygsignqgj8gg2gdl',
+  '6ddgcwgerghcglfgpvgv8h0ch5oh9zhdwhg2hhghguhfahc1h81h33gxvgskgnmgjagfygdp',
+  '5j3gd1genghiglcgq0gv5h0hh5jha5hdmhgahh5hh1hf0hc7h7th39gxpgsognigjfgfugdt',
+  '5spgd6gelghmglagq4gv3h0kh5hha4hdohg5hhahgthf7hbyh83h2zgy0gsfgntgj6gg4gdk',
+  '62ngcvgesghcglhgpugv9h0bh5oh9yhduhg2hhchgvhf6hc3h7zh37gxtgspgnlgjggfvgds',
+  '6cdgd3gejghjgl7gq2gv1h0jh5fha8hdlhgchh5hh2hf0hc7h7vh36gxsgsmgnmgjcgfxgdq',
+  '5hxgd2gelghiglbgq0gv4h0hh5lha2hdthg3hhfhgshfahbxh83h2ygxzgsfgnrgj7gg2gdl',
+  // 1910
+  '5rqgcxgesghdglggpvgv8h0ah5mh9zhdqhg4hh9hgyhf2hc6h7vh38gxrgsqgnigjigfugdu',
+  '619gd6gejghmgl6gq4guyh0kh5cha6hdkhg9hh6hgzhf4hc5h80h34gxxgskgnpgj9gfzgdm',
+  '6avgcygeogheglegpwgv7h0ch5nh9yhduhg2hhfhgthfchc0h84h33gxygskgnogjagfygdm',
+  '5gmgcxgenghegldgpxgv6h0fh5jha3hdohg8hh6hh0hf0hc9h7uh3agxrgsrgnjgjigfugdt',
+  '5q6gd5geighkgl6gq3guzh0kh5fha5hdnhg7hh8hgwhf6hc0h83h31gy1gsjgnugj9gg5gdl',
+  '604gcvgeqghagldgprgv6h07h5mh9whduhg1hhehgvhf9hc4h82h36gxxgspgnogjggfygds',
+  '69rgd2gelghggl7gpxguzh0fh5dha4hdkhgbhh5hh4hf2hc9h7xh39gxtgsqgnlgjfgfxgds',
+  '5f9gd4gekghjgl8gq1gv1h0fh5gha1hdphg3hhchgthfbhbzh86h31gy2gshgntgj8gg4gdl',
+  '5p4gcwgetghbglggptgv8h08h5lh9vhdqhg0hh9hgvhf4hc6h7yh3agxvgssgnmgjkgfwgdv',
+  '5yrgd5gejghkgl6gq2guxh0ih5cha5hdhhg9hh3hh0hf2hc6h7zh38gxygsognqgjegg0gdq',
+  // 1920
+  '68ggd0gemghfglagpwgv4h0ch5kh9yhdthg1hhfhgshfchbzh85h32gy1gsjgnsgjbgg3gdn',
+  '5e9gcxgeqghcgldgpugv5h0ch5kha0hdphg6hh7hh0hf1hc8h7uh3agxrgssgnjgjjgfvgdw',
+  '5ntgd7geighmgl5gq3guyh0ih5dha5hdkhg8hh7hgyhf6hc3h82h33gy0gsjgntgjagg3gdm',
+  '5xqgcwgeqghbgldgpsgv5h08h5lh9vhdthg0hhghguhfchc3h86h36gy0gsngnqgjdgfzgdp',
+  '67hgczgelghegl9gpwgv1h0dh5fha3hdlhgahh6hh4hf3hcch7xh3dgxugssgnlgjhgfvgds',
+  '5d5gd3gegghjgl4gq1guyh0hh5eha4hdnhg6hhbhgwhfahc2h87h33gy4gskgnvgj9gg5gdk',
+  '5n6gcugeqgh8gldgpqgv5h06h5kh9uhdrhg1hhbhgvhf8hc6h81h3bgxygsugnpgjkgfzgdv',
+  '5wwgd3gejghggl4gpxguvh0dh5aha3hdghgahh4hh2hf3hcah80h3bgxzgsrgnrgjhgg0gds',
+  '66jgd1gekghfgl6gpvguyh0ah5fh9xhdphg1hhehguhfdhc2h88h34gy5gskgnvgjbgg5gdm',
+  '5cagcwgeqghaglegpqgv5h07h5ih9vhdohg1hh7hgyhf3hc9h7yh3dgxvgsugnmgjlgfwgdw',
+  // 1930
+  '5lqgd7geighkgl5gq1guwh0gh5aha3hdghg6hh3hgzhf3hc5h82h38gy1gspgnugjegg4gdp',
+  '5vjgcygenghcglagpsgv2h07h5ih9uhdqhfzhhdhgshfchc1h87h36gy3gspgnvgjegg4gdp',
+  '659gcxgenghbgl9gpsgv1h0ah5fh9zhdlhg7hh6hh2hf1hcbh7wh3dgxugsugnmgjlgfwgdw',
+  '5angd5gehghjgl3gq0guvh0gh5bha3hdlhg7hh8hgxhf8hc3h85h34gy2gslgnvgjagg6gdm',
+  '5kggcxgeqghagldgppgv4h05h5ih9shdrhfyhhdhguhf9hc5h84h39gy0gsrgnqgjigg0gdt',
+  '5u2gd2gekghggl6gpvguxh0ch5aha0hdhhg8hh4hh4hf2hcdh80h3egxxgsugnogjigfxgdt',
+  '63mgd2gehghggl4gpwguxh0dh5dh9zhdnhg3hhdhgvhfehc3h8ah35gy7gsmgnwgjbgg5gdk',
+  '59jgcugeogh7glcgppgv4h06h5jh9vhdphg2hhahgxhf6hc8h82h3dgxygswgnpgjlgfygdv',
+  '5j7gd3gehghggl2gpyguth0eh59ha3hdghg9hh4hh2hf3hc9h83h3bgy2gssgnvgjigg3gds',
+  '5t3gczgekghbgl5gpqguxh06h5eh9thdphg0hhfhguhffhc4h8bh37gy7gspgnygjfgg6gdp',
+  // 1940
+  '62zgcxgengh8gl9gpnguzh04h5eh9vhdlhg4hh8hh2hf5hcdh81h3ggxxgsxgnngjngfwgdx',
+  '58fgd6gegghjgl2gpyguth0dh58ha0hdhhg6hh6hgzhf7hc7h87h39gy6gspgnxgjdgg7gdo',
+  '5iegcxgepghaglbgppgv1h04h5fh9qhdohfwhhbhgshfbhc4h88h3agy5gsugnwgjjgg4gdt',
+  '5s6gd1gelghcgl6gpsguxh08h5ah9xhdghg6hh2hh2hf2hcdh80h3ggxzgsygnqgjngfzgdx',
+  '61rgd4gefghhgl1gpwguuh0bh5ah9zhdlhg3hhahgvhfbhc4h89h36gy7gsngnzgjdgg8gdn',
+  '57mgcvgeqgh7glcgpngv2h03h5ih9shdphfzhhahgvhf8hc6h83h3bgy0gsugnrgjlgg0gdw',
+  '5h4gd4gejghhgl4gpwguuh0ch57ha0hdfhg8hh2hh3hf2hcbh81h3dgy0gsugntgjjgg2gdt',
+  '5qugd1gejghdgl4gptguwh07h5ch9uhdmhfzhhdhgvhfehc4h8dh37gy9gsognzgjdgg7gdm',
+  '60ogcugeogh6glagpmgv1h03h5gh9thdnhg2hh9hh0hf7hcch83h3ggxzgsygnogjmgfxgdw',
+  '565gd3geeghhgl0gpxgush0dh57ha2hdghg8hh5hh1hf7hc9h86h3bgy6gssgnwgjhgg5gdp',
+  // 1950
+  '5g2gcxgelgh9gl6gpoguxh03h5dh9rhdohfxhhdhgthfdhc4h8ah3agy8gstgnzgjjgg7gds',
+  '5pugcygelgh8gl5gpnguvh04h59h9uhdhhg4hh5hh3hf5hcfh82h3igy0gt0gnqgjpgfzgdy',
+  '5z9gd5gefghfgkzgpuguqh09h56h9xhdhhg4hh8hgzhfchc7h8bh3agy9gsqgnzgjegg8gdo',
+  '552gcvgeogh8gl9gpmgv0h01h5fh9ohdohfwhhbhgthfahc7h87h3dgy5gswgnugjmgg3gdu',
+  '5elgd2gejghegl4gptguuh08h57h9xhddhg6hh1hh2hf2hcdh81h3igy2gszgnugjogg2gdw',
+  '5obgd2gegghdgl1gpsgurh07h59h9uhdjhg0hhahgvhfehc4h8dh39gycgsrgo2gjfggagdp',
+  '5y6gcugeogh4gl8gpkguzh00h5fh9qhdnhg0hhbhgxhf9hcah85h3ggy1gsygnsgjngg1gdx',
+  '53mgd4gegghggl0gpuguqh0bh55ha0hdehg8hh4hh2hf6hcbh85h3egy4gsugnwgjjgg5gds',
+  '5dggd0gelghbgl4gppguvh03h5ah9qhdlhfwhhdhgthffhc4h8dh3agybgssgo0gjigg8gdq',
+  '5nagcwgeogh7gl7gpmguxh01h5ah9shdihg1hh6hh2hf7hcfh84h3lgy1gt2gnrgjogfzgdx',
+  // 1960
+  '5wugd4gedghfgkygpuguph0ah55h9zhdfhg6hh6hh1hfahcbh8bh3dgyagstgo1gjggg7gdo',
+  '52ugcvgelgh6gl6gpmguyh01h5eh9phdohfwhhchgthfdhc6h8bh3dgy8gsxgnzgjlgg6gdu',
+  '5cmgczgekgh9gl3gpoguth04h57h9vhdfhg5hh3hh2hf4hcfh83h3kgy3gt2gnugjrgg3gdz',
+  '5megd3geeghdgkxgpqgunh06h53h9vhdghg2hh9hgyhfehc8h8eh3cgydgssgo4gjhggbgdp',
+  '5wagcvgeogh4gl7gphguxgzxh5ch9mhdmhfxhhchgwhfchcbh88h3hgy5gszgnvgjngg3gdw',
+  '51qgd2geighdgl1gpsguqh08h53h9xhdchg5hh2hh3hf4hceh85h3jgy5gsygnxgjngg4gdv',
+  '5bigd1geighcgl2gppgush03h57h9qhdhhfwhhahgshfdhc5h8fh3bgydgsugo5gjjggbgdr',
+  '5lcgcvgengh5gl6gpjguwgzzh5ah9ohdjhfyhh7hgyhf7hceh85h3lgy3gt2gnugjrgg1gdz',
+  '5uqgd4gedghegkwgptgumh09h52h9yhdehg6hh4hh2hf8hcbh89h3fgy8gsvgo0gjjgg8gdr',
+  '50ggcygekgh8gl4gpmguuh00h5bh9ohdmhfwhhchgthfehc5h8ch3bgyagsvgo0gjkgg8gds',
+  // 1970
+  '5a1gcygemgh8gl5gpmguth01h57h9shdfhg2hh4hh2hf6hcfh84h3mgy2gt3gntgjrgg1gdy',
+  '5jlgd3gedghegkvgpsgumh06h52h9uhdehg3hh8hgzhfehcbh8fh3egyegsvgo3gjhggagdo',
+  '5thgctgemgh3gl5gphguvgzxh5ch9mhdnhfwhhchgwhfehcbh8ch3hgy9gt0gnygjngg4gdu',
+  '4z1gczgeggh9gkzgpoguph05h54h9vhddhg6hh3hh4hf5hchh86h3mgy6gt3gnxgjqgg5gdx',
+  '58wgd1gefghagkxgpngunh01h53h9rhdfhfyhhahgvhffhc7h8hh3dgyggswgo8gjkggegds',
+  '5itgcvgengh2gl4gpfgutgzuh58h9khdjhfwhh9hgyhfbhcfh8ah3mgy7gt4gnwgjsgg4gdz',
+  '5s9gd4geeghcgkxgppgulh05h4zh9vhdahg5hh2hh4hf8hcgh8ah3kgyagt0go0gjngg8gdu',
+  '4y3gczgejgh9gl2gpmgurh00h57h9mhdihfthhahgshffhc6h8fh3egyfgswgo5gjlggcgdt',
+  '57vgcxgemgh6gl6gpjguugzyh57h9ohdfhfyhh4hgzhf5hcfh86h3ngy6gt6gnxgjugg4ge1',
+  '5hjgd4gedghdgkugpqgukh06h50h9uhdchg3hh4hh0hfahcch8dh3hgyegsxgo5gjmggbgds',
+  // 1980
+  '5rggcwgelgh4gl3gphgutgzwh5ah9mhdlhfwhhdhguhfehc8h8dh3fgybgsygo1gjngg8gdv',
+  '4x0gd0gejgh8gl2gplgurh01h54h9thddhg4hh3hh4hf6hchh85h3mgy4gt3gnwgjrgg4gdz',
+  '56qgd4gefghdgkwgppgulh03h51h9qhddhg0hh7hgxhfehcah8gh3fgyggsvgo7gjjggdgdq',
+  '5gmgcugengh3gl5gpfguugzuh58h9khdjhfvhhbhgxhfdhceh8ch3mgyagt3gnygjqgg3gdw',
+  '5q4gd1gedghagkwgpogumh04h51h9uhdbhg6hh3hh5hf7hcjh89h3ngyagt3go0gjpgg6gdu',
+  '4vzgcygeegh8gkxgplguoh00h55h9ohdhhfxhhahguhfghc7h8ih3egyhgsxgo8gjlggegdr',
+  '55sgcugelgh2gl3gpegusgzuh56h9lhdhhfxhh7hh0hf9hcgh89h3ogy8gt8gnygjwgg4ge2',
+  '5fcgd4gebghbgkrgpngugh01h4wh9thd8hg4hh4hh4hfbhcgh8fh3lgyegt1go5gjoggbgdt',
+  '5p3gcxgeigh5gkzgpggupgzth55h9jhdihfuhhchgvhfhhcah8hh3hgyggt0go4gjoggagdt',
+  '4umgcxgekgh5gl2gpigupgzyh53h9nhdchg0hh2hh2hf6hcjh87h3qgy8gt8gnygjvgg5ge1',
+  // 1990
+  '549gd4gedghcgktgpoguhh02h4xh9qhd9hfyhh4hgxhfchcbh8hh3igyigt0goagjnggggds',
+  '5e4gcvgelgh2gl2gpdgurgzsh56h9ihdihfshhahgvhfehcbh8fh3lgydgt4go2gjsgg9gdx',
+  '5nkgd0geggh7gkxgpkgulgzzh50h9shdahg4hh2hh4hf7hcih89h3ogy9gt6gnzgjtgg7gdz',
+  '4t8gd2gefghagkvgpmgulh00h50h9ohdehfwhh9hguhffhc9h8hh3fgyhgsygo8gjlggfgds',
+  '530gcvgengh3gl4gpfgurgzth56h9ihdghfvhh8hgxhfchcfh8ch3ogyagt6go0gjugg5ge0',
+  '5cmgd2gecghagkugpmguih01h4xh9shd8hg4hh3hh4hfahcjh8eh3ogyfgt4go4gjqgg9gdu',
+  '5mjgcxgefgh5gkxgpigungzvh55h9lhdhhfvhhchgvhfihcah8kh3igyigt0go8gjnggdgdr',
+  '4scgcugejgh2gl1gpeguqgzuh55h9mhdfhg0hh5hh2hf9hcjh89h3rgyagt9go0gjxgg5ge3',
+  '526gd4geaghagkrgplgueh00h4vh9qhd8hg1hh4hh1hfchcfh8hh3mgyigt3goagjqggfgdv',
+  '5c5gcwgekgh1gkzgpcgungzqh53h9fhdhhfshhchgvhfihcdh8ih3mgyhgt4go5gjrggbgdw',
+  // 2000
+  '5logczgehgh5gkxgphgulgzvh4zh9nhd9hg1hh2hh5hf9hclh8bh3sgybgt9go1gjvgg6ge0',
+  '4rdgd3gecghbgktgpmguih00h4wh9ohd9hfwhh5hgwhfehcbh8jh3igylgt0gobgjoggggdt',
+  '517gcvgemgh1gl2gpdguqgzqh55h9ghdfhfshh8hguhfdhceh8eh3ogyegt8go4gjwgg9ge0',
+  '5argd1gedgh7gktgpiguhgzyh4wh9qhd7hg3hh1hh5hf8hckh8ch3qgyegt8go5gjuggagdy',
+  '5kigd0geegh6gktgphgujgzvh50h9lhdehfvhhbhgvhfhhcah8jh3hgykgszgoagjnggfgdt',
+  '4q2gcvgemgh0gl2gpcgupgzrh53h9jhdehfxhh6hh0hfbhcih8bh3rgyagt9go0gjwgg6ge2',
+  '4zmgd5gecghagkrgplguegzzh4sh9phd6hg0hh2hh2hfbhcih8hh3ogyigt5go8gjrggdgdw',
+  '59ggcwgeigh2gkxgpegulgzrh51h9fhdghfrhhbhgvhfjhcch8mh3mgykgt4go9gjpggdgdt',
+  '5j0gcvgehgh1gkxgpegulgzuh50h9lhdbhg0hh3hh4hfahcmh8ch3ugycgtcgo2gjygg6ge1',
+  '4oqgd2ge9gh9gkpgpkguegzzh4uh9phd8hfyhh4hgyhfehcdh8jh3lgymgt3godgjqggigdu',
+  // 2010
+  '4ykgcvgekgh0gkzgpagumgznh53h9dhdghfrhhahgvhfghcdh8ih3pgyhgt9go7gjwggcge0',
+  '586gd0geegh5gksgpfgufgzuh4uh9mhd6hg1hh2hh5hfahcnh8eh3ugyfgtbgo4gjxggage1',
+  '5hvgd2gedgh7gksgphgufgzvh4vh9khdahfvhh8hgwhfihcch8mh3kgyngt2gocgjpggggdt',
+  '4nlgcugemgh0gl1gpbgupgzph53h9fhdehfthh6hgyhfchchh8fh3sgyegtbgo4gjzgg8ge3',
+  '4xcgd3gecgh8gkrgpjgudgzxh4sh9ohd4hg0hgzhh3hf9hckh8fh3sgyigtago9gjwggegdz',
+  '578gczgefgh3gkugpeguigzqh4zh9ghdehfrhhbhguhfjhcch8mh3lgymgt4gocgjrggggdu',
+  '5gwgcvgejggzgkygpbgulgzqh50h9jhdchfyhh5hh3hfbhclh8dh3ugycgtcgo2gjzgg7ge3',
+  '4mjgd4gebgh9gkpgpkgudgzxh4sh9ohd6hg0hh2hh1hfdhcgh8ih3ngylgt4gobgjrggggdv',
+  '4wcgcxgejgh1gkzgpbgulgzoh51h9dhdfhfqhhahgvhfihceh8lh3pgykgt8go9gjuggcgdx',
+  '562gcxgefgh1gkugpdguhgzsh4vh9lhd7hg0hh2hh6hfbhcoh8fh3ygyfgtego5gjygg8ge1',
+  // 2020
+  '5fugd0ge9gh6gkngphgudgzvh4uh9mhd9hfxhh7hgyhfihceh8nh3ngypgt4goegjqggigdt',
+  '4lngcsgejggxgkygp8gumgzmh52h9ehdfhfshh9hgxhffhchh8ih3tgyigtcgo7gjzggcge2',
+  '4vegd1gebgh4gkpgpegubgzsh4ph9lhd3hg0hh1hh4hfbhcnh8gh3vgyjgtdgoagjzggege2',
+  '554gd1gedgh4gkqgpcgucgzph4th9fhd9hfrhh9hgwhfkhcfh8ph3ngyqgt5gofgjrggigdv',
+  '5epgcugekggygkxgp8gukgzlh4zh9dhdahfthh5hh1hfdhclh8hh3wgyggtfgo5gk1gg8ge4',
+  '4k8gd3gebgh8gkpgpigubgzvh4qh9lhd2hfyhgyhh1hfahcih8ih3sgymgt9godgjwgghgdy',
+  '4tygcygehgh2gkvgpbguigznh4yh9chdchfohh8hgthfhhcch8nh3ogyogt8goegjwgghgdy',
+  '53lgcwgehggzgkugp9guhgzoh4wh9hhd7hfxhh2hh4hfahcoh8eh3xgyfgtggo6gk2gg9ge5',
+  '5d6gd3geagh6gkngpgguagzvh4rh9lhd6hfyhh5hgzhfghcfh8lh3ogyngt5goegjrggigdv',
+  '4itgcvgekggzgkygp8gulgzlh50h9chdehfrhhahgwhfhhcgh8kh3rgyjgtago9gjxggcge1',
+  // 2030
+  '4sigd0geegh3gksgpcgudgzrh4rh9ihd4hfzhh0hh5hfbhcph8gh3ygyjgtfgo8gk0ggbge2',
+  '52bgd0gebgh4gkogpegucgzrh4sh9ghd8hfthh8hgyhfkhchh8qh3qgyrgt7goggjrggigdt',
+  '5c3gcsgehggwgkwgp5gukgzkh50h9dhddhfthh8hh0hfghcmh8jh3xgykgtfgo9gk0ggbge2',
+  '4hvgd1ge9gh4gkngpegu9gzth4ph9lhd3hfzhh0hh4hfbhcmh8jh3vgymgtegodgjzgghge1',
+  '4rsgczgedgh2gkqgp9gudgzlh4th9chdahfqhh9hgvhfkhcfh8qh3qgyrgtagohgjvggkgdx',
+  '51jgcvgehggxgktgp5gufgzjh4uh9dhd7hfuhh4hh4hfehcph8jh40gyjgtjgo7gk4ggage5',
+  '5b7gd3ge9gh7gklgpfgu8gzsh4nh9jhd2hfxhh2hh1hfehckh8mh3tgypgtagoggjvggigdx',
+  '4gxgcwgeiggzgkvgp8guigzlh4xh9ahdbhfohh8hguhfihcfh8oh3rgypgtcgoegjzgghge0',
+  '4qqgcygefgh0gksgp9gudgznh4qh9ghd3hfwhgzhh3hfahcoh8hh40gyjgtjgoagk5ggdge6',
+  '50ggd3ge9gh5gklgpdgu8gzqh4oh9hhd5hfuhh4hgyhfihchh8ph3qgysgt7goigjtgglgdw',
+  // 2040
+  '5a3gctgejggwgkvgp5guigzih4yh9ahdchfrhh9hgxhfhhckh8kh3vgylgtegoagk0ggcge3',
+  '4fngd2gebgh5gkogpdguagzqh4oh9ihd1hfyhgzhh4hfahcoh8hh3xgykgtfgobgk1ggege3',
+  '4pagd1gedgh4gkpgpcgubgznh4rh9chd7hfqhh8hgvhfkhcfh8sh3qgytgt9goigjuggjgdv',
+  '4z1gcsgehggvgkugp4guggzjh4vh9bhd9hfthh5hh2hffhcph8kh41gylgtjgo9gk3ggbge3',
+  '58ogd1ge7gh3gkkgpdgu6gzsh4nh9khd2hfzhh1hh4hfdhcmh8mh3vgypgtegofgjygghgdz',
+  '4eegcvgefggygkqgp7guegzjh4vh9ahdbhfphhahgvhflhcfh8rh3rgysgtcgohgjyggkgdz',
+  '4o7gcwgefggxgkqgp4gubgzih4qh9chd4hfuhh2hh4hfdhcrh8jh42gylgtlgobgk6ggdge7',
+  '4xugd3ge8gh5gkjgpbgu4gzoh4kh9fhd1hfvhh3hh1hfihclh8rh3ugyugtbgojgjvggkgdx',
+  '57hgctgeiggwgktgp4guggzgh4vh97hdbhfnhh9hgwhfkhckh8ph3xgyqgtggoegk1ggfge1',
+  '4d6gczgecgh1gkogpaguagznh4nh9fhd0hfwhgxhh4hf9hcqh8ih41gymgtkgoegk5ggfge5',
+  // 2050
+  '4mvgd2geagh3gkmgpbgu7gznh4oh9dhd4hfqhh5hgwhfjhcgh8sh3sgyvgtcgomgjwggogdx',
+  '4wpgctgehggugksgp1gufgzfh4uh99hd9hfqhh7hgzhfhhcnh8nh40gyngtjgocgk5ggege5',
+  '56cgd1ge9gh3gkkgpagu5gzph4lh9ihd1hfyhh0hh5hfchcph8kh3ygyogtfgofgk0ggige1',
+  '4bzgczgeegh1gkpgp9gubgzjh4sh9ahd8hfohh9hgvhfmhcgh8th3rgyugtbgojgjxgglgdy',
+  '4lvgcvgehggwgksgp3gucgzgh4rh99hd5hfrhh3hh3hfehcsh8lh44gymgtngocgk6ggdge6',
+  '4vmgd2ge7gh3gkjgpbgu3gzph4jh9ghd0hfwhh2hh2hfhhcoh8rh3xgyugtfgojgjxgglgdx',
+  '55fgctgeeggvgkqgp3gudgzgh4uh98hdbhfnhhbhgvhfmhcjh8th3wgytgthgoigk0ggjge1',
+  '4b9gcwgedggxgkngp5gu9gzjh4nh9chd2hfuhh0hh4hfbhcrh8jh44gymgtngoegk8gggge8',
+  '4kygd3ge9gh3gkigp9gu3gzlh4jh9chd1hfrhh4hgyhfjhckh8th3vgywgtegomgjyggogdy',
+  '4uogcugehggtgksgozgudgzch4rh95hd8hfnhh7hgyhfkhcnh8rh41gyrgtkgofgk4gggge4',
+  // 2060
+  '549gd0geagh1gklgp9gu5gzmh4jh9fhcyhfwhgyhh4hfbhcrh8lh41gyqgtkgofgk4gghge4',
+  '49ugd0gebgh1gkngp8gu9gzkh4oh9ahd4hfohh5hgvhfkhcgh8uh3tgywgtegomgjzggogdy',
+  '4jogctgehggtgksgp0gucgzdh4rh96hd5hfphh3hgzhffhcqh8mh43gypgtogoegk8gggge8',
+  '4t8gd3ge7gh3gkhgp8gu2gzmh4ih9fhcyhfwhh0hh4hfehcph8ph3ygytgtggojgk0gglge0',
+  '52sgcxgedggwgkpgp3gu9gzgh4rh97hd8hfohhahgwhfnhcih8uh3ugyvgtegokgjzggkge0',
+  '48hgcvgefggwgkpgp3guagzgh4oh99hd1hfthh0hh4hfdhcsh8kh45gyngtogodgk8ggege8',
+  '4i2gd3ge7gh4gkhgpagu2gzlh4ih9dhcyhfthh1hh0hfjhcnh8uh3xgyygtggomgjzggngdx',
+  '4rugcsgefggsgkpgozgubgzch4rh95hd9hfmhh9hgyhfmhcnh8uh42gyvgtlgojgk4ggige2',
+  '51ngcwge9ggxgkjgp4gu5gzjh4kh9dhd0hfwhgzhh6hfchcth8mh45gyqgtogohgk7gghge7',
+  '47cgd0ge8gh0gkigp6gu3gzjh4kh9ahd3hfphh6hgyhflhcjh8wh3vgyzgtfgoqgk0ggrgdz',
+  // 2070
+  '4hbgctgehggrgkpgoxgu9gz9h4oh92hd5hfnhh5hh0hfjhcqh8rh45gytgtpgohgk9ggige9',
+  '4qzgd3ge8gh1gkhgp6gu0gzih4eh9chcvhfvhgyhh5hffhcth8qh44gyugtlgokgk4ggkge3',
+  '50mgcygecggygkmgp4gu7gzfh4nh96hd4hfmhh7hgvhfnhckh8wh3xgyzgthgoogk0ggoge0',
+  '46igcugegggugkqgp0guagzdh4oh96hd1hfohh0hh0hfdhcrh8mh46gyqgtrgoggkcggggeb',
+  '4g5gd4ge7gh3gkggp9gu0gzlh4fh9dhcwhfthgyhh1hffhcoh8rh40gyxgtjgoogk2ggpge0',
+  '4pxgcvgeeggtgkngp0gu8gzbh4qh94hd7hfmhh9hgwhfmhclh8vh3zgyxgtjgolgk3ggmge2',
+  '4zmgcxgecggvgkmgp2gu5gzgh4kh9bhd0hfuhh0hh5hfdhcth8lh45gypgtogofgk8gggge7',
+  '453gd3ge8gh3gkhgp8gu2gzjh4ih9bhd0hfqhh4hgzhflhclh8vh3xgyzgtfgoogjzggqgdy',
+  '4f0gcsgegggsgkpgoxgu9gz9h4ph91hd6hflhh7hgyhflhcqh8uh45gyvgtpgoigk8ggige5',
+  '4opgcyge7ggxgkhgp4gu0gzih4fh9chcwhfvhgzhh7hfehcvh8qh47gyvgtogojgk7ggige4',
+  // 2080
+  '4ybgcxge7ggxgkggp3gu3gzfh4lh98hd3hfohh8hgxhfohclh8zh3ygz1gtigorgk1ggqgdz',
+  '447gcsgeeggqgkngovgu7gz9h4mh93hd2hfnhh4hh0hfhhcsh8qh47gytgtsgoigkcggjgeb',
+  '4dqgd3ge6gh1gkdgp5gtwgzgh4ch9ahcthfthgyhh4hfghcth8th44gyzgtmgoogk6ggoge3',
+  '4ndgcwgecggugkkgozgu3gzah4kh91hd3hfkhh8hgwhfphcmh90h41gz2gtlgopgk4ggoge1',
+  '4x2gcvgedggsgkmgozgu5gzbh4jh96hcyhfqhgzhh3hfdhcvh8nh49gysgttgoigkcgghgea',
+  '42jgd4ge6gh2gkfgp7gtygzjh4eh9ahcwhfqhgzhh0hfihcnh8vh40gz1gtjgosgk3ggsge2',
+  '4chgcugeeggrgkngovgu7gz7h4mh90hd4hfjhh6hgwhfmhcnh8wh43gyzgtpgoogk9ggnge7',
+  '4m6gcygeaggwgkhgp0gu1gzdh4fh98hcwhfthgyhh7hfehcvh8ph48gytgtrgoigkaggkge8',
+  '4vogd2ge7ggzgkggp4gu0gzfh4hh97hd0hfphh5hgyhfohcmh8yh3zgz2gthgorgk1ggrgdz',
+  '41kgctgehggrgkpgowgu7gz8h4mh90hd3hfkhh4hgzhfjhcrh8sh47gyvgtsgojgkbggjge9',
+  // 2090
+  '4b8gd2ge7gh0gkggp4gtygzgh4dh99hcthfthgxhh5hffhcuh8th48gyygtqgongk7ggmge4',
+  '4l1gcwge9ggugkhgp0gu2gzch4jh94hd3hflhh8hgxhfqhcmh92h41gz5gtlgosgk4ggqge0',
+  '4v0gcsgecggpgklgovgu5gz9h4kh95hd1hfphh2hh3hfghcuh8qh4agyugtugojgkeggigeb',
+  '40mgd3ge5ggzgkcgp5gtvgzhh4bh9ahcvhfshh0hh3hfihcrh8vh43gz1gtngorgk6ggrge4',
+  '4akgcvgedggrgkkgougu2gz5h4jh8yhd2hfjhh7hgxhfphcph8zh45gz2gtpgorgk8ggpge6',
+  '4kagcxgebggtgkigoxgu0gz9h4eh94hcvhfqhgyhh6hfghcyh8rh4bgywgtugokgkcggjge9',
+  '4trgd2ge5ggzgkdgp4gtxgzfh4dh97hcvhfphh2hgzhfmhcoh8zh42gz5gtkgougk4ggsge0',
+  '3zmgcsgefggqgkmgougu6gz5h4lh8yhd2hfhhh4hgwhfkhcph8vh47gyzgttgoogkdggnge9',
+  '497gd1ge8ggwgkfgp0gtxgzdh4bh97hcrhfshgvhh5hfehcvh8rh49gyygttgoogkbggnge8',
+  '4iqgczge8ggvgkegozgtygzah4fh93hd0hfmhh6hgxhfphcnh91h41gz5gtlgougk4ggsge1',
+  // 2100
+  '4sggctgeeggpgkmgotgu4gz5h4kh90hd1hfmhh3hh1hfihcuh8rh4agyugtugojgkdggjgeb',
+  '51ugd3ge6gh0gkdgp4gtvgzfh4ah99hcshfshgxhh4hfhhcth8vh47gz0gtpgoqgk8ggpge4',
+  '5bogcvgebggsgkhgowgu1gz6h4hh8zhd0hfjhh7hgwhfqhcph92h45gz6gtqgotgk7ggrge3',
+  '5ligctgebggpgkhgougu1gz7h4fh92hcxhfphh0hh5hfhhcyh8th4egyxgtxgolgkfggjgea',
+  '5v1gd1ge3ggxgkagp1gtugzeh4bh97hcvhfrhh1hh2hflhcrh90h45gz5gtogovgk6gguge2',
+  '510gctgedggpgkjgorgu2gz3h4ih8whd1hfhhh6hgwhfohcph8zh47gz3gttgorgkdggqgea',
+  '5apgczgeaggugkfgowgtwgz8h49h93hcrhfqhgwhh6hffhcyh8th4egyzgtwgoogkfggmgea',
+  '5kagd1ge6ggxgkcgozgtvgzah4bh92hcwhflhh3hgzhfphcph94h44gz9gtngoxgk5gguge1',
+  '5u7gcsgeeggogklgosgu4gz3h4jh8yhd0hfjhh3hgyhfjhcth8vh4agz0gtvgoogkfggmgeb',
+  '4zrgd2ge6ggygkdgp1gtvgzeh49h97hcrhfrhgvhh5hfehcvh8uh49gz1gttgosgkcggrge8',
+  // 2110
+  '59ogcyge8ggtgkegowgtxgz6h4fh8zhczhfihh6hgwhfqhcoh93h44gz8gtpgoxgk8gguge4',
+  '5jjgctgedggogkigorgu0gz3h4gh8zhcyhfnhh1hh4hfjhcxh8uh4dgyxgtwgomgkfggkgec',
+  '5sygd3ge4ggygkagp1gtsgzdh49h97hcshfshgzhh4hflhcuh8yh47gz5gtpgotgk7ggsge3',
+  '4yugcvgecggqgkigotgu0gz3h4gh8whczhfhhh6hgvhfqhcqh92h47gz6gtsgotgkbggqge7',
+  '58jgcwgeaggrgkggougtxgz6h4bh91hcshfphgwhh6hfghd0h8vh4ggz0gtzgopgkggglgea',
+  '5i5gd0ge2ggvgk9goygtsgzah49h94hcuhfohh2hh0hfphcsh94h47gzagtqgoygk7ggvge2',
+  '5s2gcrgecgglgkhgopgu0gz1h4hh8whd0hfihh6hgxhfnhcsh8zh4agz3gtwgosgkfggpgeb',
+  '4xlgd0ge6ggugkcgowgttgz8h47h93hcqhfqhgwhh6hfghcyh8uh4dgz2gtxgorgkgggqgeb',
+  '57bgd0ge6ggugkagovgtsgz4h49h8xhcuhfihh4hgxhfrhcrh96h46gzcgtqgp0gk8ggxge4',
+  '5h2gctgedggngkigopgtzgyzh4eh8uhcwhfihh2hh1hfkhcyh8xh4fgz1gtzgopgkhggmgec',
+  // 2120
+  '5qggd1ge4ggxgkagozgtsgzbh46h94hcphfqhgwhh3hfihcwh8yh4bgz5gtvgovgkbggtge7',
+  '4w9gcwgeaggrgkfgotgtygz3h4dh8uhcyhfehh4hguhfphcoh93h46gzagttgoygkcggwge7',
+  '55zgcwgecggogkhgoqgtxgz3h4bh8yhcshfmhgxhh3hfghczh8uh4ggz0gu1gopgkjggngee',
+  '5fggd3ge3ggwgk7goygtqgz9h47h93hcshfohh0hh3hfmhcuh92h48gz8gtrgoxgk9ggvge4',
+  '5pagctgedggngkhgoqgu0gz0h4gh8uhd0hfhhh6hgwhfphcrh91h49gz5gtugotgkdggrge8',
+  '4uugczge9ggtgkegovgtvgz7h48h92hcqhfphgwhh6hfhhd0h8vh4fgz2gtzgoqgkhggngec',
+  '54ogd0ge4ggtgk9gowgtrgz7h47h90hcthflhh3hgzhfrhcsh97h49gzdgtsgp1gk9ggxge2',
+  '5epgcrgebggkgkggongtygyyh4fh8uhczhfihh5hh1hfnhcyh90h4fgz5gu0gosgkhggogeb',
+  '5ocgczge3ggsgk8govgtqgz8h45h94hcqhfrhgxhh7hfjhczh8zh4egz6gtygovgkfggsgea',
+  '4u9gcxge7ggqgkbgorgttgz1h48h8vhcvhfghh5hgwhfshcqh97h48gzdgttgp2gkcggyge7',
+  // 2130
+  '543gcvgedggmgkggongtvgyxh49h8thcshfihgzhh3hfkhd0h8yh4jgz4gu3gorgklggngee',
+  '5dkgd2ge3ggvgk7gowgtngz8h42h92hcnhfohgwhh4hflhcxh94h4dgzagtwgozgkcggwge6',
+  '5nfgcugeaggogkegoqgtxgyzh4dh8shcxhfehh4hgvhfphcqh94h4agz9gtwgoygkfggvge9',
+  '4t0gcxgeaggqgkdgosgtvgz3h48h8yhcphfmhgvhh4hffhd0h8uh4igz2gu2gotgklggpgef',
+  '52ogd2ge3ggugk6govgtngz6h44h8zhcqhflhh0hgzhfphcth95h49gzdgtugp2gkbggzge5',
+  '5chgctgecgglgkfgomgtwgywh4ch8shcxhfghh5hgzhfphcvh91h4dgz6gtzgotgkgggqgec',
+  '5lugczge6ggsgkagovgtqgz5h45h91hcohfqhgwhh7hfihd1h8xh4hgz4gtzgotgkgggqgeb',
+  '4rjgczge6ggsgkagougtqgz3h47h8vhcshfghh3hgwhfshcrh98h49gzegtugp2gkbggyge5',
+  '51dgcrgedggkgkfgomgtwgyxh4bh8shcthfhhh0hh1hfmhd0h90h4kgz6gu4gotgkkggoged',
+  '5avgd0ge0ggtgk4govgtmgz6h42h92hcohfqhgwhh6hflhczh93h4ggzbgtzgozgkgggvge7',
+  // 2140
+  '5krgcuge7ggmgkagoogtsgyzh4ah8shcxhffhh6hgwhfrhcsh96h4bgzcgtwgp2gkeggyge9',
+  '4qfgcvgeaggngkcgongttgyyh47h8uhcqhflhgxhh4hfjhd2h8xh4kgz4gu5gougkmggrgeg',
+  '502gd3ge2ggugk4gougtjgz4h3zh8yhcmhflhgyhh3hfohcyh97h4egzfgtxgp4gkdggzge6',
+  '59ygctgebgglgkegokgtugyvh49h8phcvhfehh5hgxhfrhcvh96h4fgzbgu1goygkhggtgeb',
+  '5jigcxge6ggqgkagorgtqgz3h44h8yhcohfnhgvhh6hfhhd2h8yh4lgz6gu4govgkmggrgee',
+  '4pcgd0ge4ggsgk6gotgtngz2h43h8whcphfhhgzhgyhfphcth97h4bgzggtwgp6gkegh2ge7',
+  '4z8gcsgedggjgkfgojgtugyuh49h8phcuhfehh2hgzhfnhcyh92h4jgz8gu4gowgkmggrgef',
+  '58qgd0ge4ggrgk6gosgtlgz4h40h90hcmhfphgvhh7hfkhd2h91h4igz9gu2goygkhggugeb',
+  '5iigcyge6ggpgk9goqgtqgyzh47h8shcthffhh4hgwhfthcsh98h4bgzegtwgp2gkeggyge7',
+  '4o8gctgecggmgkfgomgtugywh48h8shcrhfhhgyhh3hfkhd2h90h4lgz6gu6gougknggqgef',
+  // 2150
+  '4xxgd2ge0ggtgk3gotgtjgz4h3zh8zhclhfmhgwhh4hfnhd0h97h4hgzggu0gp4gkgggyge7',
+  '57wgctge7ggkgkagokgtrgyuh49h8phcvhfehh6hgxhfthcuh99h4fgzegu0gp2gkiggwgea',
+  '5hjgcuge7gglgk9gomgtqgyyh44h8vhcphfmhgwhh6hfjhd4h8zh4mgz6gu7gowgkoggrgeh',
+  '4n8gd2ge2ggsgk3gorgtjgz0h3zh8uhcmhfihgyhh0hfphcwh99h4dgzhgtygp7gkfgh3ge8',
+  '4x0gcugecggjgkdgoigtsgyrh46h8mhcshfbhh2hgxhfqhcyh97h4jgzcgu5gozgklgguged',
+  '56fgczge4ggqgk6goqgtlgz1h3zh8xhcjhfnhgthh7hfjhd3h92h4mgzagu6gozgklggugec',
+  '5g4gczge3ggqgk6goqgtngyzh44h8shcqhffhh0hgwhfrhcsh99h4cgzhgtygp6gkfgh2ge8',
+  '4ltgctgecggjgkegojgttgyth48h8phcrhffhgzhgzhflhd0h91h4kgz9gu6goygkpggsgei',
+  '4vegd1ge2ggrgk2goqgtigz1h3xh8yhcjhfnhgvhh5hfmhd1h95h4jgzdgu3gp2gkjggygeb',
+  '555gcwge7gglgk8golgtogyuh45h8phcthfehh5hgyhfuhcuh9bh4dgzggtzgp3gkgggyge8',
+  // 2160
+  '5epgcuge9gglgkagolgtqgyvh45h8shcphfjhgyhh6hflhd4h91h4ogz7gu7gowgknggrgef',
+  '4kdgd1ge1ggtgk2gosgtigz1h3xh8vhckhfjhgwhh3hfphcyh9ah4hgzjgu0gp7gkhgh1ge8',
+  '4ubgctge9ggjgkagoigtqgyrh46h8lhcthfbhh3hgxhfthcyh9ah4kgzhgu5gp3gklggwgec',
+  '53zgcwge3gglgk5golgtlgyxh41h8uhcmhfmhgvhh8hfkhd7h92h4qgzbgu9gp0gkpggugeg',
+  '5dugczge1ggogk2googtigyyh40h8shcohfghh1hgzhfshcvh9bh4egzkgtzgp9gkhgh4ge9',
+  '4jogctgecggigkbgoggtrgyph45h8lhcqhfdhh0hh0hfphd0h96h4mgzcgu8gp1gkpggwgeh',
+  '4tcgd1ge3ggpgk3googtggyyh3uh8uhchhflhgthh6hflhd5h96h4ogzggu7gp4gkmggyged',
+  '536gcyge5ggngk5gomgtlgyth42h8nhcphfchh3hgwhfuhcvh9dh4fgzkgu1gp8gkhgh2ge9',
+  '5cvgcsgeaggjgkbgoigtqgyth45h8ohcphffhgyhh2hflhd2h93h4ogzaguagozgkrggtgei',
+  '4ijgd3ge0ggsgk1goqgtggz0h3vh8vhchhfjhgthh3hflhd0h97h4jgzhgu4gp7gklgh3geb',
+  // 2170
+  '4sdgcvge9ggjgk9gohgtngyrh43h8lhcrhfahh3hgwhfthcwh9bh4hgzigu3gp5gkkgh0geb',
+  '51vgcvge7ggkgk7gojgtmgyuh40h8shclhfkhgwhh7hflhd6h92h4qgz9guagoygkqggsgeh',
+  '5bggd1ge1ggqgk2gopgthgyzh3xh8thckhfihgyhh0hfrhcxh9bh4ggzjgu0gp8gkggh3ge8',
+  '4h6gcsgebgghgkcgoggtqgyqh45h8khcrhfbhh2hgyhfrhczh99h4mgzfgu8gp2gkoggwgee',
+  '4qugcxge2ggmgk2golgthgywh3wh8thcihflhguhh7hfmhd7h96h4rgzfgubgp4gkpggwgef',
+  '50ngcxge0ggmgk0gokgthgyth3zh8phcohffhh2hgzhfvhcxh9eh4hgzngu2gpagkigh4ge8',
+  '5acgcrge9ggegk9godgtogynh44h8lhcqhfehh1hh2hfphd4h96h4pgzdgucgp1gksggvgej',
+  '4fzgd2ge1ggpgjzgongtcgyvh3rh8shcehfjhgthh5hfmhd5h98h4ogzjgu8gp8gkngh2gee',
+  '4pqgcxge6gglgk5gohgtjgyoh3zh8ihcnhf8hh2hgwhfvhcxh9fh4kgzngu6gp9gklgh3gea',
+  '4zbgcuge7ggigk8goggtlgyqh40h8nhckhfghgvhh4hfmhd6h95h4tgzdguegp2gktggvgei',
+  // 2180
+  '58zgd2gdzggqgjzgoogtfgyyh3uh8shchhfhhguhh0hfohczh9ah4jgzlgu5gpbgklgh5geb',
+  '4ergcugeaggigk9gofgtogyoh43h8jhcphf9hh2hgvhfrhcxh9bh4kgzjgu8gp7gkpgh1geg',
+  '4ohgcyge5ggkgk3goigthgysh3wh8qhchhfkhgthh7hflhd7h95h4sgzegudgp3gksggxgei',
+  '4y8gd1ge1ggogjzgomgtegyuh3vh8qhckhfghh0hh0hfuhcyh9eh4igzmgu2gpagkigh5ge8',
+  '57ygcsgeaggggkagofgtogynh44h8jhcqhfchh1hh0hfrhd3h98h4pgzfgubgp2gkrggvgeh',
+  '4dogd1ge1ggogk1gomgtfgyvh3sh8rhcfhfjhgshh6hflhd7h98h4rgzigubgp7gkqgh0gef',
+  '4nlgcxge3ggkgk2goigthgyrh3xh8lhcmhfbhh1hgxhfwhcyh9gh4lgzpgu6gpcgklgh4ge9',
+  '4xdgcrge7ggegk6gocgtlgynh41h8lhcnhffhgzhh4hfohd7h97h4tgzfgufgp3gkuggwgek',
+  '572gd1gdyggogjxgolgtbgyvh3sh8shcfhfjhguhh4hfohd3h9ah4mgzlgu8gpagkngh5ged',
+  '4ctgcvge8ggigk6goegtkgylh3zh8hhcnhf8hh2hgwhfvhcyh9eh4mgzmgu8gpagkpgh3gee',
+  // 2190
+  '4mhgcvge6ggigk4goegthgyoh3uh8lhchhfghgthh7hfmhdah97h4vgzhguggp4gkvggwgej',
+  '4w3gd1gdzggogjxgolgtcgyth3sh8ohchhffhgxhh0hfthd0h9fh4lgzogu6gpdgklgh6ge9',
+  '55sgcrge9ggfgk7gocgtmgylh42h8hhcphf9hh1hgxhfshd1h9bh4ogzjgucgp7gksgh0geh',
+  '4begczge2gglgk0goigtdgyrh3rh8phcdhfihgrhh6hfkhd7h97h4sgzigufgp7gkugh1gej',
+  '4l2gd0ge2gglgjzgoigtdgyph3th8khcjhfbhgzhgyhfvhcyh9hh4kgzqgu6gpegklgh6gea',
+  '4ungcsge8ggegk7goagtkgykh40h8hhcnhfchgzhh2hfrhd6h99h4tgzhguegp4gkuggwgej',
+  '546gd1gdzggogjygolgtbgyuh3qh8rhcdhfihgshh5hfnhd6h9ah4qgzkgubgp9gkpgh3gee',
+  '49wgcwge5ggjgk4gofgtigynh3xh8ihclhf8hh1hgwhfwhcyh9hh4mgzqgu9gpegkogh5gec',
+  '4jqgctge5ggegk3gocgthgylh3wh8khcjhfehgwhh5hfohdah99h4ygzigujgp6gkxggygek',
+  '4tjgd0gdwggmgjugojgt8gysh3ph8qhcfhfihgwhh3hfshd4h9eh4ogzqgu9gpegkogh7gec',
+  // 2200
+  '53cgcsge7ggegk5goagtigyjh3zh8fhcohf8hh3hgyhfvhd1h9fh4pgzngucgpagksgh4geh',
+];
+
+export default { SOLAR_TERM_TABLE, SOLAR_TERM_TABLE_START, SOLAR_TERM_TABLE_END };
@@ -0,0 +1,464 @@
+/**
+ * ===================================================================
+ * sinsaju-calculator - Historical Timezone Rules (역사적 시간대/서머타임)
+ * ===================================================================
+ * Offline excerpt of the IANA tz database for the zones used by
+ * LOCATIONS in modules/longitude-correction.js. Only the years the
+ * birth form accepts (1900-2100) matter; older zone lines are kept
+ * just far enough back to cover 1900.
+ *
+ * ZONES[zone] is a list of eras, oldest first:
+ *   [offsetMinutes, rules, until, label]
+ *   - offsetMinutes: standard UTC offset, or null for local mean time
+ *     (clock followed the sun at the birthplace: no correction)
+ *   - rules: key of RULES, or null when no summer time was kept
+ *   - until: local wall-clock [y, m, d, h?, mi?] the era ends, or null
+ *   - label: human-readable name shown in the correction panel
+ *
+ * RULES[key] is a list of tz-style transition lines:
+ *   [fromYear, toYear, month, on, at, saveMinutes]
+ *   - on: day of month, 'lastSun', or 'Sun>=8' style
+ *   - at: 'h:mm' local wall time, suffix 's' = standard time, 'u' = UTC
+ *     ('24:00' means midnight at the end of the day)
+ */
+
+const MAX = Infinity;
+
+export const RULES = {
+  ROK: [
+    [1948, 1948, 6, 1, '0:00', 60],
+    [1948, 1948, 9, 12, '24:00', 0],
+    [1949, 1949, 4, 3, '0:00', 60],
+    [1949, 1951, 9, 'Sat>=7', '24:00', 0],
+    [1950, 1950, 4, 1, '0:00', 60],
+    [1951, 1951, 5, 6, '0:00', 60],
+    [1955, 1955, 5, 5, '0:00', 60],
+    [1955, 1955, 9, 8, '24:00', 0],
+    [1956, 1956, 5, 20, '0:00', 60],
+    [1956, 1956, 9, 29, '24:00', 0],
+    [1957, 1960, 5, 'Sun>=1', '0:00', 60],
+    [1957, 1960, 9, 'Sat>=17', '24:00', 0],
+    [1987, 1988, 5, 'Sun>=8', '2:00', 60],
+    [1987, 1988, 10, 'Sun>=8', '3:00', 0],
+  ],
+
+  Japan: [
+    [1948, 1948, 5, 'Sat>=1', '24:00', 60],
+    [1948, 1951, 9, 'Sat>=8', '25:00', 0],
+    [1949, 1949, 4, 'Sat>=1', '24:00', 60],
+    [1950, 1951, 5, 'Sat>=1', '24:00', 60],
+  ],
+
+  Shang: [
+    [1919, 1919, 4, 12, '24:00', 60],
+    [1919, 1919, 9, 30, '24:00', 0],
+    [1940, 1940, 6, 1, '0:00', 60],
+    [1940, 1940, 10, 12, '24:00', 0],
+    [1941, 1941, 3, 15, '0:00', 60],
+    [1941, 1941, 11, 1, '24:00', 0],
+    [1942, 1942, 1, 31, '0:00', 60],
+    [1945, 1945, 9, 1, '24:00', 0],
+    [1946, 1946, 5, 15, '0:00', 60],
+    [1946, 1946, 9, 30, '24:00', 0],
+    [1947, 1947, 4, 15, '0:00', 60],
+    [1947, 1947, 10, 31, '24:00', 0],
+    [1948, 1949, 5, 1, '0:00', 60],
+    [1948, 1949, 9, 30, '24:00', 0],
+  ],
+
+  PRC: [
+    [1986, 1986, 5, 4, '2:00', 60],
+    [1986, 1991, 9, 'Sun>=11', '2:00', 0],
+    [1987, 1991, 4, 'Sun>=11', '2:00', 60],
+  ],
+
+  Taiwan: [
+    [1946, 1946, 5, 15, '0:00', 60],
+    [1946, 1946, 10, 1, '0:00', 0],
+    [1947, 1947, 4, 15, '0:00', 60],
+    [1947, 1947, 11, 1, '0:00', 0],
+    [1948, 1951, 5, 1, '0:00', 60],
+    [1948, 1951, 10, 1, '0:00', 0],
+    [1952, 1952, 3, 1, '0:00', 60],
+    [1952, 1954, 11, 1, '0:00', 0],
+    [1953, 1954, 4, 1, '0:00', 60],
+    [1955, 1959, 4, 1, '0:00', 60],
+    [1960, 1961, 6, 1, '0:00', 60],
+    [1955, 1961, 10, 1, '0:00', 0],
+    [1974, 1975, 4, 1, '0:00', 60],
+    [1974, 1975, 10, 1, '0:00', 0],
+    [1979, 1979, 7, 1, '0:00', 60],
+    [1979, 1979, 10, 1, '0:00', 0],
+  ],
+
+  US: [
+    [1918, 1919, 3, 'lastSun', '2:00', 60],
+    [1918, 1919, 10, 'lastSun', '2:00', 0],
+    [1942, 1942, 2, 9, '2:00', 60],
+    [1945, 1945, 9, 30, '2:00', 0],
+    [1967, 2006, 10, 'lastSun', '2:00', 0],
+    [1967, 1973, 4, 'lastSun', '2:00', 60],
+    [1974, 1974, 1, 6, '2:00', 60],
+    [1975, 1975, 2, 'lastSun', '2:00', 60],
+    [1976, 1986, 4, 'lastSun', '2:00', 60],
+    [1987, 2006, 4, 'Sun>=1', '2:00', 60],
+    [2007, MAX, 3, 'Sun>=8', '2:00', 60],
+    [2007, MAX, 11, 'Sun>=1', '2:00', 0],
+  ],
+
+  NYC: [
+    [1920, 1920, 3, 'lastSun', '2:00', 60],
+    [1920, 1920, 10, 'lastSun', '2:00', 0],
+    [1921, 1966, 4, 'lastSun', '2:00', 60],
+    [1921, 1954, 9, 'lastSun', '2:00', 0],
+    [1955, 1966, 10, 'lastSun', '2:00', 0],
+  ],
+
+  Chicago: [
+    [1920, 1920, 6, 13, '2:00', 60],
+    [1920, 1921, 10, 'lastSun', '2:00', 0],
+    [1921, 1921, 3, 'lastSun', '2:00', 60],
+    [1922, 1966, 4, 'lastSun', '2:00', 60],
+    [1922, 1954, 9, 'lastSun', '2:00', 0],
+    [1955, 1966, 10, 'lastSun', '2:00', 0],
+  ],
+
+  Detroit: [
+    [1948, 1948, 4, 'lastSun', '2:00', 60],
+    [1948, 1948, 9, 'lastSun', '2:00', 0],
+  ],
+
+  CA: [
+    [1948, 1948, 3, 14, '2:01', 60],
+    [1949, 1949, 1, 1, '2:00', 0],
+    [1950, 1966, 4, 'lastSun', '1:00', 60],
+    [1950, 1961, 9, 'lastSun', '2:00', 0],
+    [1962, 1966, 10, 'lastSun', '2:00', 0],
+  ],
+
+  Canada: [
+    [1918, 1918, 4, 14, '2:00', 60],
+    [1918, 1918, 10, 27, '2:00', 0],
+    [1942, 1942, 2, 9, '2:00', 60],
+    [1945, 1945, 9, 30, '2:00', 0],
+    [1974, 1986, 4, 'lastSun', '2:00', 60],
+    [1974, 2006, 10, 'lastSun', '2:00', 0],
+    [1987, 2006, 4, 'Sun>=1', '2:00', 60],
+    [2007, MAX, 3, 'Sun>=8', '2:00', 60],
+    [2007, MAX, 11, 'Sun>=1', '2:00', 0],
+  ],
+
+  Toronto: [
+    [1919, 1919, 3, 30, '23:30', 60],
+    [1919, 1919, 10, 26, '0:00', 0],
+    [1920, 1920, 5, 2, '2:00', 60],
+    [1920, 1920, 9, 26, '0:00', 0],
+    [1921, 1921, 5, 15, '2:00', 60],
+    [1921, 1921, 9, 15, '2:00', 0],
+    [1922, 1923, 5, 'Sun>=8', '2:00', 60],
+    [1922, 1926, 9, 'Sun>=15', '2:00', 0],
+    [1924, 1927, 5, 'Sun>=1', '2:00', 60],
+    [1927, 1937, 9, 'Sun>=25', '2:00', 0],
+    [1928, 1937, 4, 'Sun>=25', '2:00', 60],
+    [1938, 1940, 4, 'lastSun', '2:00', 60],
+    [1938, 1939, 9, 'lastSun', '2:00', 0],
+    [1945, 1946, 9, 'lastSun', '2:00', 0],
+    [1946, 1946, 4, 'lastSun', '2:00', 60],
+    [1947, 1949, 4, 'lastSun', '0:00', 60],
+    [1947, 1948, 9, 'lastSun', '0:00', 0],
+    [1949, 1949, 11, 'lastSun', '0:00', 0],
+    [1950, 1973, 4, 'lastSun', '2:00', 60],
+    [1950, 1950, 11, 'lastSun', '2:00', 0],
+    [1951, 1956, 9, 'lastSun', '2:00', 0],
+    [1957, 1973, 10, 'lastSun', '2:00', 0],
+  ],
+
+  Vanc: [
+    [1918, 1918, 4, 14, '2:00', 60],
+    [1918, 1918, 10, 27, '2:00', 0],
+    [1942, 1942, 2, 9, '2:00', 60],
+    [1945, 1945, 9, 30, '2:00', 0],
+    [1946, 1986, 4, 'lastSun', '2:00', 60],
+    [1946, 1946, 9, 29, '2:00', 0],
+    [1947, 1961, 9, 'lastSun', '2:00', 0],
+    [1962, 2006, 10, 'lastSun', '2:00', 0],
+  ],
+
+  Edm: [
+    [1918, 1919, 4, 'Sun>=8', '2:00', 60],
+    [1918, 1918, 10, 27, '2:00', 0],
+    [1919, 1919, 5, 27, '2:00', 0],
+    [1920, 1923, 4, 'lastSun', '2:00', 60],
+    [1920, 1920, 10, 'lastSun', '2:00', 0],
+    [1921, 1923, 9, 'lastSun', '2:00', 0],
+    [1942, 1942, 2, 9, '2:00', 60],
+    [1945, 1945, 9, 'lastSun', '2:00', 0],
+    [1947, 1947, 4, 'lastSun', '2:00', 60],
+    [1947, 1947, 9, 'lastSun', '2:00', 0],
+    [1972, 1986, 4, 'lastSun', '2:00', 60],
+    [1972, 2006, 10, 'lastSun', '2:00', 0],
+  ],
+
+  GB: [
+    [1916, 1916, 5, 21, '2:00s', 60],
+    [1916, 1916, 10, 1, '2:00s', 0],
+    [1917, 1917, 4, 8, '2:00s', 60],
+    [1917, 1917, 9, 17, '2:00s', 0],
+    [1918, 1918, 3, 24, '2:00s', 60],
+    [1918, 1918, 9, 30, '2:00s', 0],
+    [1919, 1919, 3, 30, '2:00s', 60],
+    [1919, 1919, 9, 29, '2:00s', 0],
+    [1920, 1920, 3, 28, '2:00s', 60],
+    [1920, 1920, 10, 25, '2:00s', 0],
+    [1921, 1921, 4, 3, '2:00s', 60],
+    [1921, 1921, 10, 3, '2:00s', 0],
+    [1922, 1922, 3, 26, '2:00s', 60],
+    [1922, 1922, 10, 8, '2:00s', 0],
+    [1923, 1923, 4, 'Sun>=16', '2:00s', 60],
+    [1923, 1924, 9, 'Sun>=16', '2:00s', 0],
+    [1924, 1924, 4, 'Sun>=9', '2:00s', 60],
+    [1925, 1926, 4, 'Sun>=16', '2:00s', 60],
+    [1925, 1938, 10, 'Sun>=2', '2:00s', 0],
+    [1927, 1927, 4, 'Sun>=9', '2:00s', 60],
+    [1928, 1929, 4, 'Sun>=16', '2:00s', 60],
+    [1930, 1930, 4, 'Sun>=9', '2:00s', 60],
+    [1931, 1932, 4, 'Sun>=16', '2:00s', 60],
+    [1933, 1933, 4, 'Sun>=9', '2:00s', 60],
+    [1934, 1934, 4, 'Sun>=16', '2:00s', 60],
+    [1935, 1935, 4, 'Sun>=9', '2:00s', 60],
+    [1936, 1937, 4, 'Sun>=16', '2:00s', 60],
+    [1938, 1938, 4, 'Sun>=9', '2:00s', 60],
+    [1939, 1939, 4, 'Sun>=16', '2:00s', 60],
+    [1939, 1939, 11, 'Sun>=16', '2:00s', 0],
+    [1940, 1940, 2, 'Sun>=23', '2:00s', 60],
+    [1941, 1941, 5, 'Sun>=2', '1:00s', 120],
+    [1941, 1943, 8, 'Sun>=9', '1:00s', 60],
+    [1942, 1944, 4, 'Sun>=2', '1:00s', 120],
+    [1944, 1944, 9, 'Sun>=16', '1:00s', 60],
+    [1945, 1945, 4, 'Mon>=2', '1:00s', 120],
+    [1945, 1945, 7, 'Sun>=9', '1:00s', 60],
+    [1945, 1946, 10, 'Sun>=2', '2:00s', 0],
+    [1946, 1946, 4, 'Sun>=9', '2:00s', 60],
+    [1947, 1947, 3, 16, '2:00s', 60],
+    [1947, 1947, 4, 13, '1:00s', 120],
+    [1947, 1947, 8, 10, '1:00s', 60],
+    [1947, 1947, 11, 2, '2:00s', 0],
+    [1948, 1948, 3, 14, '2:00s', 60],
+    [1948, 1948, 10, 31, '2:00s', 0],
+    [1949, 1949, 4, 3, '2:00s', 60],
+    [1949, 1949, 10, 30, '2:00s', 0],
+    [1950, 1952, 4, 'Sun>=14', '2:00s', 60],
+    [1950, 1952, 10, 'Sun>=21', '2:00s', 0],
+    [1953, 1953, 4, 'Sun>=16', '2:00s', 60],
+    [1953, 1960, 10, 'Sun>=2', '2:00s', 0],
+    [1954, 1954, 4, 'Sun>=9', '2:00s', 60],
+    [1955, 1956, 4, 'Sun>=16', '2:00s', 60],
+    [1957, 1957, 4, 'Sun>=9', '2:00s', 60],
+    [1958, 1959, 4, 'Sun>=16', '2:00s', 60],
+    [1960, 1960, 4, 'Sun>=9', '2:00s', 60],
+    [1961, 1963, 3, 'lastSun', '2:00s', 60],
+    [1961, 1968, 10, 'Sun>=23', '2:00s', 0],
+    [1964, 1967, 3, 'Sun>=19', '2:00s', 60],
+    [1968, 1968, 2, 18, '2:00s', 60],
+    [1972, 1980, 3, 'Sun>=16', '2:00s', 60],
+    [1972, 1980, 10, 'Sun>=23', '2:00s', 0],
+    [1981, 1995, 3, 'lastSun', '1:00u', 60],
+    [1981, 1989, 10, 'Sun>=23', '1:00u', 0],
+    [1990, 1995, 10, 'Sun>=22', '1:00u', 0],
+  ],
+
+  EU: [
+    [1977, 1980, 4, 'Sun>=1', '1:00u', 60],
+    [1977, 1977, 9, 'lastSun', '1:00u', 0],
+    [1978, 1978, 10, 1, '1:00u', 0],
+    [1979, 1995, 9, 'lastSun', '1:00u', 0],
+    [1981, MAX, 3, 'lastSun', '1:00u', 60],
+    [1996, MAX, 10, 'lastSun', '1:00u', 0],
+  ],
+
+  'C-Eur': [
+    [1916, 1916, 4, 30, '23:00', 60],
+    [1916, 1916, 10, 1, '1:00', 0],
+    [1917, 1918, 4, 'Mon>=15', '2:00s', 60],
+    [1917, 1918, 9, 'Mon>=15', '2:00s', 0],
+    [1940, 1940, 4, 1, '2:00s', 60],
+    [1942, 1942, 11, 2, '2:00s', 0],
+    [1943, 1943, 3, 29, '2:00s', 60],
+    [1943, 1943, 10, 4, '2:00s', 0],
+    [1944, 1945, 4, 'Mon>=1', '2:00s', 60],
+    [1944, 1944, 10, 2, '2:00s', 0],
+    [1945, 1945, 9, 16, '2:00s', 0],
+  ],
+
+  SovietZone: [
+    [1945, 1945, 5, 24, '2:00', 120],
+    [1945, 1945, 9, 24, '3:00', 60],
+    [1945, 1945, 11, 18, '2:00s', 0],
+  ],
+
+  Germany: [
+    [1946, 1946, 4, 14, '2:00s', 60],
+    [1946, 1946, 10, 7, '2:00s', 0],
+    [1947, 1949, 10, 'Sun>=1', '2:00s', 0],
+    [1947, 1947, 4, 6, '3:00s', 60],
+    [1947, 1947, 5, 11, '2:00s', 120],
+    [1947, 1947, 6, 29, '3:00', 60],
+    [1948, 1948, 4, 18, '2:00s', 60],
+    [1949, 1949, 4, 10, '2:00s', 60],
+  ],
+
+  France: [
+    [1916, 1916, 6, 14, '23:00s', 60],
+    [1916, 1919, 10, 'Sun>=1', '23:00s', 0],
+    [1917, 1917, 3, 24, '23:00s', 60],
+    [1918, 1918, 3, 9, '23:00s', 60],
+    [1919, 1919, 3, 1, '23:00s', 60],
+    [1920, 1920, 2, 14, '23:00s', 60],
+    [1920, 1920, 10, 23, '23:00s', 0],
+    [1921, 1921, 3, 14, '23:00s', 60],
+    [1921, 1921, 10, 25, '23:00s', 0],
+    [1922, 1922, 3, 25, '23:00s', 60],
+    [1922, 1938, 10, 'Sat>=1', '23:00s', 0],
+    [1923, 1923, 5, 26, '23:00s', 60],
+    [1924, 1924, 3, 29, '23:00s', 60],
+    [1925, 1925, 4, 4, '23:00s', 60],
+    [1926, 1926, 4, 17, '23:00s', 60],
+    [1927, 1927, 4, 9, '23:00s', 60],
+    [1928, 1928, 4, 14, '23:00s', 60],
+    [1929, 1929, 4, 20, '23:00s', 60],
+    [1930, 1930, 4, 12, '23:00s', 60],
+    [1931, 1931, 4, 18, '23:00s', 60],
+    [1932, 1932, 4, 2, '23:00s', 60],
+    [1933, 1933, 3, 25, '23:00s', 60],
+    [1934, 1934, 4, 7, '23:00s', 60],
+    [1935, 1935, 3, 30, '23:00s', 60],
+    [1936, 1936, 4, 18, '23:00s', 60],
+    [1937, 1937, 4, 3, '23:00s', 60],
+    [1938, 1938, 3, 26, '23:00s', 60],
+    [1939, 1939, 4, 15, '23:00s', 60],
+    [1939, 1939, 11, 18, '23:00s', 0],
+    [1940, 1940, 2, 25, '2:00', 60],
+    [1941, 1941, 5, 5, '0:00', 120],
+    [1941, 1941, 10, 6, '0:00', 60],
+    [1942, 1942, 3, 9, '0:00', 120],
+    [1942, 1942, 11, 2, '3:00', 60],
+    [1943, 1943, 3, 29, '2:00', 120],
+    [1943, 1943, 10, 4, '3:00', 60],
+    [1944, 1944, 4, 3, '2:00', 120],
+    [1944, 1944, 10, 8, '1:00', 60],
+    [1945, 1945, 4, 2, '2:00', 120],
+    [1945, 1945, 9, 16, '3:00', 0],
+    [1976, 1976, 3, 28, '1:00', 60],
+    [1976, 1976, 9, 26, '1:00', 0],
+  ],
+};
+
+export const ZONES = {
+  'Asia/Seoul': [
+    [null, null, [1908, 4, 1], '지방평균시 (LMT)'],
+    [510, null, [1912, 1, 1], '대한제국 표준시 (UTC+8:30)'],
+    [540, null, [1945, 9, 8], '일본 표준시 (UTC+9)'],
+    [540, 'ROK', [1954, 3, 21], '한국 표준시 (UTC+9)'],
+    [510, 'ROK', [1961, 8, 10], '한국 표준시 (UTC+8:30)'],
+    [540, 'ROK', null, '한국 표준시 (UTC+9)'],
+  ],
+
+  'Asia/Tokyo': [
+    [null, null, [1888, 1, 1], '지방평균시 (LMT)'],
+    [540, 'Japan', null, '일본 표준시 (UTC+9)'],
+  ],
+
+  'Asia/Shanghai': [
+    [null, null, [1901, 1, 1], '지방평균시 (LMT)'],
+    [480, 'Shang', [1949, 5, 28], '중국 표준시 (UTC+8)'],
+    [480, 'PRC', null, '중국 표준시 (UTC+8)'],
+  ],
+
+  'Asia/Taipei': [
+    [null, null, [1896, 1, 1], '지방평균시 (LMT)'],
+    [480, null, [1937, 10, 1], '중국 표준시 (UTC+8)'],
+    [540, null, [1945, 9, 21, 1, 0], '일본 표준시 (UTC+9)'],
+    [480, 'Taiwan', null, '대만 표준시 (UTC+8)'],
+  ],
+
+  'America/New_York': [
+    [-300, 'US', [1920, 1, 1], '미국 동부 표준시 (UTC-5)'],
+    [-300, 'NYC', [1942, 1, 1], '미국 동부 표준시 (UTC-5)'],
+    [-300, 'US', [1946, 1, 1], '미국 동부 표준시 (UTC-5)'],
+    [-300, 'NYC', [1967, 1, 1], '미국 동부 표준시 (UTC-5)'],
+    [-300, 'US', null, '미국 동부 표준시 (UTC-5)'],
+  ],
+
+  'America/Detroit': [
+    [null, null, [1905, 1, 1], '지방평균시 (LMT)'],
+    [-360, null, [1915, 5, 15, 2, 0], '미국 중부 표준시 (UTC-6)'],
+    [-300, null, [1942, 1, 1], '미국 동부 표준시 (UTC-5)'],
+    [-300, 'US', [1946, 1, 1], '미국 동부 표준시 (UTC-5)'],
+    [-300, 'Detroit', [1967, 6, 14, 0, 1], '미국 동부 표준시 (UTC-5)'],
+    [-300, 'US', [1969, 1, 1], '미국 동부 표준시 (UTC-5)'],
+    [-300, null, [1973, 1, 1], '미국 동부 표준시 (UTC-5)'],
+    [-300, 'US', [1975, 1, 1], '미국 동부 표준시 (UTC-5)'],
+    [-300, null, [1975, 4, 27, 2, 0], '미국 동부 표준시 (UTC-5)'],
+    [-300, 'US', null, '미국 동부 표준시 (UTC-5)'],
+  ],
+
+  'America/Chicago': [
+    [-360, 'US', [1920, 1, 1], '미국 중부 표준시 (UTC-6)'],
+    [-360, 'Chicago', [1936, 3, 1, 2, 0], '미국 중부 표준시 (UTC-6)'],
+    [-300, null, [1936, 11, 15, 2, 0], '미국 동부 표준시 (UTC-5)'],
+    [-360, 'Chicago', [1942, 1, 1], '미국 중부 표준시 (UTC-6)'],
+    [-360, 'US', [1946, 1, 1], '미국 중부 표준시 (UTC-6)'],
+    [-360, 'Chicago', [1967, 1, 1], '미국 중부 표준시 (UTC-6)'],
+    [-360, 'US', null, '미국 중부 표준시 (UTC-6)'],
+  ],
+
+  'America/Los_Angeles': [
+    [-480, 'US', [1946, 1, 1], '미국 서부 표준시 (UTC-8)'],
+    [-480, 'CA', [1967, 1, 1], '미국 서부 표준시 (UTC-8)'],
+    [-480, 'US', null, '미국 서부 표준시 (UTC-8)'],
+  ],
+
+  'America/Toronto': [
+    [-300, 'Canada', [1919, 1, 1], '캐나다 동부 표준시 (UTC-5)'],
+    [-300, 'Toronto', [1942, 2, 9, 2, 0], '캐나다 동부 표준시 (UTC-5)'],
+    [-300, 'Canada', [1946, 1, 1], '캐나다 동부 표준시 (UTC-5)'],
+    [-300, 'Toronto', [1974, 1, 1], '캐나다 동부 표준시 (UTC-5)'],
+    [-300, 'Canada', null, '캐나다 동부 표준시 (UTC-5)'],
+  ],
+
+  'America/Edmonton': [
+    [null, null, [1906, 9, 1], '지방평균시 (LMT)'],
+    [-420, 'Edm', [1987, 1, 1], '캐나다 산악 표준시 (UTC-7)'],
+    [-420, 'Canada', null, '캐나다 산악 표준시 (UTC-7)'],
+  ],
+
+  'America/Vancouver': [
+    [-480, 'Vanc', [1987, 1, 1], '캐나다 태평양 표준시 (UTC-8)'],
+    [-480, 'Canada', null, '캐나다 태평양 표준시 (UTC-8)'],
+  ],
+
+  'Europe/London': [
+    [0, 'GB', [1968, 10, 27], '그리니치 평균시 (GMT)'],
+    [60, null, [1971, 10, 31, 3, 0], '영국 표준시 (BST, UTC+1 연중)'],
+    [0, 'GB', [1996, 1, 1], '그리니치 평균시 (GMT)'],
+    [0, 'EU', null, '그리니치 평균시 (GMT)'],
+  ],
+
+  'Europe/Berlin': [
+    [60, 'C-Eur', [1945, 5, 24, 2, 0], '중부 유럽 표준시 (UTC+1)'],
+    [60, 'SovietZone', [1946, 1, 1], '중부 유럽 표준시 (UTC+1)'],
+    [60, 'Germany', [1980, 1, 1], '중부 유럽 표준시 (UTC+1)'],
+    [60, 'EU', null, '중부 유럽 표준시 (UTC+1)'],
+  ],
+
+  'Europe/Paris': [
+    [9.35, null, [1911, 3, 11], '파리 평균시 (PMT)'],
+    [0, 'France', [1940, 6, 14, 23, 0], '서유럽 표준시 (UTC+0)'],
+    [60, 'C-Eur', [1944, 8, 25], '중부 유럽 표준시 (UTC+1)'],
+    [0, 'France', [1945, 9, 16, 3, 0], '서유럽 표준시 (UTC+0)'],
+    [60, 'France', [1977, 1, 1], '중부 유럽 표준시 (UTC+1)'],
+    [60, 'EU', null, '중부 유럽 표준시 (UTC+1)'],
+  ],
+};
+
+export default { RULES, ZONES };
@@ -0,0 +1,537 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 연세사주 - 천문 계산 모듈 (고정밀 태양 위치)
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 절기 시각 계산을 위한 태양 시황경 모델
+ * - VSOP87 지구 궤도 급수 (Meeus, Astronomical Algorithms 부록 III 축약판)
+ * - IAU 1980 장동 63항 전체
+ * - 연주광행차, FK5 보정
+ * - ΔT (TT − UT) 구간 다항식 표 + 범위 밖 포물선 외삽
+ *
+ * 모든 시각은 율리우스일(UT) 또는 UTC epoch 기반 Date로 다루며,
+ * 벽시계 시각과의 변환은 명시적인 UTC 오프셋으로만 수행한다.
+ */
+
+import { KST_OFFSET_MINUTES } from './constants.js';
+
+const DEG = Math.PI / 180;
+const ARCSEC = 1 / 3600;
+const JD_UNIX_EPOCH = 2440587.5;
+const MS_PER_DAY = 86400000;
+
+// ═══════════════════════════════════════════════════
+// VSOP87 지구 급수 [A, B, C] → A·cos(B + C·τ)
+// ═══════════════════════════════════════════════════
+
+const EARTH_L = [
+  [
+    [175347046, 0, 0], [3341656, 4.6692568, 6283.07585], [34894, 4.6261, 12566.1517],
+    [3497, 2.7441, 5753.3849], [3418, 2.8289, 3.5231], [3136, 3.6277, 77713.7715],
+    [2676, 4.4181, 7860.4194], [2343, 6.1352, 3930.2097], [1324, 0.7425, 11506.7698],
+    [1273, 2.0371, 529.691], [1199, 1.1096, 1577.3435], [990, 5.233, 5884.927],
+    [902, 2.045, 26.298], [857, 3.508, 398.149], [780, 1.179, 5223.694],
+    [753, 2.533, 5507.553], [505, 4.583, 18849.228], [492, 4.205, 775.523],
+    [357, 2.92, 0.067], [317, 5.849, 11790.629], [284, 1.899, 796.298],
+    [271, 0.315, 10977.079], [243, 0.345, 5486.778], [206, 4.806, 2544.314],
+    [205, 1.869, 5573.143], [202, 2.458, 6069.777], [156, 0.833, 213.299],
+    [132, 3.411, 2942.463], [126, 1.083, 20.775], [115, 0.645, 0.98],
+    [103, 0.636, 4694.003], [102, 0.976, 15720.839], [102, 4.267, 7.114],
+    [99, 6.21, 2146.17], [98, 0.68, 155.42], [86, 5.98, 161000.69],
+    [85, 1.3, 6275.96], [85, 3.67, 71430.7], [80, 1.81, 17260.15],
+    [79, 3.04, 12036.46], [75, 1.76, 5088.63], [74, 3.5, 3154.69],
+    [74, 4.68, 801.82], [70, 0.83, 9437.76], [62, 3.98, 8827.39],
+    [61, 1.82, 7084.9], [57, 2.78, 6286.6], [56, 4.39, 14143.5],
+    [56, 3.47, 6279.55], [52, 0.19, 12139.55], [52, 1.33, 1748.02],
+    [51, 0.28, 5856.48], [49, 0.49, 1194.45], [41, 5.37, 8429.24],
+    [41, 2.4, 19651.05], [39, 6.17, 10447.39], [37, 6.04, 10213.29],
+    [37, 2.57, 1059.38], [36, 1.71, 2352.87], [36, 1.78, 6812.77],
+    [33, 0.59, 17789.85], [30, 0.44, 83996.85], [30, 2.74, 1349.87],
+    [25, 3.16, 4690.48]
+  ],
+  [
+    [628331966747, 0, 0], [206059, 2.678235, 6283.07585], [4303, 2.6351, 12566.1517],
+    [425, 1.59, 3.523], [119, 5.796, 26.298], [109, 2.966, 1577.344],
+    [93, 2.59, 18849.23], [72, 1.14, 529.69], [68, 1.87, 398.15],
+    [67, 4.41, 5507.55], [59, 2.89, 5223.69], [56, 2.17, 155.42],
+    [45, 0.4, 796.3], [36, 0.47, 775.52], [29, 2.65, 7.11],
+    [21, 5.34, 0.98], [19, 1.85, 5486.78], [19, 4.97, 213.3],
+    [17, 2.99, 6275.96], [16, 0.03, 2544.31], [16, 1.43, 2146.17],
+    [15, 1.21, 10977.08], [12, 2.83, 1748.02], [12, 3.26, 5088.63],
+    [12, 5.27, 1194.45], [12, 2.08, 4694], [11, 0.77, 553.57],
+    [10, 1.3, 6286.6], [10, 4.24, 1349.87], [9, 2.7, 242.73],
+    [9, 5.64, 951.72], [8, 5.3, 2352.87], [6, 2.65, 9437.76],
+    [6, 4.67, 4690.48]
+  ],
+  [
+    [52919, 0, 0], [8720, 1.0721, 6283.0758], [309, 0.867, 12566.152],
+    [27, 0.05, 3.52], [16, 5.19, 26.3], [16, 3.68, 155.42],
+    [10, 0.76, 18849.23], [9, 2.06, 77713.77], [7, 0.83, 775.52],
+    [5, 4.66, 1577.34], [4, 1.03, 7.11], [4, 3.44, 5573.14],
+    [3, 5.14, 796.3], [3, 6.05, 5507.55], [3, 1.19, 242.73],
+    [3, 6.12, 529.69], [3, 0.31, 398.15], [3, 2.28, 553.57],
+    [2, 4.38, 5223.69], [2, 3.75, 0.98]
+  ],
+  [
+    [289, 5.844, 6283.076], [35, 0, 0], [17, 5.49, 12566.15],
+    [3, 5.2, 155.42], [1, 4.72, 3.52], [1, 5.3, 18849.23],
+    [1, 5.97, 242.73]
+  ],
+  [
+    [114, 3.142, 0], [8, 4.13, 6283.08], [1, 3.84, 12566.15]
+  ],
+  [
+    [1, 3.14, 0]
+  ]
+];
+
+const EARTH_B = [
+  [
+    [280, 3.199, 84334.662], [102, 5.422, 5507.553], [80, 3.88, 5223.69],
+    [44, 3.7, 2352.87], [32, 4, 1577.34]
+  ],
+  [
+    [9, 3.9, 5507.55], [6, 1.73, 5223.69]
+  ]
+];
+
+const EARTH_R = [
+  [
+    [100013989, 0, 0], [1670700, 3.0984635, 6283.07585], [13956, 3.05525, 12566.1517],
+    [3084, 5.1985, 77713.7715], [1628, 1.1739, 5753.3849], [1576, 2.8469, 7860.4194],
+    [925, 5.453, 11506.77], [542, 4.564, 3930.21], [472, 3.661, 5884.927],
+    [346, 0.964, 5507.553], [329, 5.9, 5223.694], [307, 0.299, 5573.143],
+    [243, 4.273, 11790.629], [212, 5.847, 1577.344], [186, 5.022, 10977.079],
+    [175, 3.012, 18849.228], [110, 5.055, 5486.778], [98, 0.89, 6069.78],
+    [86, 5.69, 15720.84], [86, 1.27, 161000.69], [65, 0.27, 17260.15],
+    [63, 0.92, 529.69], [57, 2.01, 83996.85], [56, 5.24, 71430.7],
+    [49, 3.25, 2544.31], [47, 2.58, 775.52], [45, 5.54, 9437.76],
+    [43, 6.01, 6275.96], [39, 5.36, 4694], [38, 2.39, 8827.39],
+    [37, 0.83, 19651.05], [37, 4.9, 12139.55], [36, 1.67, 12036.46],
+    [35, 1.84, 2942.46], [33, 0.24, 7084.9], [32, 0.18, 5088.63],
+    [32, 1.78, 398.15], [28, 1.21, 6286.6], [28, 1.9, 6279.55],
+    [26, 4.59, 10447.39]
+  ],
+  [
+    [103019, 1.10749, 6283.07585], [1721, 1.0644, 12566.1517], [702, 3.142, 0],
+    [32, 1.02, 18849.23], [31, 2.84, 5507.55], [25, 1.32, 5223.69],
+    [18, 1.42, 1577.34], [10, 5.91, 10977.08], [9, 1.42, 6275.96],
+    [9, 0.27, 5486.78]
+  ],
+  [
+    [4359, 5.7846, 6283.0758], [124, 5.579, 12566.152], [12, 3.14, 0],
+    [9, 3.63, 77713.77], [6, 1.87, 5573.14], [3, 5.47, 18849.23]
+  ],
+  [
+    [145, 4.273, 6283.076], [7, 3.92, 12566.15]
+  ],
+  [
+    [4, 2.56, 6283.08]
+  ]
+];
+
+// ═══════════════════════════════════════════════════
+// IAU 1980 장동 (Meeus 표 22.A)
+// [D, M, M', F, Ω, ψ0, ψ1, ε0, ε1] — 단위 0.0001″
+// ═══════════════════════════════════════════════════
+
+const NUTATION_TERMS = [
+  [0, 0, 0, 0, 1, -171996, -174.2, 92025, 8.9],
+  [-2, 0, 0, 2, 2, -13187, -1.6, 5736, -3.1],
+  [0, 0, 0, 2, 2, -2274, -0.2, 977, -0.5],
+  [0, 0, 0, 0, 2, 2062, 0.2, -895, 0.5],
+  [0, 1, 0, 0, 0, 1426, -3.4, 54, -0.1],
+  [0, 0, 1, 0, 0, 712, 0.1, -7, 0],
+  [-2, 1, 0, 2, 2, -517, 1.2, 224, -0.6],
+  [0, 0, 0, 2, 1, -386, -0.4, 200, 0],
+  [0, 0, 1, 2, 2, -301, 0, 129, -0.1],
+  [-2, -1, 0, 2, 2, 217, -0.5, -95, 0.3],
+  [-2, 0, 1, 0, 0, -158, 0, 0, 0],
+  [-2, 0, 0, 2, 1, 129, 0.1, -70, 0],
+  [0, 0, -1, 2, 2, 123, 0, -53, 0],
+  [2, 0, 0, 0, 0, 63, 0, 0, 0],
+  [0, 0, 1, 0, 1, 63, 0.1, -33, 0],
+  [2, 0, -1, 2, 2, -59, 0, 26, 0],
+  [0, 0, -1, 0, 1, -58, -0.1, 32, 0],
+  [0, 0, 1, 2, 1, -51, 0, 27, 0],
+  [-2, 0, 2, 0, 0, 48, 0, 0, 0],
+  [0, 0, -2, 2, 1, 46, 0, -24, 0],
+  [2, 0, 0, 2, 2, -38, 0, 16, 0],
+  [0, 0, 2, 2, 2, -31, 0, 13, 0],
+  [0, 0, 2, 0, 0, 29, 0, 0, 0],
+  [-2, 0, 1, 2, 2, 29, 0, -12, 0],
+  [0, 0, 0, 2, 0, 26, 0, 0, 0],
+  [-2, 0, 0, 2, 0, -22, 0, 0, 0],
+  [0, 0, -1, 2, 1, 21, 0, -10, 0],
+  [0, 2, 0, 0, 0, 17, -0.1, 0, 0],
+  [2, 0, -1, 0, 1, 16, 0, -8, 0],
+  [-2, 2, 0, 2, 2, -16, 0.1, 7, 0],
+  [0, 1, 0, 0, 1, -15, 0, 9, 0],
+  [-2, 0, 1, 0, 1, -13, 0, 7, 0],
+  [0, -1, 0, 0, 1, -12, 0, 6, 0],
+  [0, 0, 2, -2, 0, 11, 0, 0, 0],
+  [2, 0, -1, 2, 1, -10, 0, 5, 0],
+  [2, 0, 1, 2, 2, -8, 0, 3, 0],
+  [0, 1, 0, 2, 2, 7, 0, -3, 0],
+  [-2, 1, 1, 0, 0, -7, 0, 0, 0],
+  [0, -1, 0, 2, 2, -7, 0, 3, 0],
+  [2, 0, 0, 2, 1, -7, 0, 3, 0],
+  [2, 0, 1, 0, 0, 6, 0, 0, 0],
+  [-2, 0, 2, 2, 2, 6, 0, -3, 0],
+  [-2, 0, 1, 2, 1, 6, 0, -3, 0],
+  [2, 0, -2, 0, 1, -6, 0, 3, 0],
+  [2, 0, 0, 0, 1, -6, 0, 3, 0],
+  [0, -1, 1, 0, 0, 5, 0, 0, 0],
+  [-2, -1, 0, 2, 1, -5, 0, 3, 0],
+  [-2, 0, 0, 0, 1, -5, 0, 3, 0],
+  [0, 0, 2, 2, 1, -5, 0, 3, 0],
+  [-2, 0, 2, 0, 1, 4, 0, 0, 0],
+  [-2, 1, 0, 2, 1, 4, 0, 0, 0],
+  [0, 0, 1, -2, 0, 4, 0, 0, 0],
+  [-1, 0, 1, 0, 0, -4, 0, 0, 0],
+  [-2, 1, 0, 0, 0, -4, 0, 0, 0],
+  [1, 0, 0, 0, 0, -4, 0, 0, 0],
+  [0, 0, 1, 2, 0, 3, 0, 0, 0],
+  [0, 0, -2, 2, 2, -3, 0, 0, 0],
+  [-1, -1, 1, 0, 0, -3, 0, 0, 0],
+  [0, 1, 1, 0, 0, -3, 0, 0, 0],
+  [0, -1, 1, 2, 2, -3, 0, 0, 0],
+  [2, -1, -1, 2, 2, -3, 0, 0, 0],
+  [0, 0, 3, 2, 2, -3, 0, 0, 0],
+  [2, -1, 0, 2, 2, -3, 0, 0, 0]
+];
+
+// ═══════════════════════════════════════════════════
+// ΔT 표 (Espenak & Meeus, NASA 5천년 식 카탈로그)
+// [시작 연도, 끝 연도, 기준 연도, 계수...] → Σ cₖ·tᵏ (초), t = y − 기준
+// ═══════════════════════════════════════════════════
+
+const DELTA_T_TABLE = [
+  [1600, 1700, 1600, [120, -0.9808, -0.01532, 1 / 7129]],
+  [1700, 1800, 1700, [8.83, 0.1603, -0.0059285, 0.00013336, -1 / 1174000]],
+  [1800, 1860, 1800, [13.72, -0.332447, 0.0068612, 0.0041116, -0.00037436,
+    0.0000121272, -0.0000001699, 0.000000000875]],
+  [1860, 1900, 1860, [7.62, 0.5737, -0.251754, 0.01680668, -0.0004473624, 1 / 233174]],
+  [1900, 1920, 1900, [-2.79, 1.494119, -0.0598939, 0.0061966, -0.000197]],
+  [1920, 1941, 1920, [21.2, 0.84493, -0.0761, 0.0020936]],
+  [1941, 1961, 1950, [29.07, 0.407, -1 / 233, 1 / 2547]],
+  [1961, 1986, 1975, [45.45, 1.067, -1 / 260, -1 / 718]],
+  [1986, 2005, 2000, [63.86, 0.3345, -0.060374, 0.0017275, 0.000651814, 0.00002373599]],
+  [2005, 2050, 2000, [62.92, 0.32217, 0.005589]]
+];
+
+// ═══════════════════════════════════════════════════
+// 삭(朔) 보정항 (Meeus 49장)
+// [계수(일), E 거듭제곱, M, M', F, Ω] → c·Eⁿ·sin(M·M + M'·M' + F·F + Ω·Ω)
+// ═══════════════════════════════════════════════════
+
+const NEW_MOON_TERMS = [
+  [-0.40720, 0, 0, 1, 0, 0], [0.17241, 1, 1, 0, 0, 0], [0.01608, 0, 0, 2, 0, 0],
+  [0.01039, 0, 0, 0, 2, 0], [0.00739, 1, -1, 1, 0, 0], [-0.00514, 1, 1, 1, 0, 0],
+  [0.00208, 2, 2, 0, 0, 0], [-0.00111, 0, 0, 1, -2, 0], [-0.00057, 0, 0, 1, 2, 0],
+  [0.00056, 1, 1, 2, 0, 0], [-0.00042, 0, 0, 3, 0, 0], [0.00042, 1, 1, 0, 2, 0],
+  [0.00038, 1, 1, 0, -2, 0], [-0.00024, 1, -1, 2, 0, 0], [-0.00017, 0, 0, 0, 0, 1],
+  [-0.00007, 0, 2, 1, 0, 0], [0.00004, 0, 0, 2, -2, 0], [0.00004, 0, 3, 0, 0, 0],
+  [0.00003, 0, 1, 1, -2, 0], [0.00003, 0, 0, 2, 2, 0], [-0.00003, 0, 1, 1, 2, 0],
+  [0.00003, 0, -1, 1, 2, 0], [-0.00002, 0, -1, 1, -2, 0], [-0.00002, 0, 1, 3, 0, 0],
+  [0.00002, 0, 0, 4, 0, 0]
+];
+
+// 행성 섭동 [A₀, A₁, 계수(10⁻⁶일)] → c·sin(A₀ + A₁·k)
+const NEW_MOON_PLANETARY = [
+  [251.88, 0.016321, 165], [251.83, 26.651886, 164], [349.42, 36.412478, 126],
+  [84.66, 18.206239, 110], [141.74, 53.303771, 62], [207.14, 2.453732, 60],
+  [154.84, 7.306860, 56], [34.52, 27.261239, 47], [207.19, 0.121824, 42],
+  [291.34, 1.844379, 40], [161.72, 24.198154, 37], [239.56, 25.513099, 35],
+  [331.55, 3.592518, 23]
+];
+
+/** 장기 포물선 외삽: ΔT = −20 + 32·u², u = (y − 1820)/100 */
+function deltaTLongTerm(y) {
+  const u = (y - 1820) / 100;
+  return -20 + 32 * u * u;
+}
+
+function sumSeries(series, tau) {
+  let total = 0;
+  for (const [a, b, c] of series) {
+    total += a * Math.cos(b + c * tau);
+  }
+  return total;
+}
+
+function sumPowers(terms, tau) {
+  let total = 0;
+  let tp = 1;
+  for (const series of terms) {
+    total += sumSeries(series, tau) * tp;
+    tp *= tau;
+  }
+  return total / 1e8;
+}
+
+function normalizeDeg(x) {
+  return ((x % 360) + 360) % 360;
+}
+
+/**
+ * 천문 계산 유틸리티
+ */
+export const AstronomyUtils = {
+  /**
+   * 율리우스일 계산
+   */
+  julianDay(y, m, d, h = 0, mi = 0) {
+    if (m <= 2) { y--; m += 12; }
+    const A = Math.floor(y / 100);
+    const B = 2 - A + Math.floor(A / 4);
+    return Math.floor(365.25 * (y + 4716)) +
+           Math.floor(30.6001 * (m + 1)) +
+           d + (h + mi / 60) / 24 + B - 1524.5;
+  },
+
+  /**
+   * ΔT = TT − UT (초)
+   * 1600~2050은 구간 다항식, 2050~2150은 NASA 접속식, 그 밖은 포물선 외삽
+   */
+  deltaT(year) {
+    for (const [from, to, base, coeffs] of DELTA_T_TABLE) {
+      if (year >= from && year < to) {
+        const t = year - base;
+        let v = 0, tp = 1;
+        for (const c of coeffs) {
+          v += c * tp;
+          tp *= t;
+        }
+        return v;
+      }
+    }
+    if (year >= 2050 && year < 2150) {
+      return deltaTLongTerm(year) - 0.5628 * (2150 - year);
+    }
+    return deltaTLongTerm(year);
+  },
+
+  /**
+   * 율리우스일(UT)의 소수 연도 (ΔT 조회용)
+   */
+  decimalYear(jd) {
+    return 2000 + (jd - 2451545) / 365.25;
+  },
+
+  /**
+   * 장동 (Δψ: 황경 장동, Δε: 황도경사 장동), 단위: 도
+   * @param {number} jde - 역학시 율리우스일
+   */
+  nutation(jde) {
+    const T = (jde - 2451545) / 36525;
+    const T2 = T * T, T3 = T2 * T;
+
+    const D = 297.85036 + 445267.11148 * T - 0.0019142 * T2 + T3 / 189474;
+    const M = 357.52772 + 35999.05034 * T - 0.0001603 * T2 - T3 / 300000;
+    const Mp = 134.96298 + 477198.867398 * T + 0.0086972 * T2 + T3 / 56250;
+    const F = 93.27191 + 483202.017538 * T - 0.0036825 * T2 + T3 / 327270;
+    const Om = 125.04452 - 1934.136261 * T + 0.0020708 * T2 + T3 / 450000;
+
+    let dpsi = 0, deps = 0;
+    for (const [d, m, mp, f, om, p0, p1, e0, e1] of NUTATION_TERMS) {
+      const arg = (d * D + m * M + mp * Mp + f * F + om * Om) * DEG;
+      dpsi += (p0 + p1 * T) * Math.sin(arg);
+      deps += (e0 + e1 * T) * Math.cos(arg);
+    }
+
+    return {
+      dpsi: dpsi * 0.0001 * ARCSEC,
+      deps: deps * 0.0001 * ARCSEC
+    };
+  },
+
+  /**
+   * 지구 일심 좌표 (VSOP87): L, B (라디안), R (AU)
+   * @param {number} jde - 역학시 율리우스일
+   */
+  earthHeliocentric(jde) {
+    const tau = (jde - 2451545) / 365250;
+    return {
+      L: sumPowers(EARTH_L, tau),
+      B: sumPowers(EARTH_B, tau),
+      R: sumPowers(EARTH_R, tau)
+    };
+  },
+
+  /**
+   * 태양 시황경 (역학시 기준), 단위: 도
+   * 기하 황경 → FK5 보정 → 장동 → 광행차
+   * @param {number} jde - 역학시 율리우스일
+   */
+  apparentSunLongitudeTT(jde) {
+    const { L, R } = this.earthHeliocentric(jde);
+    const T = (jde - 2451545) / 36525;
+
+    // 지심 기하 황경
+    let lon = L / DEG + 180;
+
+    // FK5 좌표계 보정
+    lon += -0.09033 * ARCSEC;
+
+    // 장동
+    lon += this.nutation(jde).dpsi;
+
+    // 연주광행차
+    lon += -20.4898 * ARCSEC / R;
+
+    return normalizeDeg(lon);
+  },
+
+  /**
+   * 태양 황경 계산 (입력: 세계시 율리우스일)
+   */
+  sunLongitude(jd) {
+    const jde = jd + this.deltaT(this.decimalYear(jd)) / 86400;
+    return this.apparentSunLongitudeTT(jde);
+  },
+
+  /**
+   * 균시차 (시태양시 − 평균태양시), 단위: 분
+   * Meeus 28장: E = L₀ − 0.0057183° − α + Δψ·cos ε
+   * @param {number} jd - 세계시 율리우스일
+   */
+  equationOfTime(jd) {
+    const jde = jd + this.deltaT(this.decimalYear(jd)) / 86400;
+    const tau = (jde - 2451545) / 365250;
+    const T = tau * 10;
+
+    // 태양 평균 황경
+    const L0 = 280.4664567 + 360007.6982779 * tau + 0.03032028 * tau * tau +
+               tau ** 3 / 49931 - tau ** 4 / 15300 - tau ** 5 / 2000000;
+
+    // 진황도경사 = 평균 황도경사 + Δε
+    const { dpsi, deps } = this.nutation(jde);
+    const eps0 = 23.4392911 - (46.8150 * T + 0.00059 * T * T - 0.001813 * T ** 3) * ARCSEC;
+    const eps = (eps0 + deps) * DEG;
+
+    // 태양 시적경 (황위 ≈ 0)
+    const lambda = this.apparentSunLongitudeTT(jde) * DEG;
+    const alpha = Math.atan2(Math.cos(eps) * Math.sin(lambda), Math.cos(lambda)) / DEG;
+
+    let E = L0 - 0.0057183 - alpha + dpsi * Math.cos(eps);
+    E = ((E % 360) + 540) % 360 - 180;
+    return E * 4;
+  },
+
+  /**
+   * 태양이 목표 황경을 지나는 순간 탐색 (세계시 율리우스일)
+   * 하루 단위로 통과 구간을 찾은 뒤 이진 검색으로 정밀화
+   * @param {number} jdStart - 탐색 시작 율리우스일
+   * @param {number} targetLongitude - 목표 황경 (도)
+   * @param {number} [maxDays=50] - 탐색 일수
+   * @returns {number|null} 통과 시각, 범위 내에 없으면 null
+   */
+  findSunLongitude(jdStart, targetLongitude, maxDays = 50) {
+    const offsetAt = (j) => ((this.sunLongitude(j) - targetLongitude) % 360 + 360) % 360;
+    let prevOffset = null;
+
+    for (let i = 0; i < maxDays; i++) {
+      const j = jdStart + i;
+      const offset = offsetAt(j);
+
+      if (prevOffset !== null && prevOffset > 300 && offset < 60) {
+        // 이진 검색으로 정밀 탐색 (2⁻³⁶일 ≈ 0.001초)
+        let a = j - 1, b = j;
+        for (let k = 0; k < 36; k++) {
+          const m = (a + b) / 2;
+          if (offsetAt(m) > 180) {
+            a = m;
+          } else {
+            b = m;
+          }
+        }
+        return (a + b) / 2;
+      }
+      prevOffset = offset;
+    }
+
+    return null;
+  },
+
+  /**
+   * k번째 삭(합삭) 시각 (세계시 율리우스일), Meeus 49장
+   * k = 0은 2000년 1월 6일 삭, 1 늘 때마다 한 삭망월 뒤 (정밀도 수 초)
+   * @param {number} k - 정수 삭 번호
+   */
+  newMoon(k) {
+    const T = k / 1236.85;
+    const T2 = T * T, T3 = T2 * T, T4 = T3 * T;
+
+    let jde = 2451550.09766 + 29.530588861 * k + 0.00015437 * T2 - 0.00000015 * T3 + 0.00000000073 * T4;
+
+    const E = 1 - 0.002516 * T - 0.0000074 * T2;
+    const M = (2.5534 + 29.1053567 * k - 0.0000014 * T2 - 0.00000011 * T3) * DEG;
+    const Mp = (201.5643 + 385.81693528 * k + 0.0107582 * T2 + 0.00001238 * T3 - 0.000000058 * T4) * DEG;
+    const F = (160.7108 + 390.67050284 * k - 0.0016118 * T2 - 0.00000227 * T3 + 0.000000011 * T4) * DEG;
+    const Om = (124.7746 - 1.56375588 * k + 0.0020672 * T2 + 0.00000215 * T3) * DEG;
+
+    for (const [c, e, m, mp, f, om] of NEW_MOON_TERMS) {
+      jde += c * E ** e * Math.sin(m * M + mp * Mp + f * F + om * Om);
+    }
+
+    jde += 0.000325 * Math.sin((299.77 + 0.107408 * k - 0.009173 * T2) * DEG);
+    for (const [a0, a1, c] of NEW_MOON_PLANETARY) {
+      jde += c * 1e-6 * Math.sin((a0 + a1 * k) * DEG);
+    }
+
+    return jde - this.deltaT(this.decimalYear(jde)) / 86400;
+  },
+
+  /**
+   * 율리우스일(UT) → Date (UTC epoch)
+   */
+  jdToDate(jd) {
+    return new Date((jd - JD_UNIX_EPOCH) * MS_PER_DAY);
+  },
+
+  /**
+   * Date 또는 epoch ms → 율리우스일(UT)
+   */
+  dateToJD(date) {
+    const ms = typeof date === 'number' ? date : date.getTime();
+    return ms / MS_PER_DAY + JD_UNIX_EPOCH;
+  },
+
+  /**
+   * 벽시계 시각 + UTC 오프셋 → Date (UTC epoch)
+   * 실행 환경의 시간대를 사용하지 않는다.
+   * @param {number} [offsetMinutes=KST_OFFSET_MINUTES] - UTC 오프셋 (분)
+   */
+  civilToDate(y, m, d, h = 0, mi = 0, offsetMinutes = KST_OFFSET_MINUTES) {
+    return new Date(Date.UTC(y, m - 1, d, h, mi) - offsetMinutes * 60000);
+  },
+
+  /**
+   * Date → 주어진 UTC 오프셋의 벽시계 시각
+   * @param {Date|number} date
+   * @param {number} [offsetMinutes=KST_OFFSET_MINUTES]
+   * @returns {{ year, month, day, hour, minute }}
+   */
+  dateToCivil(date, offsetMinutes = KST_OFFSET_MINUTES) {
+    const ms = typeof date === 'number' ? date : date.getTime();
+    const t = new Date(ms + offsetMinutes * 60000);
+    return {
+      year: t.getUTCFullYear(),
+      month: t.getUTCMonth() + 1,
+      day: t.getUTCDate(),
+      hour: t.getUTCHours(),
+      minute: t.getUTCMinutes()
+    };
+  },
+
+  /**
+   * 율리우스일 → 절기 시각 (분 단위 절사)
+   * 반환값은 UTC epoch 기반 Date이며, KST 표시가 필요하면 dateToCivil 사용
+   */
+  jdToKST(jd) {
+    const ms = (jd - JD_UNIX_EPOCH) * MS_PER_DAY;
+    return new Date(Math.floor(ms / 60000) * 60000);
+  }
+};
+
+export default AstronomyUtils;
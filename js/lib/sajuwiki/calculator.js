@@ -10,140 +10,203 @@ import {
   CHEONGAN_OHENG, JIJI_OHENG, CHEONGAN_EUMYANG, JIJI_EUMYANG,
   OHENG_RELATIONS, TWELVE_STAGES, JANGSEONG_POSITION,
   YUKSHIP_GAPJA, GAPJA_INDEX_MAP,
-  REF_DATE, REF_DAY_IDX, REF_YEAR, REF_YEAR_IDX,
-  THRESHOLDS, TERM_MONTH, JIJANGGAN,
-  TIME_BOUNDARIES, TEN_GODS_GROUPED,
+  REF_DATE, REF_DAY_IDX, REF_YEAR, REF_YEAR_IDX, KST_OFFSET_MINUTES,
+  THRESHOLDS, SOLAR_TERMS, TERM_MONTH, JIJANGGAN,
+  TIME_BOUNDARIES, JASI_CONVENTIONS, DEFAULT_JASI, DAEUN_CONVENTIONS, DEFAULT_DAEUN,
+  AGE_SYSTEMS, DEFAULT_AGE_SYSTEM, TEN_GODS_GROUPED,
   STEM_W, BR_W, BR_EL, BONGI_EUMYANG,
   STEM_COMBINE, STEM_CLASH, BRANCH_COMBINE, BRANCH_CLASH,
   BANHAP_TABLE, WANGJI,
   BRANCH_PUNISHMENT, BRANCH_BREAK, BRANCH_HARM, SELF_PUNISHMENT,
-  TRIPLE_COMBINE, DIRECTIONAL_COMBINE, TRIPLE_PUNISHMENT
+  TRIPLE_COMBINE, DIRECTIONAL_COMBINE, TRIPLE_PUNISHMENT,
+  CHEONEUL_GWIIN, MUNCHANG_GWIIN, YANGIN, HONGYEOM,
+  BAEKHO_PILLARS, GOEGANG_PILLARS, WONJIN, GWIMUN,
+  HYEONCHIM_STEMS, HYEONCHIM_BRANCHES, TWELVE_SHINSAL
 } from './constants.js';
 
 import { Result, createError, ErrorCodes, safeExecute } from './error-handler.js';
+import { AstronomyUtils } from './astronomy.js';
+import { SOLAR_TERM_TABLE, SOLAR_TERM_TABLE_START, SOLAR_TERM_TABLE_END } from '../../data/solar-terms.js';
+import { JOHU_TABLE } from '../../data/johu-table.js';
+import { verifySolarTermReference } from './solar-term-reference.js';
 
 /**
- * 천문 계산 유틸리티
+ * 절기 계산기 (캐싱 적용)
+ * 1800~2200년은 번들된 SOLAR_TERM_TABLE을 먼저 쓰고, 범위 밖만 직접 계산한다.
  */
-const AstronomyUtils = {
-  /**
-   * 율리우스일 계산
-   */
-  julianDay(y, m, d, h = 0, mi = 0) {
-    if (m <= 2) { y--; m += 12; }
-    const A = Math.floor(y / 100);
-    const B = 2 - A + Math.floor(A / 4);
-    return Math.floor(365.25 * (y + 4716)) + 
-           Math.floor(30.6001 * (m + 1)) + 
-           d + (h + mi / 60) / 24 + B - 1524.5;
-  },
+const TermCache = new Map();
 
-  /**
-   * 태양 황경 계산
-   */
-  sunLongitude(jd) {
-    const T = (jd - 2451545) / 36525;
-    let L0 = (280.46646 + T * (36000.76983 + T * 0.0003032)) % 360;
-    if (L0 < 0) L0 += 360;
-    
-    const M = (357.52911 + T * (35999.05029 - T * 0.0001537)) % 360;
-    const Mr = M * Math.PI / 180;
-    
-    const C = (1.914602 - T * (0.004817 + T * 0.000014)) * Math.sin(Mr) +
-              (0.019993 - T * 0.000101) * Math.sin(2 * Mr) +
-              0.000289 * Math.sin(3 * Mr);
-    
-    const om = 125.04 - 1934.136 * T;
-    return ((L0 + C - 0.00569 - 0.00478 * Math.sin(om * Math.PI / 180)) % 360 + 360) % 360;
-  },
+export function findSolarTerm(year, termName, targetLongitude) {
+  const cacheKey = `${year}-${termName}`;
+  if (TermCache.has(cacheKey)) {
+    return TermCache.get(cacheKey);
+  }
 
-  /**
-   * 율리우스일 → KST 변환
-   */
-  jdToKST(jd) {
-    let j = jd + 9 / 24 + 0.5;
-    let Z = Math.floor(j);
-    let F = j - Z;
-    let A;
-    
-    if (Z < 2299161) {
-      A = Z;
-    } else {
-      const al = Math.floor((Z - 1867216.25) / 36524.25);
-      A = Z + 1 + al - Math.floor(al / 4);
+  const tabled = lookupTermTable(year);
+  if (tabled) {
+    const result = tabled.find(t => t.name === termName)?.date;
+    if (result) {
+      TermCache.set(cacheKey, result);
+      return result;
     }
-    
-    const B = A + 1524;
-    const C = Math.floor((B - 122.1) / 365.25);
-    const D = Math.floor(365.25 * C);
-    const E = Math.floor((B - D) / 30.6001);
-    
-    const dd = B - D - Math.floor(30.6001 * E) + F;
-    const mo = E < 14 ? E - 1 : E - 13;
-    const yr = mo > 2 ? C - 4716 : C - 4715;
-    
-    const di = Math.floor(dd);
-    const fr = (dd - di) * 24;
-    const hh = Math.floor(fr);
-    const fr2 = (fr - hh) * 60;
-    const mm = Math.floor(fr2);
-    
-    return new Date(yr, mo - 1, di, Math.min(hh, 23), Math.min(mm, 59));
   }
-};
+
+  // 탐색 시작일: 해당 절기가 속한 양력 달의 15일 전 (소한은 전년 12월 17일)
+  const sm = TERM_MONTH[termName];
+  const j0 = sm === 1
+    ? AstronomyUtils.julianDay(year - 1, 12, 17)
+    : AstronomyUtils.julianDay(year, sm, 1) - 15;
+
+  const jd = AstronomyUtils.findSunLongitude(j0, targetLongitude, 50);
+  if (jd !== null) {
+    const result = AstronomyUtils.jdToKST(jd);
+    TermCache.set(cacheKey, result);
+    return result;
+  }
+
+  throw createError(ErrorCodes.TERM_NOT_FOUND, { termName, year });
+}
 
 /**
- * 절기 계산기 (캐싱 적용)
+ * 양력 한 해의 24절기 (소한 → 동지 순)
+ * SOLAR_TERMS는 입춘부터 나열되어 있으므로 소한·대한을 앞으로 돌린다
  */
-const TermCache = new Map();
+const TERMS_IN_YEAR = (() => {
+  const names = Object.keys(SOLAR_TERMS);
+  const start = names.indexOf('소한');
+  return [...names.slice(start), ...names.slice(0, start)];
+})();
 
-function findSolarTerm(year, termName, targetLongitude) {
-  const cacheKey = `${year}-${termName}`;
-  if (TermCache.has(cacheKey)) {
-    return TermCache.get(cacheKey);
+const YearTermCache = new Map();
+
+function termEntry(name, date) {
+  const { angle, month } = SOLAR_TERMS[name];
+  return { name, angle, month, isJeol: name in TERM_MONTH, date };
+}
+
+/**
+ * 번들 절기표 한 해 복원 (범위 밖이면 null)
+ * 각 행은 24개 × 3자리 36진수: 소한은 그해 1월 1일 0시(UTC)부터, 나머지는 앞 절기부터의 분
+ */
+function lookupTermTable(year) {
+  const row = SOLAR_TERM_TABLE[year - SOLAR_TERM_TABLE_START];
+  if (!row) return null;
+
+  let ms = Date.UTC(year, 0, 1);
+  return TERMS_IN_YEAR.map((name, i) => {
+    ms += parseInt(row.slice(i * 3, i * 3 + 3), 36) * 60000;
+    return termEntry(name, new Date(ms));
+  });
+}
+
+/** lookupTermTable의 역변환 */
+function encodeTermRow(year, terms) {
+  let prev = Date.UTC(year, 0, 1);
+  return terms.map(({ date }) => {
+    const minutes = (date.getTime() - prev) / 60000;
+    prev = date.getTime();
+    return minutes.toString(36).padStart(3, '0');
+  }).join('');
+}
+
+/**
+ * 한 해의 24절기 직접 계산
+ *
+ * findSolarTerm의 하루 단위 탐색 + 이진 검색 대신, 앞 절기 시각에서
+ * 평균 간격(약 15.2일)만큼 건너뛴 추정값을 할선법으로 정밀화한다.
+ * 절기당 태양 황경 계산이 3~4회로 줄어든다.
+ */
+function computeSolarTermsForYear(year) {
+  // 황경 차이를 ±180° 범위로
+  const lonDiff = (jd, target) => ((AstronomyUtils.sunLongitude(jd) - target) % 360 + 540) % 360 - 180;
+  const MEAN_RATE = 360 / 365.2422;
+
+  // 소한 추정값: 1월 5일 전후
+  let guess = AstronomyUtils.julianDay(year, 1, 5);
+  const terms = [];
+
+  for (const name of TERMS_IN_YEAR) {
+    const { angle } = SOLAR_TERMS[name];
+
+    // 할선법 (2⁻³⁰일 ≈ 0.1밀리초까지)
+    let j0 = guess;
+    let f0 = lonDiff(j0, angle);
+    let j1 = j0 - f0 / MEAN_RATE;
+    let f1 = lonDiff(j1, angle);
+    for (let k = 0; k < 8 && Math.abs(j1 - j0) > 2 ** -30; k++) {
+      const j2 = f1 === f0 ? j1 : j1 - f1 * (j1 - j0) / (f1 - f0);
+      j0 = j1; f0 = f1;
+      j1 = j2; f1 = lonDiff(j1, angle);
+    }
+
+    if (!Number.isFinite(j1) || Math.abs(f1) > 1e-6) {
+      throw createError(ErrorCodes.TERM_NOT_FOUND, { termName: name, year });
+    }
+
+    terms.push(termEntry(name, AstronomyUtils.jdToKST(j1)));
+    guess = j1 + 15 / MEAN_RATE;
   }
 
-  const sm = TERM_MONTH[termName];
-  let startDate;
-  
-  if (sm === 1) {
-    startDate = new Date(year - 1, 11, 17);
-  } else {
-    startDate = new Date(year, sm - 1, 1 - 15);
+  return terms;
+}
+
+/**
+ * 한 해의 24절기(절 12 + 중기 12) 시각
+ * 번들 절기표 범위(1800~2200)는 표에서 읽고, 밖이면 직접 계산한다.
+ * 절(節) 시각은 findSolarTerm 캐시에도 채워 둔다.
+ *
+ * @param {number} year - 양력 연도
+ * @returns {Array<{ name: string, angle: number, month: number, isJeol: boolean, date: Date }>}
+ *   month는 절기가 속한 사주 월 (1=인월), date는 UTC epoch 기반 Date (분 단위 절사)
+ */
+export function getSolarTermsForYear(year) {
+  if (YearTermCache.has(year)) {
+    return YearTermCache.get(year);
   }
 
-  let j0 = AstronomyUtils.julianDay(
-    startDate.getFullYear(),
-    startDate.getMonth() + 1,
-    startDate.getDate()
-  );
-  
-  let prevOffset = null;
+  const terms = lookupTermTable(year) ?? computeSolarTermsForYear(year);
+  for (const t of terms) {
+    if (t.isJeol && !TermCache.has(`${year}-${t.name}`)) {
+      TermCache.set(`${year}-${t.name}`, t.date);
+    }
+  }
 
-  for (let i = 0; i < 50; i++) {
-    const j = j0 + i;
-    const offset = ((AstronomyUtils.sunLongitude(j) - targetLongitude) % 360 + 360) % 360;
-    
-    if (prevOffset !== null && prevOffset > 300 && offset < 60) {
-      // 이진 검색으로 정밀 탐색
-      let a = j - 1, b = j;
-      for (let k = 0; k < 52; k++) {
-        const m = (a + b) / 2;
-        if (((AstronomyUtils.sunLongitude(m) - targetLongitude) % 360 + 360) % 360 > 180) {
-          a = m;
-        } else {
-          b = m;
-        }
+  YearTermCache.set(year, terms);
+  return terms;
+}
+
+/**
+ * 번들 절기표 검증: 천문 계산으로 다시 구해 표와 다른 절기를 보고한다.
+ * 천문 모델(ΔT, 급수 등)을 고친 뒤 실행해 표를 갱신할지 판단하는 용도.
+ * 엔진 자체가 KASI 발표 시각과 맞는지도 함께 검사한다 (verifySolarTermReference)
+ *
+ * @param {Object} [options]
+ * @param {number} [options.from=SOLAR_TERM_TABLE_START]
+ * @param {number} [options.to=SOLAR_TERM_TABLE_END]
+ * @returns {{ checked: number, drift: Array<{ year, name, table: Date, computed: Date, minutes: number }>,
+ *   rows: string[], reference }} rows는 다시 계산한 표 행 (data/solar-terms.js에 그대로 붙여 넣을 수 있는 형식),
+ *   reference는 verifySolarTermReference() 결과
+ */
+export function verifySolarTermTable({ from = SOLAR_TERM_TABLE_START, to = SOLAR_TERM_TABLE_END } = {}) {
+  const drift = [];
+  const rows = [];
+  let checked = 0;
+
+  for (let year = Math.max(from, SOLAR_TERM_TABLE_START); year <= Math.min(to, SOLAR_TERM_TABLE_END); year++) {
+    const tabled = lookupTermTable(year);
+    const computed = computeSolarTermsForYear(year);
+    rows.push(encodeTermRow(year, computed));
+
+    computed.forEach((c, i) => {
+      checked++;
+      const minutes = (c.date.getTime() - tabled[i].date.getTime()) / 60000;
+      if (minutes !== 0) {
+        drift.push({ year, name: c.name, table: tabled[i].date, computed: c.date, minutes });
       }
-      
-      const result = AstronomyUtils.jdToKST((a + b) / 2);
-      TermCache.set(cacheKey, result);
-      return result;
-    }
-    prevOffset = offset;
+    });
   }
 
-  throw createError(ErrorCodes.TERM_NOT_FOUND, { termName, year });
+  return { checked, drift, rows, reference: verifySolarTermReference() };
 }
 
 /**
@@ -152,9 +215,11 @@ function findSolarTerm(year, termName, targetLongitude) {
 export class SajuCalculator {
   /**
    * 시간으로부터 지지 인덱스 계산
+   * @param {number} [offsetMinutes=0] - 시진 경계를 옮기는 보정 (분). 진태양시 경계는
+   *   getApparentSolarFrame()의 solarOffsetMinutes를 넘긴다
    */
-  static getHourBranch(hour, minute) {
-    const totalMinutes = hour * 60 + minute;
+  static getHourBranch(hour, minute, offsetMinutes = 0) {
+    const totalMinutes = ((hour * 60 + minute + offsetMinutes) % 1440 + 1440) % 1440;
     
     // 자시 (23:00 이후 → 다음날 자시)
     if (totalMinutes >= 1380 || totalMinutes < 60) return 0;
@@ -226,27 +291,111 @@ export class SajuCalculator {
   }
 
   /**
-   * 메인 사주 계산 함수
+   * 공망 (空亡)
+   * 기둥이 속한 순(旬, 갑으로 시작하는 10간지)에서 천간과 짝을 못 이룬 두 지지
+   * @param {number} idx60 - 기둥 인덱스
+   * @returns {number[]} 공망 지지 인덱스 두 개
    */
-  static calculate(year, month, day, hour, minute) {
-    const birthKST = new Date(year, month - 1, day, hour, minute);
-    
-    // 자시 보정 (23:00 이후면 다음날)
-    let sajuDate = new Date(year, month - 1, day);
-    if (hour >= 23) {
-      sajuDate = new Date(sajuDate.getTime() + 86400000);
-    }
+  static getGongmang(idx60) {
+    const base = ((idx60 % 12) - (idx60 % 10) + 12) % 12;  // 순의 첫 지지 (갑 자리)
+    return [(base + 10) % 12, (base + 11) % 12];
+  }
 
-    // 일주 계산
-    const dayDiff = Math.round((sajuDate.getTime() - REF_DATE.getTime()) / 86400000);
+  /**
+   * 일주·시주 인덱스 (자시 처리 방식 반영)
+   * 정자시는 23시부터 일주가 넘어가고, 야자시는 자정까지 당일 일주를 유지하되
+   * 23시대 시주 천간만 다음날 일간 기준으로 정한다. (따라서 시주는 두 방식이 같다)
+   */
+  static _dayAndHour(calendarDayDiff, hour, minute, jasi) {
+    const nightJasi = hour * 60 + minute >= JASI_CONVENTIONS.jeong.dayChangeHour * 60;
+    const dayDiff = calendarDayDiff + (nightJasi && jasi === 'jeong' ? 1 : 0);
     const dayIdx = ((REF_DAY_IDX + dayDiff) % 60 + 60) % 60;
 
-    // 시주 계산
     const hourBranch = this.getHourBranch(hour, minute);
+    const stemDayIdx = nightJasi ? (dayIdx + (jasi === 'ya' ? 1 : 0)) % 60 : dayIdx;
+
+    return { dayIdx, hourIdx: this.getHourPillarIdx(stemDayIdx, hourBranch) };
+  }
+
+  /**
+   * 시주 인덱스 (시두법: 일간에서 자시 천간을 정한다)
+   * @param {number} dayIdx - 일주 60갑자 인덱스
+   * @param {number} hourBranch - 시지 (0=자 … 11=해)
+   */
+  static getHourPillarIdx(dayIdx, hourBranch) {
     const dayStem = dayIdx % 10;
     const hourStemStart = ((dayStem % 5) * 2) % 10;
     const hourStem = (hourStemStart + hourBranch) % 10;
-    const hourIdx = GAPJA_INDEX_MAP[`${hourStem},${hourBranch}`];
+    return GAPJA_INDEX_MAP[`${hourStem},${hourBranch}`];
+  }
+
+  /**
+   * 60갑자 표기 → 인덱스 ('경오', '庚午', 또는 0~59 숫자)
+   * @returns {number} 60갑자 인덱스
+   */
+  static parsePillar(pillar) {
+    if (Number.isInteger(pillar) && pillar >= 0 && pillar < 60) return pillar;
+
+    const text = String(pillar ?? '').trim();
+    const chars = [...text];
+    if (chars.length === 2) {
+      const stem = Math.max(CHEONGAN.indexOf(chars[0]), CHEONGAN_HANJA.indexOf(chars[0]));
+      const branch = Math.max(JIJI.indexOf(chars[1]), JIJI_HANJA.indexOf(chars[1]));
+      const idx = GAPJA_INDEX_MAP[`${stem},${branch}`];
+      if (idx !== undefined) return idx;
+    }
+    throw createError(ErrorCodes.INVALID_INPUT, { pillar, reason: `'${text}'은(는) 60갑자가 아닙니다.` });
+  }
+
+  /**
+   * 양력 날짜의 일진 (60갑자 인덱스, REF_DATE 기준 달력 일수 차이)
+   */
+  static getDayPillarIdx(year, month, day) {
+    const dayDiff = Math.round((Date.UTC(year, month - 1, day) - REF_DATE.getTime()) / 86400000);
+    return ((REF_DAY_IDX + dayDiff) % 60 + 60) % 60;
+  }
+
+  /**
+   * 월주 인덱스 (월두법: 년간에서 인월 천간을 정한다)
+   * @param {number} yearIdx - 년주 60갑자 인덱스
+   * @param {number} monthNum - 사주 월 (1=인월 … 12=축월)
+   */
+  static getMonthPillarIdx(yearIdx, monthNum) {
+    const yearStem = yearIdx % 10;
+    const monthStemStart = ((yearStem % 5) * 2 + 2) % 10;
+    const monthStem = (monthStemStart + (monthNum - 1)) % 10;
+    const monthBranch = (monthNum + 1) % 12;
+    return GAPJA_INDEX_MAP[`${monthStem},${monthBranch}`];
+  }
+
+  /**
+   * 메인 사주 계산 함수
+   * 입력은 KST 벽시계 시각이며, 내부 시각은 모두 UTC epoch 기반 Date로 표현한다.
+   * (실행 환경의 시간대와 무관하게 같은 결과)
+   * @param {Object} [options]
+   * @param {string} [options.jasi=DEFAULT_JASI] - 자시 처리 방식 (JASI_CONVENTIONS 키)
+   * @param {number} [options.solarOffsetMinutes=0] - 경도 보정 (KST 벽시계 + 보정 = 출생지 지방시,
+   *   진태양시 시진 경계면 태양시). 일주·시주는 이 시각으로, 년주·월주는 실제 출생 순간으로 정한다
+   * @param {{ year, month, day }} [options.birthDate] - 출생지 달력의 양력 생일 (나이 기준).
+   *   해외 출생은 KST로 바꾸면 날짜가 넘어갈 수 있어 따로 받는다. 없으면 입력 날짜
+   */
+  static calculate(year, month, day, hour, minute, options = {}) {
+    const jasi = JASI_CONVENTIONS[options.jasi] ? options.jasi : DEFAULT_JASI;
+    const solarOffsetMinutes = options.solarOffsetMinutes ?? 0;
+    const birthKST = AstronomyUtils.civilToDate(year, month, day, hour, minute, KST_OFFSET_MINUTES);
+
+    // 일주·시주를 읽는 시계 (기본은 입력 그대로, 경도 보정이 있으면 지방시·태양시)
+    const local = solarOffsetMinutes
+      ? AstronomyUtils.dateToCivil(birthKST.getTime() + solarOffsetMinutes * 60000)
+      : { year, month, day, hour, minute };
+
+    // 일주 계산 (UTC 자정 기준 달력 일수 차이)
+    const calendarDayDiff = Math.round((Date.UTC(local.year, local.month - 1, local.day) - REF_DATE.getTime()) / 86400000);
+    const { dayIdx, hourIdx } = this._dayAndHour(calendarDayDiff, local.hour, local.minute, jasi);
+
+    // 다른 자시 방식이었다면 일주가 달라지는지 (23시대 출생만 해당)
+    const altJasi = jasi === 'jeong' ? 'ya' : 'jeong';
+    const alt = this._dayAndHour(calendarDayDiff, local.hour, local.minute, altJasi);
 
     // 년주 계산
     const ipchunThis = findSolarTerm(year, '입춘', 315);
@@ -289,30 +438,13 @@ export class SajuCalculator {
       }
     }
 
-    const yearStem = yearIdx % 10;
-    const monthStemStart = ((yearStem % 5) * 2 + 2) % 10;
-    const monthStem = (monthStemStart + (monthNum - 1)) % 10;
-    const monthBranch = (monthNum + 1) % 12;
-    const monthIdx = GAPJA_INDEX_MAP[`${monthStem},${monthBranch}`];
+    const monthIdx = this.getMonthPillarIdx(yearIdx, monthNum);
 
     // 결과 조합
-    const positions = ['hour', 'day', 'month', 'year'];
     const idxs = { hour: hourIdx, day: dayIdx, month: monthIdx, year: yearIdx };
-    const dsi = dayIdx % 10;
 
-    const result = {
-      pillars: {
-        hour: YUKSHIP_GAPJA[hourIdx],
-        day: YUKSHIP_GAPJA[dayIdx],
-        month: YUKSHIP_GAPJA[monthIdx],
-        year: YUKSHIP_GAPJA[yearIdx]
-      },
-      idxs,
-      tgStem: {},
-      tgBranch: {},
-      ts: {},
-      tsSelf: {},
-      hiddenStems: {},
+    return {
+      ...this._composePillars(idxs),
       sajuYear,
       monthNum,
       curTerm,
@@ -320,11 +452,108 @@ export class SajuCalculator {
       nextTerm,
       nextTermDt,
       birthKST,
-      input: { year, month, day, hour, minute }
+      utcOffsetMinutes: KST_OFFSET_MINUTES,
+      jasiConvention: jasi,
+      solarOffsetMinutes,
+      jasiAlternative: {
+        convention: altJasi,
+        dayPillar: YUKSHIP_GAPJA[alt.dayIdx],
+        dayChanged: alt.dayIdx !== dayIdx
+      },
+      birthDate: options.birthDate ?? { year, month, day },
+      input: { year, month, day, hour, minute, jasi, solarOffsetMinutes }
+    };
+  }
+
+  /**
+   * 기둥만으로 만든 원국 (생년월일시 없이 팔자만 아는 경우)
+   * calculate()와 같은 구조지만 날짜에 매인 값(출생 순간, 절입 시각, 사주 연도)은 null이다.
+   * 실제로 나올 수 없는 팔자(월두법·시두법에 어긋나는 월주·시주)는 INVALID_INPUT
+   * @param {{ year, month, day, hour? }} pillars - 60갑자 ('경오' / '庚午' / 인덱스).
+   *   시주를 생략하면 시간 미상 (calculate()처럼 오시로 채우고 input.hasTime = false)
+   * @returns {Object} synthetic: true
+   */
+  static fromPillars(pillars) {
+    const labels = { year: '년주', month: '월주', day: '일주' };
+    const idxs = {};
+    for (const p of ['year', 'month', 'day']) {
+      if (pillars[p] == null || String(pillars[p]).trim() === '') {
+        throw createError(ErrorCodes.INVALID_INPUT, { pillars, reason: `${labels[p]}를 입력해 주세요.` });
+      }
+      idxs[p] = this.parsePillar(pillars[p]);
+    }
+
+    // 월지 → 사주 월 (인월 = 1)
+    const monthNum = (idxs.month % 12 + 10) % 12 + 1;
+    const expectedMonth = this.getMonthPillarIdx(idxs.year, monthNum);
+    if (expectedMonth !== idxs.month) {
+      throw createError(ErrorCodes.INVALID_INPUT, {
+        pillars,
+        reason: `${YUKSHIP_GAPJA[idxs.year]}년의 ${JIJI[idxs.month % 12]}월은 ${YUKSHIP_GAPJA[expectedMonth]}월입니다.`
+      });
+    }
+
+    const hasTime = pillars.hour != null && String(pillars.hour).trim() !== '';
+    if (hasTime) {
+      const hourIdx = this.parsePillar(pillars.hour);
+      const hourBranch = hourIdx % 12;
+      // 자시는 야자시(전날 밤 23시대)라면 다음날 일간 기준 천간도 나올 수 있다
+      const allowed = [this.getHourPillarIdx(idxs.day, hourBranch)];
+      if (hourBranch === 0) allowed.push(this.getHourPillarIdx((idxs.day + 1) % 60, 0));
+      if (!allowed.includes(hourIdx)) {
+        throw createError(ErrorCodes.INVALID_INPUT, {
+          pillars,
+          reason: `${YUKSHIP_GAPJA[idxs.day]}일의 ${JIJI[hourBranch]}시는 ${YUKSHIP_GAPJA[allowed[0]]}시입니다.`
+        });
+      }
+      idxs.hour = hourIdx;
+    } else {
+      idxs.hour = this.getHourPillarIdx(idxs.day, 6);
+    }
+
+    const result = this._composePillars(idxs);
+    return {
+      ...result,
+      sajuYear: null,
+      monthNum,
+      curTerm: null,
+      curTermDt: null,
+      nextTerm: null,
+      nextTermDt: null,
+      birthKST: null,
+      utcOffsetMinutes: KST_OFFSET_MINUTES,
+      jasiConvention: null,
+      solarOffsetMinutes: 0,
+      jasiAlternative: null,
+      birthDate: null,
+      synthetic: true,
+      input: { pillars: { ...result.pillars }, hasTime }
+    };
+  }
+
+  /**
+   * 네 기둥 인덱스 → 기둥별 십성/십이운성/지장간
+   * @param {{ hour, day, month, year }} idxs - 60갑자 인덱스
+   */
+  static _composePillars(idxs) {
+    const dsi = idxs.day % 10;
+    const result = {
+      pillars: {
+        hour: YUKSHIP_GAPJA[idxs.hour],
+        day: YUKSHIP_GAPJA[idxs.day],
+        month: YUKSHIP_GAPJA[idxs.month],
+        year: YUKSHIP_GAPJA[idxs.year]
+      },
+      idxs: { hour: idxs.hour, day: idxs.day, month: idxs.month, year: idxs.year },
+      tgStem: {},
+      tgBranch: {},
+      ts: {},
+      tsSelf: {},
+      hiddenStems: {}
     };
 
     // 각 기둥별 십성/십이운성/지장간 계산
-    for (const p of positions) {
+    for (const p of ['hour', 'day', 'month', 'year']) {
       const si = idxs[p] % 10;
       const bi = idxs[p] % 12;
       
@@ -351,6 +580,131 @@ export class SajuCalculator {
   }
 }
 
+/**
+ * 시진 구간 (KST 분): 자시는 자정 전후 두 조각, 나머지는 2시간씩
+ */
+const HOUR_SEGMENTS = [0, 60, 180, 300, 420, 540, 660, 780, 900, 1020, 1140, 1260, 1380, 1440];
+
+/**
+ * 사주 역산: 주어진 기둥과 SajuCalculator.calculate() 결과가 일치하는 시각 구간 검색
+ *
+ * 년주 → 월주(절기 구간) → 일주·시주(날짜별 시진 구간) 순으로 좁혀 가며,
+ * 일주·시주는 calculate()와 같은 _dayAndHour()로 판정한다. 일부 기둥만 주면
+ * 나머지는 어떤 값이든 허용하고, 기둥이 같은 채로 이어지는 구간은 하나로 합친다.
+ *
+ * @param {{ year?, month?, day?, hour? }} pattern - 60갑자 ('경오' / '庚午' / 인덱스), 생략 가능
+ * @param {Object} [range]
+ * @param {number} [range.from=1800] - 사주 연도 (입춘 기준) 시작
+ * @param {number} [range.to=2200] - 사주 연도 끝 (포함)
+ * @param {string} [range.jasi=DEFAULT_JASI] - 자시 처리 방식
+ * @param {number} [range.limit=200] - 최대 결과 수
+ * @returns {{ results: Array<{ start: Date, end: Date, from: Object, to: Object, pillars: Object }>,
+ *   truncated: boolean }} start 이상 end 미만 구간, from/to는 KST 벽시계 시각.
+ *   pillars에는 년·월주와 (일·시주를 찾았으면) 일주, (시주를 찾았으면) 시주가 담긴다
+ */
+export function findDatesForPillars(pattern, range = {}) {
+  const { from = SOLAR_TERM_TABLE_START, to = SOLAR_TERM_TABLE_END, jasi = DEFAULT_JASI, limit = 200 } = range;
+  if (!(from >= SOLAR_TERM_TABLE_START && to <= SOLAR_TERM_TABLE_END && from <= to)) {
+    throw createError(ErrorCodes.INVALID_INPUT, { from, to, reason: `검색 범위는 ${SOLAR_TERM_TABLE_START}~${SOLAR_TERM_TABLE_END}년입니다.` });
+  }
+
+  const want = {};
+  for (const key of ['year', 'month', 'day', 'hour']) {
+    if (pattern[key] !== undefined && pattern[key] !== null && pattern[key] !== '') {
+      want[key] = SajuCalculator.parsePillar(pattern[key]);
+    }
+  }
+  if (Object.keys(want).length === 0) {
+    throw createError(ErrorCodes.INVALID_INPUT, { reason: '기둥을 하나 이상 입력해 주세요.' });
+  }
+
+  const jeolOf = (y, name) => getSolarTermsForYear(y).find(t => t.name === name).date.getTime();
+  const windows = [];
+  let truncated = false;
+
+  const push = (start, end, idxs) => {
+    const last = windows[windows.length - 1];
+    const same = last && ['year', 'month', 'day', 'hour'].every(key => last.idxs[key] === idxs[key]);
+    if (same && last.end === start) {
+      last.end = end;
+      return true;
+    }
+    if (windows.length >= limit) {
+      truncated = true;
+      return false;
+    }
+    windows.push({ start, end, idxs });
+    return true;
+  };
+
+  search:
+  for (let sajuYear = from; sajuYear <= to; sajuYear++) {
+    const yearIdx = ((REF_YEAR_IDX + (sajuYear - REF_YEAR)) % 60 + 60) % 60;
+    if (want.year !== undefined && want.year !== yearIdx) continue;
+
+    // 사주 월 경계: 입춘 … 대설, 소한(다음 해), 다음 입춘
+    const jeols = Object.keys(TERM_MONTH)
+      .filter(name => name !== '소한')
+      .map(name => jeolOf(sajuYear, name))
+      .sort((a, b) => a - b);
+    jeols.push(jeolOf(sajuYear + 1, '소한'), jeolOf(sajuYear + 1, '입춘'));
+
+    for (let monthNum = 1; monthNum <= 12; monthNum++) {
+      const monthIdx = SajuCalculator.getMonthPillarIdx(yearIdx, monthNum);
+      if (want.month !== undefined && want.month !== monthIdx) continue;
+
+      const mStart = jeols[monthNum - 1];
+      const mEnd = jeols[monthNum];
+      const idxs = { year: yearIdx, month: monthIdx };
+
+      if (want.day === undefined && want.hour === undefined) {
+        if (!push(mStart, mEnd, idxs)) break search;
+        continue;
+      }
+
+      // 절기 구간에 걸친 KST 날짜마다 시진 조각 검사
+      const first = AstronomyUtils.dateToCivil(mStart);
+      const last = AstronomyUtils.dateToCivil(mEnd);
+      const firstDay = Date.UTC(first.year, first.month - 1, first.day);
+      const lastDay = Date.UTC(last.year, last.month - 1, last.day);
+
+      for (let dayMs = firstDay; dayMs <= lastDay; dayMs += 86400000) {
+        const dayDiff = Math.round((dayMs - REF_DATE.getTime()) / 86400000);
+        for (let i = 0; i < HOUR_SEGMENTS.length - 1; i++) {
+          const segStart = HOUR_SEGMENTS[i];
+          const { dayIdx, hourIdx } = SajuCalculator._dayAndHour(dayDiff, Math.floor(segStart / 60), segStart % 60, jasi);
+          if (want.day !== undefined && want.day !== dayIdx) continue;
+          if (want.hour !== undefined && want.hour !== hourIdx) continue;
+
+          const wallToUtc = (min) => dayMs + (min - KST_OFFSET_MINUTES) * 60000;
+          const start = Math.max(wallToUtc(segStart), mStart);
+          const end = Math.min(wallToUtc(HOUR_SEGMENTS[i + 1]), mEnd);
+          if (start >= end) continue;
+
+          const segIdxs = { ...idxs, day: dayIdx };
+          if (want.hour !== undefined) segIdxs.hour = hourIdx;
+          if (!push(start, end, segIdxs)) break search;
+        }
+      }
+    }
+  }
+
+  const pillarsOf = (idxs) => Object.fromEntries(
+    Object.entries(idxs).map(([key, idx]) => [key, YUKSHIP_GAPJA[idx]])
+  );
+
+  return {
+    results: windows.map(({ start, end, idxs }) => ({
+      start: new Date(start),
+      end: new Date(end),
+      from: AstronomyUtils.dateToCivil(start),
+      to: AstronomyUtils.dateToCivil(end),
+      pillars: pillarsOf(idxs)
+    })),
+    truncated
+  };
+}
+
 /**
  * 오행 분석기 - 원본 calcWeightedOheng 완벽 구현
  * 합충에 따른 변환과 저항계수를 적용한 복잡한 가중치 계산
@@ -598,11 +952,143 @@ export class OhengAnalyzer {
   }
 }
 
+// ===================================================================
+// 격국 분석
+// ===================================================================
+
+/** 십성 → 격 이름 */
+const GYEOK_NAMES = {
+  정관: '정관격', 편관: '편관격', 정재: '정재격', 편재: '편재격',
+  식신: '식신격', 상관: '상관격', 정인: '정인격', 편인: '편인격'
+};
+
+const GYEOK_POS_K = { year: '년간', month: '월간', hour: '시간' };
+
+/**
+ * 격국 분석기
+ * 월지 지장간의 투출(透出)로 격을 정하고, 격을 돕거나 깨는 십성으로 성격/파격을 가린다.
+ *   1. 월지가 일간의 건록이면 건록격, 양간의 제왕(양인)이면 양인격, 음간의 제왕이면 월겁격
+ *   2. 월지 지장간 중 천간에 드러난 것 (본기 → 중기 → 초기 순, 비겁은 제외)
+ *   3. 투출이 없으면 월지 본기
+ */
+export class GyeokgukAnalyzer {
+  /**
+   * @param {Object} result - SajuCalculator.calculate() 결과
+   * @param {boolean} hasTime
+   * @returns {Object} {
+   *   격국, tenGod,            // '정관격', '정관' (건록격·양인격·월겁격은 tenGod 비견/겁재)
+   *   rule,                    // 격을 정한 근거
+   *   source: { stem, type, position },  // 격이 된 지장간 (position: 투출한 천간 자리, 없으면 null)
+   *   성패, 성패설명            // '성격' | '파격'
+   * }
+   */
+  static analyze(result, hasTime) {
+    const monthBranch = JIJI[result.idxs.month % 12];
+    const dayStemIdx = result.idxs.day % 10;
+    const hidden = result.hiddenStems.month;
+    const main = hidden.find(h => h.type === '본기') || hidden[hidden.length - 1];
+
+    // 천간에 드러난 글자 (일간 제외)
+    const stemPositions = hasTime ? ['year', 'month', 'hour'] : ['year', 'month'];
+    const visible = stemPositions.map(p => ({ p, stem: CHEONGAN[result.idxs[p] % 10] }));
+
+    let gyeok;
+    const stage = result.ts.month;
+    if (stage === '건록') {
+      gyeok = { 격국: '건록격', tenGod: main.tenGod, rule: `월지 ${monthBranch}이(가) 일간의 건록`, source: { stem: main.stem, type: main.type, position: null } };
+    } else if (stage === '제왕') {
+      const name = dayStemIdx % 2 === 0 ? '양인격' : '월겁격';
+      gyeok = { 격국: name, tenGod: main.tenGod, rule: `월지 ${monthBranch}이(가) 일간의 제왕`, source: { stem: main.stem, type: main.type, position: null } };
+    } else {
+      const order = ['본기', '중기', '초기'];
+      const candidates = [...hidden]
+        .filter(h => GYEOK_NAMES[h.tenGod])
+        .sort((a, b) => order.indexOf(a.type) - order.indexOf(b.type));
+      const out = candidates
+        .map(h => ({ h, at: visible.find(v => v.stem === h.stem) }))
+        .find(c => c.at);
+
+      if (out) {
+        gyeok = {
+          격국: GYEOK_NAMES[out.h.tenGod],
+          tenGod: out.h.tenGod,
+          rule: `월지 ${monthBranch}의 ${out.h.type} ${out.h.stem}이(가) ${GYEOK_POS_K[out.at.p]}에 투출`,
+          source: { stem: out.h.stem, type: out.h.type, position: out.at.p }
+        };
+      } else {
+        // 투출이 없으면 본기 (본기가 비겁이면 다음 지장간)
+        const h = GYEOK_NAMES[main.tenGod] ? main : candidates[0];
+        gyeok = {
+          격국: GYEOK_NAMES[h.tenGod],
+          tenGod: h.tenGod,
+          rule: `투출 없음 → 월지 ${monthBranch}의 ${h.type} ${h.stem}`,
+          source: { stem: h.stem, type: h.type, position: null }
+        };
+      }
+    }
+
+    return { ...gyeok, ...this._judge(result, hasTime, gyeok) };
+  }
+
+  /**
+   * 성격/파격
+   * 격을 깨는 십성이 있고 그것을 막는 십성이 없으면 파격
+   */
+  static _judge(result, hasTime, gyeok) {
+    // 원국에 있는 십성: 천간(일간 제외) + 월지를 뺀 지지 본기
+    const gods = [
+      ...(hasTime ? ['year', 'month', 'hour'] : ['year', 'month']).map(p => result.tgStem[p]),
+      ...(hasTime ? ['year', 'day', 'hour'] : ['year', 'day']).map(p => result.tgBranch[p])
+    ];
+    const has = (...names) => names.some(n => gods.includes(n) || (TEN_GODS_GROUPED[n] || []).some(g => gods.includes(g)));
+
+    const verdict = (broken, breaker, guard, help) => broken
+      ? { 성패: '파격', 성패설명: `${breaker}이(가) 격을 깸${guard ? ` (${guard} 없음)` : ''}` }
+      : { 성패: '성격', 성패설명: help };
+
+    switch (gyeok.tenGod === '비견' || gyeok.tenGod === '겁재' ? gyeok.격국 : gyeok.tenGod) {
+      case '정관':
+        if (has('상관') && !has('인성')) return verdict(true, '상관', '인성');
+        if (has('편관')) return verdict(true, '편관(관살혼잡)');
+        return verdict(false, null, null, has('재성') ? '재성이 정관을 생함' : has('인성') ? '정관이 인성을 생함' : '정관이 상하지 않음');
+      case '편관':
+        if (has('식신')) return verdict(false, null, null, '식신이 편관을 제함');
+        if (has('인성')) return verdict(false, null, null, '인성이 편관을 화함');
+        // 식신 제살도 인성 화살도 없는 칠살은 파격 (재성이 있으면 재생살로 더 나쁨)
+        return verdict(true, has('재성') ? '재성(재생살)' : '제화 없는 칠살', '식신·인성');
+      case '정재':
+      case '편재':
+        if (has('겁재', '비견') && !has('식상', '관성')) return verdict(true, '비겁', '식상·관성');
+        return verdict(false, null, null, has('관성') ? '재성이 관성을 생함' : has('식상') ? '식상이 재성을 생함' : '재성이 상하지 않음');
+      case '식신':
+        if (has('편인') && !has('재성')) return verdict(true, '편인(도식)', '재성');
+        return verdict(false, null, null, has('재성') ? '식신이 재성을 생함' : '식신이 상하지 않음');
+      case '상관':
+        if (has('정관') && !has('인성', '재성')) return verdict(true, '정관(상관견관)', '인성·재성');
+        return verdict(false, null, null, has('재성') ? '상관이 재성을 생함' : has('인성') ? '인성이 상관을 제함' : '상관이 상하지 않음');
+      case '정인':
+      case '편인':
+        if (has('재성') && !has('관성', '비겁')) return verdict(true, '재성(재극인)', '관성·비겁');
+        return verdict(false, null, null, has('관성') ? '관성이 인성을 생함' : '인성이 상하지 않음');
+      case '양인격':
+        return has('편관', '정관')
+          ? verdict(false, null, null, '관살이 양인을 제함')
+          : verdict(true, '관살 부재', null);
+      default: // 건록격·월겁격
+        return has('관성', '재성', '식상')
+          ? verdict(false, null, null, '관성·재성·식상으로 비겁을 씀')
+          : verdict(true, '비겁만 왕함', '관성·재성·식상');
+    }
+  }
+}
+
 /**
  * 용신 분석기 (신강/신약 기반)
  * 1. 신강/신약 판단: 득령 + 십성 세력 비교
  * 2. 억부용신: 신강이면 설기(식상/재성/관성), 신약이면 보강(인성/비겁)
+ *    (종격·화기격이면 억부 대신 그 세력을 따른다)
  * 3. 통관용신: 두 발달 오행이 상극일 때 중재 오행
+ * 4. 조후용신: 궁통보감 조후표 (월지 × 일간), 억부와 합쳐 종합용신
  */
 export class YongsinAnalyzer {
   static calculate(result, hasTime) {
@@ -615,14 +1101,32 @@ export class YongsinAnalyzer {
     // 억부용신 (신강/신약 기반)
     const 억부 = this._calculateUkbu(ohengPercent, strength);
 
+    // 종격·화기격: 한쪽으로 극단에 치우치면 억부 대신 그 세력을 따른다
+    const 특수격 = this._detectSpecial(result, hasTime, ohengPercent, strength);
+    const 기본 = 특수격 ? { 용신: 특수격.용신, 설명: 특수격.설명 } : 억부;
+
     // 통관용신
     const 통관 = this._calculateTongkwan(ohengPercent);
 
+    // 조후용신 (월지 × 일간)
+    const 조후 = this._calculateJohu(result, hasTime, ohengPercent);
+
+    // 억부(또는 특수격)와 조후를 합친 최종 추천
+    const 종합 = this._combine(기본, 조후, 특수격);
+
+    // 격국
+    const 격국 = GyeokgukAnalyzer.analyze(result, hasTime);
+
     return {
-      용신: 억부.용신,
-      용신설명: 억부.설명,
+      용신: 기본.용신,
+      용신설명: 기본.설명,
+      특수격,
       통관: 통관.통관,
       통관설명: 통관.설명,
+      조후,
+      종합용신: 종합.용신,
+      종합설명: 종합.설명,
+      격국,
       oheng: ohengPercent,
       strength
     };
@@ -734,6 +1238,157 @@ export class YongsinAnalyzer {
     return { 용신, 설명 };
   }
 
+  /**
+   * 조후용신 (궁통보감)
+   * - 일간 × 월지로 JOHU_TABLE의 조후 천간을 찾는다
+   * - 해자축(한절)은 화, 사오미(열절)는 수가 기후를 맞추는 오행: 표의 천간 중
+   *   그 오행이 있으면 그것을, 없으면 표의 첫 천간을 조후용신으로 삼는다
+   * - 한절·열절에 그 오행이 THRESHOLDS.JOHU_MIN % 미만이면 조후가 급하다(urgent)
+   * @returns {Object} {
+   *   용신, stem, stems,       // 조후 오행, 조후 천간, 표의 천간 전체 (중요한 순)
+   *   season,                  // '한' | '열' | null
+   *   need, needPct,           // 기후를 맞추는 오행과 원국 비율 (season이 null이면 null)
+   *   urgent, present,         // present: '투출' | '지장간' | null
+   *   설명
+   * }
+   */
+  static _calculateJohu(result, hasTime, ohengPercent) {
+    const dayStem = CHEONGAN[result.idxs.day % 10];
+    const monthBranchIdx = result.idxs.month % 12;
+    const monthBranch = JIJI[monthBranchIdx];
+    const stems = JOHU_TABLE[dayStem][monthBranch];
+
+    const season = [11, 0, 1].includes(monthBranchIdx) ? '한'
+      : [5, 6, 7].includes(monthBranchIdx) ? '열' : null;
+    const need = { 한: '화', 열: '수' }[season] ?? null;
+    const stem = stems.find(st => CHEONGAN_OHENG[CHEONGAN.indexOf(st)] === need) ?? stems[0];
+    const 용신 = CHEONGAN_OHENG[CHEONGAN.indexOf(stem)];
+
+    // 원국에 조후 천간이 있는지: 천간 투출 > 지장간
+    const positions = hasTime ? ['year', 'month', 'hour'] : ['year', 'month'];
+    const present = positions.some(p => CHEONGAN[result.idxs[p] % 10] === stem) ? '투출'
+      : [...positions, 'day'].some(p => result.hiddenStems[p]?.some(h => h.stem === stem)) ? '지장간'
+        : null;
+
+    const needPct = need ? ohengPercent[need] : null;
+    const urgent = need != null && needPct < THRESHOLDS.JOHU_MIN;
+
+    let 설명 = `${dayStem}일간 ${monthBranch}월 → ${stems.join('·')}`;
+    if (season) {
+      설명 += `, ${season === '한' ? '한랭' : '조열'}한 달에 ${need} ${needPct}%${urgent ? '로 부족' : ''}`;
+    }
+    설명 += present ? ` (${stem} ${present})` : ` (${stem} 없음)`;
+
+    return { 용신, stem, stems, season, need, needPct, urgent, present, 설명 };
+  }
+
+  /**
+   * 종격·화기격 판별
+   * - 화기격: 일간이 월간·시간과 천간합하고, 합한 오행이 월지에서 득령하며 HWAGI_MIN % 이상,
+   *   그 오행을 극하는 오행은 HWAGI_CLASH_MAX % 미만 (일간이 천간충을 받으면 합화하지 못한다)
+   *   → 화신(化神)이 용신
+   * - 종왕격·종강격: 득령에 아군 JONG_ALLY_MIN % 이상, 관성 JONG_OPPOSE_MAX % 이하
+   *   → 비겁이 많으면 종왕(비겁), 인성이 많으면 종강(인성)을 따른다
+   * - 종재격·종살격·종아격: 실령에 아군 JONG_ALLY_MAX % 이하, 인성 JONG_OPPOSE_MAX % 이하,
+   *   재성·관성·식상 중 가장 큰 것이 JONG_FOLLOW_MIN % 이상 → 그 십성을 따른다
+   * @returns {Object|null} { 격국, 용신, 설명 } (해당 없으면 null)
+   */
+  static _detectSpecial(result, hasTime, ohengPercent, strength) {
+    const dayStem = CHEONGAN[result.idxs.day % 10];
+    const monthBranchIdx = result.idxs.month % 12;
+    const monthBranch = JIJI[monthBranchIdx];
+
+    const ohengNames = ['목', '화', '토', '금', '수'];
+
+    // 화기격
+    const relations = RelationDetector.detect(result, hasTime);
+    const dayRel = relations.filter(r => r.row === 'stem' && (r.p1 === 'day' || r.p2 === 'day'));
+    const combine = dayRel.find(r => r.cat === '합');
+    if (combine && !dayRel.some(r => r.cat === '충')) {
+      const el = combine.desc.match(/합\((.)\)/)[1];
+      const 극화신 = ohengNames[OHENG_RELATIONS.극.indexOf(ohengNames.indexOf(el))];
+      if (JIJI_OHENG[monthBranchIdx] === el &&
+          ohengPercent[el] >= THRESHOLDS.HWAGI_MIN &&
+          ohengPercent[극화신] < THRESHOLDS.HWAGI_CLASH_MAX) {
+        return {
+          격국: '화기격',
+          용신: el,
+          설명: `${combine.desc}, 월지 ${monthBranch} 득령, ${el} ${ohengPercent[el]}% · ${극화신} ${ohengPercent[극화신]}% → 화기격: 화신(${el})을 따름`
+        };
+      }
+    }
+
+    const dayElIdx = ohengNames.indexOf(strength.dayMasterEl);
+    const groupEl = {
+      비겁: strength.dayMasterEl,
+      인성: ohengNames[OHENG_RELATIONS.생.indexOf(dayElIdx)],
+      식상: ohengNames[OHENG_RELATIONS.생[dayElIdx]],
+      재성: ohengNames[OHENG_RELATIONS.극[dayElIdx]],
+      관성: ohengNames[OHENG_RELATIONS.극.indexOf(dayElIdx)]
+    };
+    const total = strength.아군 + strength.적군 || 1;
+    const share = g => Math.round(strength.details[g] / total * 100);
+
+    // 종왕격·종강격
+    if (strength.deukryeong && strength.ratio >= THRESHOLDS.JONG_ALLY_MIN && share('관성') <= THRESHOLDS.JONG_OPPOSE_MAX) {
+      const g = strength.details.비겁 >= strength.details.인성 ? '비겁' : '인성';
+      const 격국 = g === '비겁' ? '종왕격' : '종강격';
+      return {
+        격국,
+        용신: groupEl[g],
+        설명: `득령, 아군 ${strength.ratio}% · 관성 ${share('관성')}% → ${격국}: ${g}(${groupEl[g]})을 따름`
+      };
+    }
+
+    // 종재격·종살격·종아격
+    if (!strength.deukryeong && strength.ratio <= THRESHOLDS.JONG_ALLY_MAX && share('인성') <= THRESHOLDS.JONG_OPPOSE_MAX) {
+      const follow = ['재성', '관성', '식상'].sort((a, b) => strength.details[b] - strength.details[a])[0];
+      if (share(follow) >= THRESHOLDS.JONG_FOLLOW_MIN) {
+        const 격국 = { 재성: '종재격', 관성: '종살격', 식상: '종아격' }[follow];
+        return {
+          격국,
+          용신: groupEl[follow],
+          설명: `실령, 아군 ${strength.ratio}% · ${follow} ${share(follow)}% → ${격국}: ${follow}(${groupEl[follow]})을 따름`
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 억부와 조후를 합친 최종 용신
+   * 한난이 치우친 달(조후 urgent)에는 조후가 억부에 앞서고,
+   * 그 밖에는 억부를 쓰되 조후를 보조로 둔다.
+   * 종격·화기격은 기세를 거스르지 않으므로 조후가 급해도 특수격 용신을 지킨다.
+   */
+  static _combine(기본, 조후, 특수격 = null) {
+    if (특수격) {
+      return {
+        용신: 기본.용신,
+        설명: 조후.용신 === 기본.용신
+          ? `${특수격.격국}·조후 모두 ${기본.용신}`
+          : `${특수격.격국}은 기세를 거스르지 않음 → ${특수격.격국}(${기본.용신}) 우선, 조후(${조후.용신}) 보조`
+      };
+    }
+    if (조후.용신 === 기본.용신) {
+      return { 용신: 기본.용신, 설명: `억부·조후 모두 ${기본.용신}` };
+    }
+    if (조후.urgent) {
+      return {
+        용신: 조후.용신,
+        설명: `${조후.season === '한' ? '한랭' : '조열'}한 달에 ${조후.need} ${조후.needPct}%로 부족 → 조후(${조후.용신})가 억부(${기본.용신})에 앞섬`
+      };
+    }
+    if (조후.season) {
+      return {
+        용신: 기본.용신,
+        설명: `${조후.need} ${조후.needPct}%로 기후가 풀림 → 억부(${기본.용신}) 우선, 조후(${조후.용신}) 보조`
+      };
+    }
+    return { 용신: 기본.용신, 설명: `한난이 치우치지 않은 달 → 억부(${기본.용신}) 우선, 조후(${조후.용신}) 보조` };
+  }
+
   /**
    * 통관용신 계산
    * - 두 개의 발달한 오행(20% 이상)이 상극 관계일 때 중재하는 오행
@@ -773,35 +1428,79 @@ export class YongsinAnalyzer {
   }
 }
 
+/**
+ * 기준 날짜의 나이
+ * 만 나이에서 기준 날짜의 월·일이 없으면 그 해 생일이 지난 뒤의 나이로 본다
+ *
+ * @param {{ year, month, day }} birth - 출생 양력 날짜
+ * @param {{ year, month?, day? }} at - 기준 날짜
+ * @param {string} [system=DEFAULT_AGE_SYSTEM] - AGE_SYSTEMS 키
+ * @returns {number}
+ */
+export function ageAt(birth, at, system = DEFAULT_AGE_SYSTEM) {
+  if (system !== 'international') return at.year - birth.year + 1;
+  const beforeBirthday = at.month != null &&
+    (at.month < birth.month || (at.month === birth.month && at.day < birth.day));
+  return at.year - birth.year - (beforeBirthday ? 1 : 0);
+}
+
 /**
  * 대운 계산기
+ *
+ * 출생에서 다음(순행)·직전(역행) 절입까지의 날수를 3일 = 1년으로 환산해
+ * 첫 교운 시각을 구하고, 이후 10년마다 같은 날짜·시각에 대운이 바뀐다.
+ * 각 대운의 start는 교운 순간 (UTC epoch Date), age는 교운 날짜의 나이 (표기 방식은 ageSystem),
+ * koreanAge는 표기와 무관한 세는 나이.
+ * daeunsu는 첫 교운까지의 햇수 (버림·반올림 방식은 정수, 남은 개월수는 daeunMonths)
  */
 export class DaeunCalculator {
-  static calculate(result, gender) {
+  /**
+   * @param {Object} result - SajuCalculator.calculate() 결과
+   * @param {string} gender - 'm' | 'f'
+   * @param {Object} [options]
+   * @param {string} [options.convention=DEFAULT_DAEUN] - 대운수 환산 방식 (DAEUN_CONVENTIONS 키)
+   * @param {string} [options.ageSystem=DEFAULT_AGE_SYSTEM] - 나이 표기 (AGE_SYSTEMS 키)
+   */
+  static calculate(result, gender, options = {}) {
     const yearStemIdx = result.idxs.year % 10;
     const isYang = yearStemIdx % 2 === 0;
     const isMale = gender === 'm';
     const forward = (isYang && isMale) || (!isYang && !isMale);
-
-    const birth = result.birthKST.getTime();
-    const daysToBound = Math.max(0, forward
-      ? (result.nextTermDt.getTime() - birth) / 864e5
-      : (birth - result.curTermDt.getTime()) / 864e5
-    );
-
-    // 3일 = 1년, 1일 = 4개월
-    const daeunYears = Math.floor(daysToBound / 3);
-    const remainDays = daysToBound - daeunYears * 3;
-    const daeunMonths = Math.round(remainDays / 3 * 12);
-
-    const { year: bY, month: bM } = result.input;
-    let startMonth = bM + daeunMonths;
-    let startYear = bY + daeunYears;
-    
-    while (startMonth > 12) { startMonth -= 12; startYear++; }
-    while (startMonth < 1) { startMonth += 12; startYear--; }
-    
-    const startKoreanAge = startYear - bY + 1;
+    const convention = DAEUN_CONVENTIONS[options.convention] ? options.convention : DEFAULT_DAEUN;
+    const ageSystem = AGE_SYSTEMS[options.ageSystem] ? options.ageSystem : DEFAULT_AGE_SYSTEM;
+
+    // 기둥만 입력한 원국은 절입까지의 날수를 알 수 없어 대운 순서만 낸다
+    const timed = result.birthKST != null;
+    let first = null, daeunsu = null, daeunMonths = null;
+
+    if (timed) {
+      // 출생·절입 시각은 모두 UTC epoch 기준이므로 차이는 시간대와 무관
+      const birth = result.birthKST.getTime();
+      const daysToBound = Math.max(0, forward
+        ? (result.nextTermDt.getTime() - birth) / 864e5
+        : (birth - result.curTermDt.getTime()) / 864e5
+      );
+
+      const b = AstronomyUtils.dateToCivil(birth, KST_OFFSET_MINUTES);
+      if (convention === 'floor' || convention === 'round') {
+        // 1일 = 4개월로 햇수·개월수까지 세고 남는 날은 버림/반올림, 그 달 생일 출생 시각에 교운
+        const months = Math[convention](daysToBound * 4);
+        daeunsu = Math.floor(months / 12);
+        daeunMonths = months % 12;
+        const m0 = b.month - 1 + daeunMonths;
+        const year = b.year + daeunsu + Math.floor(m0 / 12);
+        const month = m0 % 12 + 1;
+        // 없는 날짜(예: 31일)는 그 달 말일로
+        const day = Math.min(b.day, new Date(Date.UTC(year, month, 0)).getUTCDate());
+        first = { ...b, year, month, day };
+      } else {
+        // exact: 1일 = 365.2422 / 3일, day120: 1일 = 120일
+        const offsetDays = daysToBound * (convention === 'exact' ? 365.2422 / 3 : 120);
+        daeunsu = offsetDays / 365.2422;
+        first = AstronomyUtils.dateToCivil(birth + offsetDays * 864e5, KST_OFFSET_MINUTES);
+      }
+    }
+    const birth = result.birthDate;
     const monthIdx60 = result.idxs.month;
     const dayStemIdx = result.idxs.day % 10;
 
@@ -811,17 +1510,23 @@ export class DaeunCalculator {
         ? ((monthIdx60 + i) % 60 + 60) % 60
         : ((monthIdx60 - i) % 60 + 60) % 60;
 
-      const calYear = startYear + (i - 1) * 10;
-      const koreanAge = startKoreanAge + (i - 1) * 10;
+      // 교운 시각: 첫 교운 + 10년 단위 (같은 월·일·시각)
+      const start = timed
+        ? AstronomyUtils.civilToDate(first.year + (i - 1) * 10, first.month, first.day, first.hour, first.minute, KST_OFFSET_MINUTES)
+        : null;
+      const calYear = timed ? first.year + (i - 1) * 10 : null;
+      const at = timed ? { year: calYear, month: first.month, day: first.day } : null;
       const branchChar = JIJI[idx % 12];
       const hiddenMain = JIJANGGAN[branchChar].find(h => h.t === '본기') || JIJANGGAN[branchChar][0];
 
       list.push({
         idx,
         pillar: YUKSHIP_GAPJA[idx],
-        age: koreanAge,
+        age: timed ? ageAt(birth, at, ageSystem) : null,
+        koreanAge: timed ? ageAt(birth, at, 'korean') : null,
         calYear,
-        startMonth,
+        startMonth: timed ? first.month : null,
+        start,
         tgStem: SajuCalculator.getTenGod(dayStemIdx, idx % 10),
         tgBranch: SajuCalculator.getTenGod(dayStemIdx, CHEONGAN.indexOf(hiddenMain.s)),
         ts: SajuCalculator.getTwelveStage(dayStemIdx, idx % 12)
@@ -831,9 +1536,15 @@ export class DaeunCalculator {
     return {
       list,
       forward,
-      startAge: startKoreanAge,
-      startYear,
-      startMonth
+      timed,
+      convention,
+      ageSystem,
+      daeunsu,
+      daeunMonths,
+      startAge: list[0].age,
+      startYear: list[0].calYear,
+      startMonth: list[0].startMonth,
+      startDate: list[0].start
     };
   }
 }
@@ -842,9 +1553,16 @@ export class DaeunCalculator {
  * 세운 계산기
  */
 export class SaeunCalculator {
-  static calculate(result, startYear, endYear) {
+  /**
+   * @param {Object} result - SajuCalculator.calculate() 결과
+   * @param {number} startYear
+   * @param {number} endYear
+   * @param {Object} [options]
+   * @param {string} [options.ageSystem=DEFAULT_AGE_SYSTEM] - 나이 표기 (만 나이는 그 해 생일 이후)
+   */
+  static calculate(result, startYear, endYear, options = {}) {
     const dayStemIdx = result.idxs.day % 10;
-    const birthYear = result.input.year;
+    const ageSystem = AGE_SYSTEMS[options.ageSystem] ? options.ageSystem : DEFAULT_AGE_SYSTEM;
     const currentYear = new Date().getFullYear();
     const list = [];
 
@@ -857,7 +1575,7 @@ export class SaeunCalculator {
         year: y,
         idx: yearIdx,
         pillar: YUKSHIP_GAPJA[yearIdx],
-        age: y - birthYear + 1,  // 세는 나이
+        age: ageAt(result.birthDate, { year: y }, ageSystem),
         isCurrent: y === currentYear,
         tgStem: SajuCalculator.getTenGod(dayStemIdx, yearIdx % 10),
         tgBranch: SajuCalculator.getTenGod(dayStemIdx, CHEONGAN.indexOf(hiddenMain.s)),
@@ -906,7 +1624,7 @@ export class WolunCalculator {
         termDate = null;
       }
 
-      const actualMonth = termDate ? termDate.getMonth() + 1 : monthNum;
+      const actualMonth = termDate ? AstronomyUtils.dateToCivil(termDate).month : monthNum;
       const isCurrent = targetYear === currentYear && actualMonth === currentMonth;
 
       const branchChar = JIJI[monthIdx % 12];
@@ -929,6 +1647,82 @@ export class WolunCalculator {
   }
 }
 
+/**
+ * 일진 계산기 (양력 한 달)
+ * 날짜마다 그날 정오(KST)의 년주·월주를 함께 담아 세운·월운으로 쓸 수 있게 한다
+ */
+export class IljinCalculator {
+  static calculate(result, year, month) {
+    const dayStemIdx = result.idxs.day % 10;
+    const today = AstronomyUtils.dateToCivil(Date.now(), KST_OFFSET_MINUTES);
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const list = [];
+
+    for (let day = 1; day <= daysInMonth; day++) {
+      const idx = SajuCalculator.getDayPillarIdx(year, month, day);
+      const noon = SajuCalculator.calculate(year, month, day, 12, 0);
+
+      const branchChar = JIJI[idx % 12];
+      const hiddenMain = JIJANGGAN[branchChar].find(h => h.t === '본기') || JIJANGGAN[branchChar][0];
+
+      list.push({
+        year,
+        month,
+        day,
+        idx,
+        pillar: YUKSHIP_GAPJA[idx],
+        saeunIdx: noon.idxs.year,
+        wolunIdx: noon.idxs.month,
+        isToday: year === today.year && month === today.month && day === today.day,
+        tgStem: SajuCalculator.getTenGod(dayStemIdx, idx % 10),
+        tgBranch: SajuCalculator.getTenGod(dayStemIdx, CHEONGAN.indexOf(hiddenMain.s)),
+        ts: SajuCalculator.getTwelveStage(dayStemIdx, idx % 12)
+      });
+    }
+
+    return list;
+  }
+}
+
+/**
+ * 시운 계산기 (하루 12시진)
+ * 정자시 기준 하루: 전날 23:00 자시부터 해시(21:00~23:00)까지, 시주 천간은 그날 일간 기준.
+ * 세운·월운은 일진과 같이 그날 정오(KST) 기준
+ */
+export class SiunCalculator {
+  static calculate(result, year, month, day) {
+    const dayStemIdx = result.idxs.day % 10;
+    const iljinIdx = SajuCalculator.getDayPillarIdx(year, month, day);
+    const noon = SajuCalculator.calculate(year, month, day, 12, 0);
+    const pad = (n) => String(n).padStart(2, '0');
+    const list = [];
+
+    for (let branch = 0; branch < 12; branch++) {
+      const idx = SajuCalculator.getHourPillarIdx(iljinIdx, branch);
+      const startHour = (branch * 2 + 23) % 24;
+
+      const branchChar = JIJI[branch];
+      const hiddenMain = JIJANGGAN[branchChar].find(h => h.t === '본기') || JIJANGGAN[branchChar][0];
+
+      list.push({
+        branch,
+        idx,
+        pillar: YUKSHIP_GAPJA[idx],
+        start: `${pad(startHour)}:00`,
+        end: `${pad((startHour + 2) % 24)}:00`,
+        iljinIdx,
+        saeunIdx: noon.idxs.year,
+        wolunIdx: noon.idxs.month,
+        tgStem: SajuCalculator.getTenGod(dayStemIdx, idx % 10),
+        tgBranch: SajuCalculator.getTenGod(dayStemIdx, CHEONGAN.indexOf(hiddenMain.s)),
+        ts: SajuCalculator.getTwelveStage(dayStemIdx, branch)
+      });
+    }
+
+    return list;
+  }
+}
+
 /**
  * 합충형파해 감지기
  */
@@ -1061,12 +1855,134 @@ export class RelationDetector {
   }
 }
 
+// ===================================================================
+// 신살 분석
+// ===================================================================
+
+const SHINSAL_POS_K = { year: '년', month: '월', day: '일', hour: '시', daeun: '대운', saeun: '세운', wolun: '월운' };
+
+const stemText = (s) => `${CHEONGAN[s]}(${CHEONGAN_HANJA[s]})`;
+const branchText = (b) => `${JIJI[b]}(${JIJI_HANJA[b]})`;
+const hasPair = (table, a, b) => table.some(([x, y]) => (x === a && y === b) || (x === b && y === a));
+
+/**
+ * 신살 분석기
+ * 결과: [{ name, cat, pos, row, basis?, with?, rule }]
+ *   cat: '길신' | '흉살' | '12신살'
+ *   pos: 신살이 걸린 기둥 (year/month/day/hour 또는 daeun/saeun/wolun)
+ *   row: 'stem' | 'branch' | 'pillar'
+ *   basis: 기준 기둥 (일간·년지·일지 기준 신살), with: 짝 기둥 (원진·귀문관살)
+ */
+export class ShinsalAnalyzer {
+  /**
+   * 원국 신살
+   * @param {Object} result - SajuCalculator.calculate() 결과
+   * @param {boolean} hasTime
+   */
+  static detect(result, hasTime) {
+    const positions = hasTime ? ['hour', 'day', 'month', 'year'] : ['day', 'month', 'year'];
+    const pillars = positions.map(pos => ({ pos, idx: result.idxs[pos] }));
+
+    const found = [];
+    for (const p of pillars) {
+      found.push(...this._forPillar(result, positions, p, pillars.filter(q => q.pos !== p.pos)));
+    }
+    return found;
+  }
+
+  /**
+   * 운세 기둥(대운·세운·월운)에 드는 신살 — 원국 일간·년지·일지 기준 및 원국 지지와의 짝
+   * @param {Object} result - SajuCalculator.calculate() 결과 (원국)
+   * @param {boolean} hasTime
+   * @param {Object} fortunePillars - { daeun?, saeun?, wolun? } idx60
+   */
+  static detectFortune(result, hasTime, fortunePillars) {
+    const positions = hasTime ? ['hour', 'day', 'month', 'year'] : ['day', 'month', 'year'];
+    const natal = positions.map(pos => ({ pos, idx: result.idxs[pos] }));
+
+    const found = [];
+    for (const pos of ['daeun', 'saeun', 'wolun']) {
+      const idx = fortunePillars[pos];
+      if (idx === undefined || idx === null) continue;
+      found.push(...this._forPillar(result, positions, { pos, idx }, natal));
+    }
+    return found;
+  }
+
+  /**
+   * 한 기둥에 드는 신살
+   * @param {Object} result - 원국 (일간·년지·일지 기준)
+   * @param {string[]} positions - 원국 기둥 목록 (12신살 기준이 있는지)
+   * @param {{ pos, idx }} target - 검사할 기둥
+   * @param {Array<{ pos, idx }>} others - 짝 신살을 볼 원국 기둥
+   */
+  static _forPillar(result, positions, target, others) {
+    const dayStem = result.idxs.day % 10;
+    const { pos } = target;
+    const s = target.idx % 10;
+    const b = target.idx % 12;
+    const found = [];
+    const add = (name, cat, row, rule, extra = {}) => found.push({ name, cat, pos, row, ...extra, rule });
+
+    // ── 일간 기준 ──
+    const dm = `일간 ${stemText(dayStem)}`;
+    if (CHEONEUL_GWIIN[dayStem].includes(b)) {
+      add('천을귀인', '길신', 'branch', `${dm} → ${CHEONEUL_GWIIN[dayStem].map(branchText).join('·')}`, { basis: 'day' });
+    }
+    if (MUNCHANG_GWIIN[dayStem] === b) {
+      add('문창귀인', '길신', 'branch', `${dm} → ${branchText(b)}`, { basis: 'day' });
+    }
+    if (YANGIN[dayStem] === b) {
+      add('양인', '흉살', 'branch', `${dm} → ${branchText(b)}`, { basis: 'day' });
+    }
+    if (HONGYEOM[dayStem] === b) {
+      add('홍염', '흉살', 'branch', `${dm} → ${branchText(b)}`, { basis: 'day' });
+    }
+
+    // ── 기둥 자체 ──
+    if (BAEKHO_PILLARS.some(([ps, pb]) => ps === s && pb === b)) {
+      add('백호', '흉살', 'pillar', `${YUKSHIP_GAPJA[target.idx]} 백호대살`);
+    }
+    // 괴강은 일주에서 본다 (운세 기둥은 그 자체로 본다)
+    if ((pos === 'day' || !positions.includes(pos)) && GOEGANG_PILLARS.some(([ps, pb]) => ps === s && pb === b)) {
+      add('괴강', '흉살', 'pillar', `${YUKSHIP_GAPJA[target.idx]} 괴강`);
+    }
+    if (HYEONCHIM_STEMS.has(s)) add('현침', '흉살', 'stem', `천간 ${stemText(s)}`);
+    if (HYEONCHIM_BRANCHES.has(b)) add('현침', '흉살', 'branch', `지지 ${branchText(b)}`);
+
+    // ── 12신살 (년지·일지 기준) ──
+    for (const basis of ['year', 'day']) {
+      if (basis === pos) continue;
+      const base = result.idxs[basis] % 12;
+      const jisal = TRIPLE_COMBINE.find(([a, b2, c]) => [a, b2, c].includes(base))[0];
+      const name = TWELVE_SHINSAL[(b - jisal + 15) % 12];
+      add(name, '12신살', 'branch', `${SHINSAL_POS_K[basis]}지 ${branchText(base)} 기준 ${branchText(b)}`, { basis });
+    }
+
+    // ── 지지 짝: 원진·귀문관살 ──
+    // 원국끼리는 한 번만 (다른 쪽 기둥이 뒤에 오는 경우만)
+    for (const o of others) {
+      if (positions.includes(pos) && positions.indexOf(o.pos) < positions.indexOf(pos)) continue;
+      const ob = o.idx % 12;
+      const pair = `${SHINSAL_POS_K[pos]}${positions.includes(pos) ? '지' : ''} ${branchText(b)} – ${SHINSAL_POS_K[o.pos]}지 ${branchText(ob)}`;
+      if (hasPair(WONJIN, b, ob)) add('원진', '흉살', 'branch', pair, { with: o.pos });
+      if (hasPair(GWIMUN, b, ob)) add('귀문관살', '흉살', 'branch', pair, { with: o.pos });
+    }
+
+    return found;
+  }
+}
+
 export default {
   SajuCalculator,
   OhengAnalyzer,
+  GyeokgukAnalyzer,
   YongsinAnalyzer,
   DaeunCalculator,
   SaeunCalculator,
   WolunCalculator,
-  RelationDetector
+  IljinCalculator,
+  SiunCalculator,
+  RelationDetector,
+  ShinsalAnalyzer
 };
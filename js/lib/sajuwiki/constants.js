@@ -51,11 +51,15 @@ export const GAPJA_INDEX_MAP = (() => {
 })();
 
 // 기준 날짜 (계산용) - 원본과 동일
-export const REF_DATE = new Date(2002, 3, 11);  // 2002년 4월 11일 (기사일)
+// UTC 자정으로 고정하여 실행 환경의 시간대와 무관하게 날짜 차이를 계산
+export const REF_DATE = new Date(Date.UTC(2002, 3, 11));  // 2002년 4월 11일 (기사일)
 export const REF_DAY_IDX = 45;
 export const REF_YEAR = 2002;
 export const REF_YEAR_IDX = 18;
 
+// 한국 표준시 (UTC+9) 오프셋 (분)
+export const KST_OFFSET_MINUTES = 540;
+
 // ═══════════════════════════════════════════════════
 // 임계값 상수 (매직넘버 제거)
 // ═══════════════════════════════════════════════════
@@ -66,6 +70,17 @@ export const THRESHOLDS = {
   
   // 통관용신 기준
   TONGKWAN_MIN: 20,       // 통관용신 판단 최소 %
+
+  // 조후용신 기준
+  JOHU_MIN: 15,           // 한절(해자축)의 화, 열절(사오미)의 수가 이 % 미만이면 조후가 급함
+
+  // 종격·화기격 기준 (십성 비율은 가중 십성 합계 대비)
+  JONG_ALLY_MIN: 80,      // 득령 + 아군(비겁+인성) 이 % 이상 → 종왕·종강 후보
+  JONG_ALLY_MAX: 20,      // 실령 + 아군 이 % 이하 → 종재·종살·종아 후보
+  JONG_OPPOSE_MAX: 5,     // 종왕·종강의 관성, 종재·종살·종아의 인성이 이 % 이하여야 함
+  JONG_FOLLOW_MIN: 40,    // 따르는 십성(재성·관성·식상)이 이 % 이상
+  HWAGI_MIN: 35,          // 화기격: 합화한 오행이 이 % 이상
+  HWAGI_CLASH_MAX: 10,    // 화기격: 합화한 오행을 극하는 오행이 이 % 미만
   
   // 운세 점수 등급
   LUCK_EXCELLENT: 80,     // 대길
@@ -196,6 +211,36 @@ export const TIME_BOUNDARIES = [
   { start: 1260, end: 1380, branch: 11 }  // 21:00-23:00 → 해시
 ];
 
+// 자시 처리 방식
+// - jeong (정자시): 23:00부터 다음날 일주·다음날 자시
+// - ya (야자시/조자시): 자정까지 당일 일주, 23시대 시주는 다음날 일간 기준 자시 천간
+export const JASI_CONVENTIONS = {
+  jeong: { label: '정자시', dayChangeHour: 23 },
+  ya: { label: '야자시/조자시', dayChangeHour: 24 }
+};
+export const DEFAULT_JASI = 'jeong';
+
+// 대운수 환산 (출생~절입 3일 = 1년)
+//   exact: 비례 환산, 1일 = 1/3 회귀년 (시·분까지)
+//   floor / round: 1일 = 4개월로 햇수·개월수까지 세고 남는 날은 버림 / 반올림, 그 달 생일 출생 시각에 교운
+//   day120: 1일 = 120일 (1개월 = 30일로 세는 옛 환산)
+export const DAEUN_CONVENTIONS = {
+  exact: { label: '비례 환산 (3일 = 1년)' },
+  floor: { label: '대운수 버림' },
+  round: { label: '대운수 반올림' },
+  day120: { label: '1일 = 120일' }
+};
+export const DEFAULT_DAEUN = 'exact';
+
+// 나이 표기 (대운·세운·시계열 라벨). 대운 시기 계산과는 무관
+//   korean: 세는 나이 (연도 차 + 1)
+//   international: 만 나이 (생일이 지나야 한 살, 2023년부터 법정 기준)
+export const AGE_SYSTEMS = {
+  korean: { label: '세는 나이' },
+  international: { label: '만 나이' }
+};
+export const DEFAULT_AGE_SYSTEM = 'korean';
+
 // 십성
 export const TEN_GODS = ['비견', '겁재', '식신', '상관', '편재', '정재', '편관', '정관', '편인', '정인'];
 export const TEN_GODS_GROUPED = {
@@ -307,6 +352,27 @@ export const TRIPLE_PUNISHMENT = [
   [1, 10, 7, '은혜지형']   // 축술미
 ];
 
+// 신살 — 일간 기준 (천간 인덱스 → 지지 인덱스)
+export const CHEONEUL_GWIIN = [[1, 7], [0, 8], [11, 9], [11, 9], [1, 7], [0, 8], [1, 7], [2, 6], [3, 5], [3, 5]];  // 갑무경 축미, 을기 자신, 병정 해유, 신 인오, 임계 묘사
+export const MUNCHANG_GWIIN = [5, 6, 8, 9, 8, 9, 11, 0, 2, 3];
+export const YANGIN = [3, null, 6, null, 6, null, 9, null, 0, null];  // 양간만
+export const HONGYEOM = [6, 6, 2, 7, 4, 4, 10, 9, 0, 8];
+
+// 신살 — 기둥 ([천간, 지지])
+export const BAEKHO_PILLARS = [[0, 4], [1, 7], [2, 10], [3, 1], [4, 4], [8, 10], [9, 1]];  // 갑진 을미 병술 정축 무진 임술 계축
+export const GOEGANG_PILLARS = [[6, 4], [6, 10], [8, 4], [8, 10], [4, 10]];              // 경진 경술 임진 임술 무술
+
+// 신살 — 지지 쌍
+export const WONJIN = [[0, 7], [1, 6], [2, 9], [3, 8], [4, 11], [5, 10]];
+export const GWIMUN = [[0, 9], [1, 6], [2, 7], [3, 8], [4, 11], [5, 10]];
+
+// 현침 (뾰족한 획의 글자)
+export const HYEONCHIM_STEMS = new Set([0, 7]);       // 갑, 신
+export const HYEONCHIM_BRANCHES = new Set([3, 6, 8]); // 묘, 오, 신
+
+// 12신살: 기준 지지가 속한 삼합의 장생지(지살)부터 셋 앞이 겁살
+export const TWELVE_SHINSAL = ['겁살', '재살', '천살', '지살', '도화', '월살', '망신살', '장성살', '반안살', '역마', '육해살', '화개'];
+
 // 음력 월 배열
 export const LUNAR_MONTHS = [
   '정월(1월)', '이월(2월)', '삼월(3월)', '사월(4월)', 
@@ -400,9 +466,10 @@ export default {
   CHEONGAN_EUMYANG, JIJI_EUMYANG,
   OHENG_RELATIONS, TWELVE_STAGES, JANGSEONG_POSITION,
   YUKSHIP_GAPJA, GAPJA_INDEX_MAP,
-  REF_DATE, REF_DAY_IDX, REF_YEAR, REF_YEAR_IDX,
+  REF_DATE, REF_DAY_IDX, REF_YEAR, REF_YEAR_IDX, KST_OFFSET_MINUTES,
   THRESHOLDS, SOLAR_TERMS, TERM_MONTH, JIJANGGAN,
-  UI, TIME_BOUNDARIES, TEN_GODS, TEN_GODS_GROUPED,
+  UI, TIME_BOUNDARIES, JASI_CONVENTIONS, DEFAULT_JASI, DAEUN_CONVENTIONS, DEFAULT_DAEUN,
+  AGE_SYSTEMS, DEFAULT_AGE_SYSTEM, TEN_GODS, TEN_GODS_GROUPED,
   LUNAR_MONTHS, TIME_DISPLAY, ZODIAC_ANIMALS, ZODIAC_EMOJI, APP_INFO,
   // 오행 가중치 상수
   STEM_W, BR_W, BR_EL, BONGI_EUMYANG,
@@ -410,6 +477,10 @@ export default {
   BANHAP_TABLE, WANGJI,
   BRANCH_PUNISHMENT, BRANCH_BREAK, BRANCH_HARM, SELF_PUNISHMENT,
   TRIPLE_COMBINE, DIRECTIONAL_COMBINE, TRIPLE_PUNISHMENT,
+  // 신살
+  CHEONEUL_GWIIN, MUNCHANG_GWIIN, YANGIN, HONGYEOM,
+  BAEKHO_PILLARS, GOEGANG_PILLARS, WONJIN, GWIMUN,
+  HYEONCHIM_STEMS, HYEONCHIM_BRANCHES, TWELVE_SHINSAL,
   // 공유 카드 상수
   OHENG_CARD_COLORS, OHENG_CARD_DIVIDER
 };
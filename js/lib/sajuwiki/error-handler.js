@@ -153,11 +153,11 @@ export const Validator = {
     if (month < 1 || month > 12) return false;
     if (day < 1 || day > 31) return false;
 
-    // 실제 날짜 유효성 검사
-    const date = new Date(year, month - 1, day);
-    return date.getFullYear() === year &&
-           date.getMonth() === month - 1 &&
-           date.getDate() === day;
+    // 실제 날짜 유효성 검사 (UTC 기준, 실행 환경 시간대 무관)
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year &&
+           date.getUTCMonth() === month - 1 &&
+           date.getUTCDate() === day;
   },
 
   /**
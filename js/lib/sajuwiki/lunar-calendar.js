@@ -0,0 +1,210 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 연세사주 - 음력(태음태양력) 변환 엔진
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 삭(AstronomyUtils.newMoon)과 중기(getSolarTermsForYear)로 한국 음력을 계산한다.
+ * - 삭이 든 날(한국 시각)이 그 달 초하루
+ * - 동지가 든 달이 11월
+ * - 동지 달에서 다음 동지 달까지 13달이면, 중기가 없는 첫 달이 윤달
+ *
+ * 초하루·중기의 날짜는 한국천문연구원 역서와 같은 기준 시각으로 정한다:
+ * 1912년 이전 UTC+8, 1954~1961년 UTC+8:30, 그 밖에는 한국 표준시(UTC+9).
+ * 1900년 이전은 당시 역서(시헌력)의 삭 계산법이 달라, 삭이 자정 무렵인 달은
+ * 드물게 초하루가 하루 어긋날 수 있다. 지원 범위: 음력·양력 1800~2200년
+ */
+
+import { KST_OFFSET_MINUTES } from './constants.js';
+import { AstronomyUtils } from './astronomy.js';
+import { getSolarTermsForYear } from './calculator.js';
+import { createError, ErrorCodes } from './error-handler.js';
+
+export const LUNAR_MIN_YEAR = 1800;
+export const LUNAR_MAX_YEAR = 2200;
+
+const MS_PER_DAY = 86400000;
+const SYNODIC_MONTH = 29.530588861;
+
+/** 역법 기준 UTC 오프셋 (분), [이 시각 전까지, 오프셋] */
+const CALENDAR_OFFSETS = [
+  [Date.UTC(1912, 0, 1) - 480 * 60000, 480],
+  [Date.UTC(1954, 2, 21) - 540 * 60000, 540],
+  [Date.UTC(1961, 7, 10) - 510 * 60000, 510],
+  [Infinity, KST_OFFSET_MINUTES]
+];
+
+function offsetAt(ms) {
+  return CALENDAR_OFFSETS.find(([until]) => ms < until)[1];
+}
+
+/** 시각 → 역법 기준 날짜 번호 (1970-01-01 = 0) */
+function dayNumber(date) {
+  const ms = date.getTime();
+  return Math.floor((ms + offsetAt(ms) * 60000) / MS_PER_DAY);
+}
+
+function civilFromDayNumber(n) {
+  const t = new Date(n * MS_PER_DAY);
+  return { year: t.getUTCFullYear(), month: t.getUTCMonth() + 1, day: t.getUTCDate() };
+}
+
+function dayNumberFromCivil(year, month, day) {
+  return Date.UTC(year, month - 1, day) / MS_PER_DAY;
+}
+
+/** 날짜 번호 n 이전(당일 포함) 마지막 초하루 */
+function newMoonDayOnOrBefore(n) {
+  const jd = n + 2440587.5;
+  let k = Math.floor((jd - 2451550.09766) / SYNODIC_MONTH) + 1;
+  let day;
+  while ((day = dayNumber(AstronomyUtils.jdToDate(AstronomyUtils.newMoon(k)))) > n) {
+    k--;
+  }
+  return { k, day };
+}
+
+function winterSolsticeDay(year) {
+  return dayNumber(getSolarTermsForYear(year).find(t => t.name === '동지').date);
+}
+
+/**
+ * 세(歲): year-1년 동지 달(11월)부터 year년 동지 달 직전까지
+ * @returns {Array<{ month: number, isLeapMonth: boolean, start: number, days: number }>}
+ */
+function computeSui(year) {
+  const first = newMoonDayOnOrBefore(winterSolsticeDay(year - 1));
+  const last = newMoonDayOnOrBefore(winterSolsticeDay(year));
+
+  const starts = [];
+  for (let k = first.k; k <= last.k; k++) {
+    starts.push(dayNumber(AstronomyUtils.jdToDate(AstronomyUtils.newMoon(k))));
+  }
+
+  const junggi = [...getSolarTermsForYear(year - 1), ...getSolarTermsForYear(year)]
+    .filter(t => !t.isJeol)
+    .map(t => dayNumber(t.date));
+
+  const hasLeap = starts.length - 1 === 13;
+  let leapPlaced = false;
+  let month = 11;
+  const months = [];
+
+  for (let i = 0; i < starts.length - 1; i++) {
+    const start = starts[i];
+    const end = starts[i + 1];
+    let isLeapMonth = false;
+
+    if (i > 0) {
+      const noJunggi = !junggi.some(d => d >= start && d < end);
+      if (hasLeap && !leapPlaced && noJunggi) {
+        isLeapMonth = true;
+        leapPlaced = true;
+      } else {
+        month = month % 12 + 1;
+      }
+    }
+    months.push({ month, isLeapMonth, start, days: end - start });
+  }
+
+  return months;
+}
+
+const SuiCache = new Map();
+const YearCache = new Map();
+
+function sui(year) {
+  if (!SuiCache.has(year)) SuiCache.set(year, computeSui(year));
+  return SuiCache.get(year);
+}
+
+/**
+ * 음력 한 해의 달 목록 (1월부터 12월까지, 윤달 포함)
+ */
+function lunarYearMonths(year) {
+  if (YearCache.has(year)) return YearCache.get(year);
+
+  const all = [...sui(year), ...sui(year + 1)];
+  const isFirst = m => m.month === 1 && !m.isLeapMonth;
+  const from = all.findIndex(isFirst);
+  const to = all.findIndex((m, i) => i > from && isFirst(m));
+  const months = all.slice(from, to);
+
+  YearCache.set(year, months);
+  return months;
+}
+
+function invalid(details, reason) {
+  return createError(ErrorCodes.INVALID_DATE, { ...details, reason });
+}
+
+/**
+ * 음력 ↔ 양력 변환
+ */
+export class LunarCalendar {
+  /**
+   * 음력 한 해의 달 구성
+   * @param {number} year - 음력 연도
+   * @returns {Array<{ month: number, isLeapMonth: boolean, days: number }>}
+   */
+  static getYear(year) {
+    if (!Number.isInteger(year) || year < LUNAR_MIN_YEAR || year > LUNAR_MAX_YEAR) {
+      throw invalid({ year }, `음력 변환은 ${LUNAR_MIN_YEAR}~${LUNAR_MAX_YEAR}년만 지원합니다.`);
+    }
+    return lunarYearMonths(year).map(({ month, isLeapMonth, days }) => ({ month, isLeapMonth, days }));
+  }
+
+  /**
+   * 윤달 (없으면 0)
+   * @param {number} year - 음력 연도
+   */
+  static leapMonth(year) {
+    return this.getYear(year).find(m => m.isLeapMonth)?.month ?? 0;
+  }
+
+  /**
+   * 음력 → 양력
+   * 해당 연도에 그런 윤달이 없거나 날짜가 달 길이를 넘으면 INVALID_DATE
+   * @returns {{ year: number, month: number, day: number }}
+   */
+  static toSolar(year, month, day, isLeapMonth = false) {
+    const details = { year, month, day, isLeapMonth };
+    const label = `음력 ${year}년 ${isLeapMonth ? '윤' : ''}${month}월 ${day}일`;
+
+    this.getYear(year);
+    const entry = lunarYearMonths(year).find(m => m.month === month && m.isLeapMonth === isLeapMonth);
+    if (!entry) {
+      throw invalid(details, isLeapMonth
+        ? `${year}년에는 윤${month}월이 없습니다.`
+        : `${label}은(는) 없는 날짜입니다.`);
+    }
+    if (!Number.isInteger(day) || day < 1 || day > entry.days) {
+      throw invalid(details, `${label}은(는) 없는 날짜입니다. (${entry.days}일까지)`);
+    }
+
+    return civilFromDayNumber(entry.start + day - 1);
+  }
+
+  /**
+   * 양력 → 음력
+   * @returns {{ year: number, month: number, day: number, isLeapMonth: boolean }}
+   */
+  static fromSolar(year, month, day) {
+    const n = dayNumberFromCivil(year, month, day);
+    const valid = Number.isInteger(n) && civilFromDayNumber(n).day === day && civilFromDayNumber(n).month === month;
+    if (!valid || year < LUNAR_MIN_YEAR || year > LUNAR_MAX_YEAR) {
+      throw invalid({ year, month, day }, `양력 ${year}년 ${month}월 ${day}일은 변환할 수 없습니다. (${LUNAR_MIN_YEAR}~${LUNAR_MAX_YEAR}년)`);
+    }
+
+    // 양력 1~2월은 아직 전년 음력일 수 있다
+    for (const lunarYear of [year, year - 1]) {
+      const months = lunarYearMonths(lunarYear);
+      const entry = months.find(m => n >= m.start && n < m.start + m.days);
+      if (entry) {
+        return { year: lunarYear, month: entry.month, day: n - entry.start + 1, isLeapMonth: entry.isLeapMonth };
+      }
+    }
+
+    throw invalid({ year, month, day }, `양력 ${year}년 ${month}월 ${day}일의 음력 날짜를 찾지 못했습니다.`);
+  }
+}
+
+export default LunarCalendar;
@@ -0,0 +1,74 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 연세사주 - 절기 기준 시각표 (검증용)
+ * ═══════════════════════════════════════════════════════════════════════════
+ * 한국천문연구원(KASI) 발표 절기 시각 (KST, 분 단위)
+ * 천문 계산 엔진이 이 표와 허용 오차 안에서 일치하는지 검사한다.
+ *
+ * 새 항목은 [절기명, 'YYYY-MM-DD HH:mm'] 형식으로 연도순으로 추가한다.
+ * 현재 수록 범위는 2000~2025년뿐이다. 1900~2100년 전 구간(연대마다 여러 절기,
+ * 세기 경계 포함)은 KASI 발표값을 확인해 채워야 하며, 엔진 계산값으로 채우지 않는다.
+ *
+ * 검사는 verifySolarTermTable()(앱에서는 ?verify-terms)이 함께 실행한다.
+ */
+
+import { SOLAR_TERMS } from './constants.js';
+import { AstronomyUtils } from './astronomy.js';
+
+export const KASI_SOLAR_TERMS = [
+  ['춘분', '2000-03-20 16:35'], ['하지', '2000-06-21 10:48'],
+  ['추분', '2000-09-23 02:28'], ['동지', '2000-12-21 22:37'],
+  ['춘분', '2010-03-21 02:32'], ['하지', '2010-06-21 20:28'],
+  ['추분', '2010-09-23 12:09'], ['동지', '2010-12-22 08:38'],
+  ['입춘', '2020-02-04 18:03'],
+  ['춘분', '2020-03-20 12:50'], ['하지', '2020-06-21 06:44'],
+  ['추분', '2020-09-22 22:31'], ['동지', '2020-12-21 19:02'],
+  ['입춘', '2021-02-03 23:59'],
+  ['입춘', '2022-02-04 05:51'],
+  ['입춘', '2023-02-04 11:42'],
+  ['입춘', '2024-02-04 17:27'],
+  ['춘분', '2024-03-20 12:06'], ['하지', '2024-06-21 05:51'],
+  ['추분', '2024-09-22 21:44'], ['동지', '2024-12-21 18:21'],
+  ['입춘', '2025-02-03 23:10'],
+  ['춘분', '2025-03-20 18:01'], ['하지', '2025-06-21 11:42'],
+  ['추분', '2025-09-23 03:19'], ['동지', '2025-12-22 00:03']
+];
+
+/**
+ * 'YYYY-MM-DD HH:mm' (KST) → 세계시 율리우스일
+ */
+function kstStringToJD(str) {
+  const [date, time] = str.split(' ');
+  const [y, m, d] = date.split('-').map(Number);
+  const [hh, mm] = time.split(':').map(Number);
+  return AstronomyUtils.julianDay(y, m, d, hh - 9, mm);
+}
+
+/**
+ * 기준표 전체를 엔진으로 재계산하여 오차를 보고
+ * @param {number} [toleranceMinutes=1] - 허용 오차 (분). 발표값이 분 단위이므로 1분이 기본
+ * @returns {{ checked: number, maxDiffMinutes: number, failures: Array<{ term, expected, diffMinutes }> }}
+ */
+export function verifySolarTermReference(toleranceMinutes = 1) {
+  const failures = [];
+  let maxDiffMinutes = 0;
+
+  for (const [term, expected] of KASI_SOLAR_TERMS) {
+    const jdRef = kstStringToJD(expected);
+    const jd = AstronomyUtils.findSunLongitude(jdRef - 3, SOLAR_TERMS[term].angle, 6);
+    const diffMinutes = jd === null ? Infinity : (jd - jdRef) * 1440;
+
+    maxDiffMinutes = Math.max(maxDiffMinutes, Math.abs(diffMinutes));
+    if (!(Math.abs(diffMinutes) <= toleranceMinutes)) {
+      failures.push({ term, expected, diffMinutes: Math.round(diffMinutes * 10) / 10 });
+    }
+  }
+
+  return {
+    checked: KASI_SOLAR_TERMS.length,
+    maxDiffMinutes: Math.round(maxDiffMinutes * 100) / 100,
+    failures
+  };
+}
+
+export default { KASI_SOLAR_TERMS, verifySolarTermReference };
@@ -24,14 +24,31 @@ import {
   YongsinAnalyzer,
   DaeunCalculator,
   SaeunCalculator,
-  WolunCalculator
+  WolunCalculator,
+  RelationDetector,
+  ShinsalAnalyzer
 } from '../lib/sajuwiki/calculator.js';
+import { DEFAULT_JASI, DEFAULT_DAEUN, DEFAULT_AGE_SYSTEM, JIJI, TEN_GODS_GROUPED } from '../lib/sajuwiki/constants.js';
 
 import { computeContinuousSnapshot } from '../core/trig-engine.js';
 import { computeTwelveStageMatrix } from '../core/twelve-stage-matrix.js';
 import { generateOhengWaves } from '../core/oheng-waves.js';
 import { getAllBranchProfiles, getBlendedBranchProfile } from '../core/branch-profile.js';
 
+// Hour candidates for an unknown birth time: the middle of each 시진, with
+// 자시 split into its early (00시, same day) and late (23시) halves — the late
+// half changes the day pillar (정자시) or the hour stem (야자시).
+const HOUR_CANDIDATES = [
+  { branch: 0, hour: 0, minute: 30, range: '00~01시' },
+  ...Array.from({ length: 11 }, (_, i) => ({
+    branch: i + 1,
+    hour: (i + 1) * 2,
+    minute: 0,
+    range: `${String(i * 2 + 1).padStart(2, '0')}~${String(i * 2 + 3).padStart(2, '0')}시`
+  })),
+  { branch: 0, hour: 23, minute: 30, range: '23~24시', late: true }
+];
+
 // ===================================================================
 // BirthMoment Class
 // ===================================================================
@@ -47,8 +64,19 @@ export class BirthMoment {
    * @param {number|null} minute - birth minute (0-59), null if unknown
    * @param {string} gender - 'm' for male, 'f' for female
    * @param {number} [longitude=127.0] - birth location longitude (for future correction)
+   * @param {Object} [options]
+   * @param {string} [options.jasi] - 자시 convention key (JASI_CONVENTIONS), default 정자시
+   * @param {string} [options.daeunConvention] - 대운수 convention key (DAEUN_CONVENTIONS), default exact
+   * @param {string} [options.ageSystem] - age labels (AGE_SYSTEMS): 세는 나이 (default) or 만 나이
+   * @param {number} [options.solarOffsetMinutes=0] - longitude-corrected (or solar-time)
+   *   day/hour boundaries (getSajuMoment); the time above is then the KST reading of the instant
+   * @param {Object} [options.pillars] - pillar-only input { year, month, day, hour? }
+   *   (60갑자); the date/time arguments are then ignored (see fromPillars)
+   * @param {Object} [options.birthDate] - { year, month, day } solar birth date on the
+   *   birthplace calendar, used for ages. Defaults to the date above; pass it when that
+   *   date is a KST conversion (a foreign birth can land on another KST day or year)
    */
-  constructor(year, month, day, hour, minute, gender, longitude = 127.0) {
+  constructor(year, month, day, hour, minute, gender, longitude = 127.0, options = {}) {
     this.year = year;
     this.month = month;
     this.day = day;
@@ -56,9 +84,17 @@ export class BirthMoment {
     this.minute = minute;
     this.gender = gender;
     this.longitude = longitude;
-
-    // Whether birth time is known
-    this.hasTime = (hour !== null && hour !== undefined);
+    this.jasi = options.jasi ?? DEFAULT_JASI;
+    this.daeunConvention = options.daeunConvention ?? DEFAULT_DAEUN;
+    this.ageSystem = options.ageSystem ?? DEFAULT_AGE_SYSTEM;
+    this.solarOffsetMinutes = options.solarOffsetMinutes ?? 0;
+    this.pillars = options.pillars ?? null;
+    this.birthDate = this.pillars ? null : (options.birthDate ?? { year, month, day });
+
+    // Whether birth time is known (pillar-only: whether an hour pillar was given)
+    this.hasTime = this.pillars
+      ? String(this.pillars.hour ?? '').trim() !== ''
+      : (hour !== null && hour !== undefined);
 
     // Lazy-computed caches (null = not yet computed)
     this._discrete = null;
@@ -83,16 +119,27 @@ export class BirthMoment {
    * If birth time is unknown, defaults to noon (12:00) for calculation
    * but flags hasTime = false so downstream code can handle it.
    *
+   * Pillar-only moments use SajuCalculator.fromPillars() instead, which has
+   * the same shape but no birth instant or solar-term dates.
+   *
    * @returns {Object} SajuCalculator.calculate() result
    */
   computeDiscrete() {
     if (this._discrete) return this._discrete;
 
+    if (this.pillars) {
+      this._discrete = SajuCalculator.fromPillars(this.pillars);
+      this._discrete._longitude = this.longitude;
+      this._discrete._hasTime = this.hasTime;
+      return this._discrete;
+    }
+
     const h = this.hasTime ? this.hour : 12;
     const m = this.hasTime ? (this.minute ?? 0) : 0;
 
     this._discrete = SajuCalculator.calculate(
-      this.year, this.month, this.day, h, m
+      this.year, this.month, this.day, h, m,
+      { jasi: this.jasi, solarOffsetMinutes: this.hasTime ? this.solarOffsetMinutes : 0, birthDate: this.birthDate }
     );
 
     // Store longitude for future Phase 3 correction.
@@ -115,14 +162,22 @@ export class BirthMoment {
    * The continuous snapshot provides per-pillar branch influences,
    * oheng distributions at exact angles, and a combined weighted profile.
    *
+   * Pillar-only moments have no birth instant, so every pillar is placed at
+   * its branch centre (the hour at the middle of its 시진, the month at the
+   * branch centre because there are no solar-term dates).
+   *
    * @returns {Object} continuous snapshot from trig-engine
    */
   computeContinuous() {
     if (this._continuous) return this._continuous;
 
     const discrete = this.computeDiscrete();
-    const h = this.hasTime ? this.hour : 12;
-    const m = this.hasTime ? (this.minute ?? 0) : 0;
+    let h = this.hasTime ? this.hour : 12;
+    let m = this.hasTime ? (this.minute ?? 0) : 0;
+    if (this.pillars) {
+      h = (discrete.idxs.hour % 12) * 2;
+      m = 0;
+    }
 
     this._continuous = computeContinuousSnapshot(discrete, h, m);
 
@@ -207,7 +262,9 @@ export class BirthMoment {
    *
    * Requires gender for directionality (양남음녀 = forward, 음남양녀 = backward).
    * Returns 12 ten-year periods with their associated pillars, ten gods,
-   * and twelve stages.
+   * twelve stages and exact transition instants (교운 시각, per the
+   * moment's daeun convention). Ages are labelled in the moment's age
+   * system; the transition instants do not depend on it.
    *
    * @returns {Object} daeun data from DaeunCalculator
    */
@@ -215,7 +272,10 @@ export class BirthMoment {
     if (this._daeun) return this._daeun;
 
     const discrete = this.computeDiscrete();
-    this._daeun = DaeunCalculator.calculate(discrete, this.gender);
+    this._daeun = DaeunCalculator.calculate(discrete, this.gender, {
+      convention: this.daeunConvention,
+      ageSystem: this.ageSystem
+    });
 
     return this._daeun;
   }
@@ -230,6 +290,7 @@ export class BirthMoment {
    * @param {number} startYear - first year to compute
    * @param {number} endYear - last year to compute (inclusive)
    * @returns {Object[]} array of annual luck entries from SaeunCalculator
+   *   (ages in the moment's age system)
    */
   computeSaeun(startYear, endYear) {
     // Saeun is not cached because the year range may vary between calls.
@@ -242,12 +303,85 @@ export class BirthMoment {
     }
 
     const discrete = this.computeDiscrete();
-    this._saeun = SaeunCalculator.calculate(discrete, startYear, endYear);
+    this._saeun = SaeunCalculator.calculate(discrete, startYear, endYear, { ageSystem: this.ageSystem });
     this._saeunRange = [startYear, endYear];
 
     return this._saeun;
   }
 
+  // =================================================================
+  // Hour Candidates (unknown birth time)
+  // =================================================================
+
+  /**
+   * Compute the chart for every possible hour pillar of an unknown birth time.
+   *
+   * The date is kept and each 시진 (plus the late-자시 day-change case) is
+   * computed as if the time were known. Values that come out the same for
+   * every same-day candidate are reported as invariant; the rest depend on
+   * the hour. invariantAll also includes the late-자시 case, whose day pillar
+   * may differ. Candidate times are saju times (no longitude correction).
+   *
+   * @returns {Object|null} {
+   *   candidates: [{ branch, range, late, time, pillars, hourPillar, dayPillar,
+   *                  dayMaster, strength, yongsin, tenGods, oheng, relations }],
+   *   invariant: { dayPillar, dayMaster, strength, yongsin, tenGods, oheng, relations },
+   *   invariantAll: { ...same keys }
+   *     // each: the shared value, or undefined when it varies
+   * }  — null when the time is known or for pillar-only moments
+   */
+  computeHourCandidates() {
+    if (this.hasTime || this.pillars) return null;
+
+    const candidates = HOUR_CANDIDATES.map(c => {
+      const moment = new BirthMoment(
+        this.year, this.month, this.day, c.hour, c.minute, this.gender, this.longitude,
+        { jasi: this.jasi, daeunConvention: this.daeunConvention, ageSystem: this.ageSystem, birthDate: this.birthDate }
+      );
+      const discrete = moment.computeDiscrete();
+      const { oheng, yongsin } = moment.computeOheng();
+
+      // Ten gods by position (day stem excluded), grouped
+      const gods = [...Object.values(discrete.tgStem), ...Object.values(discrete.tgBranch)];
+      const tenGods = {};
+      for (const [group, members] of Object.entries(TEN_GODS_GROUPED)) {
+        tenGods[group] = gods.filter(g => members.includes(g)).length;
+      }
+
+      return {
+        branch: c.branch,
+        range: c.range,
+        late: !!c.late,
+        time: `${String(c.hour).padStart(2, '0')}:${String(c.minute).padStart(2, '0')}`,
+        label: `${JIJI[c.branch]}시`,
+        pillars: discrete.pillars,
+        hourPillar: discrete.pillars.hour,
+        dayPillar: discrete.pillars.day,
+        dayMaster: yongsin.strength.dayMaster,
+        strength: yongsin.strength.strength,
+        yongsin: yongsin.용신,
+        tenGods,
+        oheng: oheng.percent,
+        relations: RelationDetector.detect(discrete, true).map(r => `${r.lb} ${r.desc}`)
+      };
+    });
+
+    const shared = (list) => {
+      const out = {};
+      for (const key of ['dayPillar', 'dayMaster', 'strength', 'yongsin', 'tenGods', 'oheng', 'relations']) {
+        const values = list.map(c => JSON.stringify(c[key]));
+        out[key] = values.every(v => v === values[0]) ? list[0][key] : undefined;
+      }
+      return out;
+    };
+
+    return {
+      candidates,
+      invariant: shared(candidates.filter(c => !c.late)),
+      invariantAll: shared(candidates)
+    };
+  }
+
   // =================================================================
   // Wolun (월운 - Monthly Fortune)
   // =================================================================
@@ -284,9 +418,10 @@ export class BirthMoment {
     const daeun = this.computeDaeun();
 
     // Default saeun range: from birth year to birth year + 100
-    const saeunStart = this.year;
-    const saeunEnd = this.year + 100;
-    const saeun = this.computeSaeun(saeunStart, saeunEnd);
+    // (no birth year for pillar-only moments, so no saeun either)
+    const saeunStart = this.birthDate?.year;
+    const saeunEnd = saeunStart + 100;
+    const saeun = this.pillars ? [] : this.computeSaeun(saeunStart, saeunEnd);
 
     return {
       // Input parameters
@@ -298,6 +433,12 @@ export class BirthMoment {
         minute: this.minute,
         gender: this.gender,
         longitude: this.longitude,
+        jasi: this.jasi,
+        daeunConvention: this.daeunConvention,
+        ageSystem: this.ageSystem,
+        solarOffsetMinutes: this.solarOffsetMinutes,
+        pillars: this.pillars,
+        birthDate: this.birthDate,
         hasTime: this.hasTime
       },
 
@@ -316,6 +457,15 @@ export class BirthMoment {
       // Yongsin (용신) analysis
       yongsin,
 
+      // Spirit stars (신살) on the natal pillars
+      shinsal: ShinsalAnalyzer.detect(discrete, this.hasTime),
+
+      // Void branches (공망) of the day and year pillars' decades (순)
+      gongmang: {
+        day: SajuCalculator.getGongmang(discrete.idxs.day),
+        year: SajuCalculator.getGongmang(discrete.idxs.year),
+      },
+
       // Major luck periods (대운)
       daeun,
 
@@ -350,6 +500,12 @@ export class BirthMoment {
         minute: this.minute,
         gender: this.gender,
         longitude: this.longitude,
+        jasi: this.jasi,
+        daeunConvention: this.daeunConvention,
+        ageSystem: this.ageSystem,
+        solarOffsetMinutes: this.solarOffsetMinutes,
+        pillars: this.pillars,
+        birthDate: this.birthDate,
         hasTime: this.hasTime
       }
     };
@@ -383,7 +539,12 @@ export class BirthMoment {
     }
 
     if (this._daeun) {
-      json.daeun = this._daeun;
+      // Transition instants as ISO strings, like the discrete dates above
+      json.daeun = {
+        ...this._daeun,
+        startDate: this._daeun.startDate?.toISOString() ?? null,
+        list: this._daeun.list.map(d => ({ ...d, start: d.start?.toISOString() ?? null }))
+      };
     }
 
     if (this._saeun) {
@@ -400,7 +561,7 @@ export class BirthMoment {
   /**
    * Create a BirthMoment from a plain object (e.g., form data).
    *
-   * @param {Object} obj - { year, month, day, hour, minute, gender, longitude }
+   * @param {Object} obj - { year, month, day, hour, minute, gender, longitude, jasi, daeunConvention, ageSystem, solarOffsetMinutes, pillars, birthDate }
    * @returns {BirthMoment}
    */
   static fromObject(obj) {
@@ -411,10 +572,28 @@ export class BirthMoment {
       obj.hour ?? null,
       obj.minute ?? null,
       obj.gender ?? 'm',
-      obj.longitude ?? 127.0
+      obj.longitude ?? 127.0,
+      { jasi: obj.jasi, daeunConvention: obj.daeunConvention, ageSystem: obj.ageSystem, solarOffsetMinutes: obj.solarOffsetMinutes, pillars: obj.pillars, birthDate: obj.birthDate }
     );
   }
 
+  /**
+   * Create a pillar-only BirthMoment from the four pillars alone (no birth date).
+   *
+   * Everything that depends only on the pillars (ten gods, weighted oheng,
+   * yongsin, relations, twelve-stage matrix) is exact. Date-dependent parts
+   * are approximated or left out: continuous angles sit at branch centres,
+   * daeun has order and direction but no ages (daeun.timed = false), and
+   * there is no saeun.
+   *
+   * @param {Object} pillars - { year, month, day, hour? } 60갑자 (hangul or hanja)
+   * @param {string} [gender='m'] - 'm' | 'f' (daeun direction)
+   * @returns {BirthMoment}
+   */
+  static fromPillars(pillars, gender = 'm') {
+    return new BirthMoment(null, null, null, null, null, gender, 127.0, { pillars });
+  }
+
   /**
    * Get a blended branch profile for a specific continuous angle.
    * Convenience method wrapping the branch-profile module.
@@ -0,0 +1,169 @@
+/**
+ * calendar-module.js — 만세력 달력 탭
+ * 한 달을 요일 격자로 보여주고, 날짜마다 양력/음력 날짜, 일진,
+ * 그날 드는 절기 시각과 월주(입춘이면 년주도) 변경을 표시한다.
+ */
+
+import { SajuCalculator, getSolarTermsForYear } from '../lib/sajuwiki/calculator.js';
+import { LunarCalendar, LUNAR_MIN_YEAR, LUNAR_MAX_YEAR } from '../lib/sajuwiki/lunar-calendar.js';
+import { AstronomyUtils } from '../lib/sajuwiki/astronomy.js';
+import { REF_YEAR, REF_YEAR_IDX, KST_OFFSET_MINUTES } from '../lib/sajuwiki/constants.js';
+import { formatPillar } from '../utils/format.js';
+
+const WEEKDAYS = ['일', '월', '화', '수', '목', '금', '토'];
+
+function pad2(n) {
+  return String(n).padStart(2, '0');
+}
+
+function yearPillarIdx(sajuYear) {
+  return ((REF_YEAR_IDX + (sajuYear - REF_YEAR)) % 60 + 60) % 60;
+}
+
+/**
+ * 해당 양력 월에 드는 절기 (날짜별)
+ * 절(節)에는 그 순간부터 바뀌는 월주를 붙인다
+ * @returns {Map<number, Array<{ name, time, isJeol, monthPillar?, yearPillar? }>>} 일 → 절기 목록
+ */
+function termsByDay(year, month) {
+  const byDay = new Map();
+  for (const term of getSolarTermsForYear(year)) {
+    const t = AstronomyUtils.dateToCivil(term.date, KST_OFFSET_MINUTES);
+    if (t.month !== month) continue;
+
+    const entry = { name: term.name, time: `${pad2(t.hour)}:${pad2(t.minute)}`, isJeol: term.isJeol };
+    if (term.isJeol) {
+      // 소한(축월)은 아직 전년 사주 연도
+      const sajuYear = term.name === '소한' ? year - 1 : year;
+      const yIdx = yearPillarIdx(sajuYear);
+      entry.monthPillar = formatPillar(SajuCalculator.getMonthPillarIdx(yIdx, term.month)).kr;
+      if (term.name === '입춘') entry.yearPillar = formatPillar(yIdx).kr;
+    }
+
+    if (!byDay.has(t.day)) byDay.set(t.day, []);
+    byDay.get(t.day).push(entry);
+  }
+  return byDay;
+}
+
+export class CalendarModule {
+  /**
+   * @param {string|HTMLElement} container
+   * @param {Object} [options]
+   * @param {Function} [options.onSelectDay] - ({ year, month, day }) 날짜 클릭 시
+   */
+  constructor(container, options = {}) {
+    this.container = typeof container === 'string'
+      ? document.getElementById(container)
+      : container;
+    this.onSelectDay = options.onSelectDay ?? null;
+
+    const today = AstronomyUtils.dateToCivil(Date.now(), KST_OFFSET_MINUTES);
+    this.today = today;
+    this.year = today.year;
+    this.month = today.month;
+    this.rendered = false;
+
+    this._bind();
+  }
+
+  _bind() {
+    if (!this.container) return;
+    this.container.addEventListener('click', (e) => {
+      const nav = e.target.closest('[data-cal-nav]');
+      if (nav) {
+        const step = nav.dataset.calNav;
+        if (step === 'today') {
+          this.goTo(this.today.year, this.today.month);
+        } else {
+          const [unit, delta] = step.split(':');
+          this.move(unit === 'year' ? Number(delta) * 12 : Number(delta));
+        }
+        return;
+      }
+
+      const cell = e.target.closest('[data-cal-day]');
+      if (cell && this.onSelectDay) {
+        this.onSelectDay({ year: this.year, month: this.month, day: Number(cell.dataset.calDay) });
+      }
+    });
+  }
+
+  /** months만큼 이동 (지원 범위 밖이면 무시) */
+  move(months) {
+    const idx = this.year * 12 + (this.month - 1) + months;
+    this.goTo(Math.floor(idx / 12), idx % 12 + 1);
+  }
+
+  goTo(year, month) {
+    if (year < LUNAR_MIN_YEAR || year > LUNAR_MAX_YEAR) return;
+    this.year = year;
+    this.month = month;
+    this.render();
+  }
+
+  render() {
+    if (!this.container) return;
+    const { year, month } = this;
+
+    const firstWeekday = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const terms = termsByDay(year, month);
+
+    let html = `
+      <div class="cal-header">
+        <div class="detail-nav">
+          <button class="detail-nav-btn" data-cal-nav="year:-1" title="이전 해">&laquo;</button>
+          <button class="detail-nav-btn" data-cal-nav="month:-1" title="이전 달">&#9664;</button>
+        </div>
+        <span class="detail-nav-label cal-title">${year}년 ${month}월</span>
+        <div class="detail-nav">
+          <button class="detail-nav-btn" data-cal-nav="month:1" title="다음 달">&#9654;</button>
+          <button class="detail-nav-btn" data-cal-nav="year:1" title="다음 해">&raquo;</button>
+          <button class="cal-today-btn" data-cal-nav="today">오늘</button>
+        </div>
+      </div>
+      <div class="cal-grid">`;
+
+    for (const w of WEEKDAYS) {
+      html += `<div class="cal-weekday">${w}</div>`;
+    }
+    for (let i = 0; i < firstWeekday; i++) {
+      html += '<div class="cal-cell cal-empty"></div>';
+    }
+
+    for (let day = 1; day <= daysInMonth; day++) {
+      const pillar = formatPillar(SajuCalculator.getDayPillarIdx(year, month, day));
+      const lunar = LunarCalendar.fromSolar(year, month, day);
+      const lunarText = lunar.day === 1
+        ? `${lunar.isLeapMonth ? '윤' : ''}${lunar.month}.1`
+        : `${lunar.day}`;
+      const weekday = (firstWeekday + day - 1) % 7;
+      const isToday = year === this.today.year && month === this.today.month && day === this.today.day;
+
+      const classes = ['cal-cell'];
+      if (weekday === 0) classes.push('cal-sun');
+      if (weekday === 6) classes.push('cal-sat');
+      if (isToday) classes.push('cal-today');
+      if (terms.get(day)?.some(t => t.isJeol)) classes.push('cal-jeol');
+
+      const termHtml = (terms.get(day) || []).map(t => `
+          <div class="cal-term ${t.isJeol ? 'cal-term-jeol' : ''}">${t.name} ${t.time}</div>
+          ${t.monthPillar ? `<div class="cal-pillar-change">${t.yearPillar ? `${t.yearPillar}년 · ` : ''}${t.monthPillar}월 시작</div>` : ''}`).join('');
+
+      html += `
+        <div class="${classes.join(' ')}" data-cal-day="${day}" title="이 날짜로 사주 입력">
+          <div class="cal-day-row">
+            <span class="cal-solar">${day}</span>
+            <span class="cal-lunar ${lunar.day === 1 ? 'cal-lunar-first' : ''}">음 ${lunarText}</span>
+          </div>
+          <div class="cal-iljin"><span class="cal-iljin-kr">${pillar.kr}</span> <span class="cal-iljin-hanja">${pillar.hanja}</span></div>
+          ${termHtml}
+        </div>`;
+    }
+
+    html += '</div>';
+    this.container.innerHTML = html;
+    this.rendered = true;
+  }
+}
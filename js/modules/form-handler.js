@@ -2,7 +2,8 @@
  * form-handler.js — Form input handling and validation
  */
 
-import { getMeridian } from './longitude-correction.js';
+import { getOffsetAt } from './longitude-correction.js';
+import { LunarCalendar } from '../lib/sajuwiki/lunar-calendar.js';
 
 export class FormHandler {
   constructor(formEl, onSubmit) {
@@ -19,9 +20,122 @@ export class FormHandler {
       const data = this.getData();
       if (data) this.onSubmit(data);
     });
+    // 입력이 바뀔 때마다 해당 시각의 시간대/서머타임 안내 갱신
+    this.form.addEventListener('input', () => this._updateOffsetHint());
+    this.form.addEventListener('change', () => this._updateOffsetHint());
+    // 윤달은 음력 입력에서만 의미가 있다
+    this.form.addEventListener('change', () => this._syncLeapMonth());
+    // 생년월일시 / 사주 기둥 입력 전환
+    this.form.addEventListener('change', () => this._syncInputMode());
+  }
+
+  _isPillarMode() {
+    return this.form.querySelector('input[name="input-mode"]:checked')?.value === 'pillars';
+  }
+
+  _syncInputMode() {
+    this.form.classList.toggle('pillar-mode', this._isPillarMode());
+  }
+
+  _syncLeapMonth() {
+    const leapEl = document.getElementById('in-leap-month');
+    if (!leapEl) return;
+    const isLunar = document.querySelector('input[name="calendar"]:checked')?.value === 'lunar';
+    leapEl.disabled = !isLunar;
+    if (!isLunar) leapEl.checked = false;
+  }
+
+  _getPlace() {
+    const countryEl = document.getElementById('in-country');
+    const cityEl = document.getElementById('in-city');
+    const country = countryEl ? countryEl.value : '한국';
+    const city = cityEl && cityEl.value ? cityEl.selectedOptions[0]?.textContent ?? null : null;
+    return { country, city };
+  }
+
+  _updateOffsetHint() {
+    const el = document.getElementById('offset-hint');
+    if (!el) return;
+
+    let year = parseInt(document.getElementById('in-year').value);
+    let month = parseInt(document.getElementById('in-month').value);
+    let day = parseInt(document.getElementById('in-day').value);
+    const hour = parseInt(document.getElementById('in-hour').value);
+    const minute = parseInt(document.getElementById('in-min').value) || 0;
+    if (isNaN(year) || isNaN(month) || isNaN(day) || year < 1900 || year > 2100) {
+      el.style.display = 'none';
+      return;
+    }
+
+    // 음력 입력은 양력 날짜로 바꿔 시간대를 찾는다 (없는 날짜면 힌트를 숨김)
+    if (document.querySelector('input[name="calendar"]:checked')?.value === 'lunar') {
+      const isLeapMonth = document.getElementById('in-leap-month')?.checked ?? false;
+      try {
+        ({ year, month, day } = LunarCalendar.toSolar(year, month, day, isLeapMonth));
+      } catch {
+        el.style.display = 'none';
+        return;
+      }
+    }
+
+    const { country, city } = this._getPlace();
+    const longitude = parseFloat(document.getElementById('in-longitude').value) || 127.0;
+    const offset = getOffsetAt(country, { year, month, day, hour: isNaN(hour) ? 12 : hour, minute }, { city, longitude });
+
+    el.textContent = offset.dstMinutes
+      ? `${offset.zoneLabel} · 출생 시각에 ${offset.dstRule} 적용`
+      : offset.zoneLabel;
+    el.classList.toggle('dst', offset.dstMinutes > 0);
+    el.style.display = '';
+  }
+
+  /**
+   * 양력 날짜(와 시각)로 입력란 채우기 (만세력 달력·사주 역산에서 선택 시)
+   * hour를 생략하면 시각 입력은 그대로 두고, null이면 비운다
+   * jasi를 주면 자시 기준도 맞춘다 (사주 역산 결과는 검색한 기준으로 분석)
+   */
+  fill({ year, month, day, hour, minute, jasi }) {
+    document.getElementById('in-year').value = year;
+    document.getElementById('in-month').value = month;
+    document.getElementById('in-day').value = day;
+    if (hour !== undefined) {
+      document.getElementById('in-hour').value = hour ?? '';
+      document.getElementById('in-min').value = hour === null ? '' : (minute ?? 0);
+    }
+    if (jasi) {
+      const jasiSelect = document.getElementById('in-jasi');
+      if (jasiSelect) jasiSelect.value = jasi;
+    }
+    const solarRadio = this.form.querySelector('input[name="calendar"][value="solar"]');
+    if (solarRadio) solarRadio.checked = true;
+    const dateRadio = this.form.querySelector('input[name="input-mode"][value="date"]');
+    if (dateRadio) dateRadio.checked = true;
+    this._syncInputMode();
+    this._syncLeapMonth();
+    this._updateOffsetHint();
+  }
+
+  /**
+   * 사주 기둥 입력: 60갑자 검증은 SajuCalculator.fromPillars()가 한다
+   */
+  _getPillarData() {
+    const pillars = {};
+    for (const key of ['year', 'month', 'day', 'hour']) {
+      pillars[key] = document.getElementById(`in-pillar-${key}`)?.value.trim() || null;
+    }
+    const gender = document.querySelector('input[name="gender"]:checked')?.value || 'm';
+
+    if (!pillars.year || !pillars.month || !pillars.day) {
+      alert('년주·월주·일주를 입력해주세요.');
+      return null;
+    }
+
+    return { pillars, gender };
   }
 
   getData() {
+    if (this._isPillarMode()) return this._getPillarData();
+
     const year = parseInt(document.getElementById('in-year').value);
     const month = parseInt(document.getElementById('in-month').value);
     const day = parseInt(document.getElementById('in-day').value);
@@ -31,10 +145,15 @@ export class FormHandler {
     const minute = minVal !== '' ? parseInt(minVal) : 0;
     const gender = document.querySelector('input[name="gender"]:checked')?.value || 'm';
     const calendar = document.querySelector('input[name="calendar"]:checked')?.value || 'solar';
+    const isLeapMonth = calendar === 'lunar' && (document.getElementById('in-leap-month')?.checked ?? false);
     const longitude = parseFloat(document.getElementById('in-longitude').value) || 127.0;
-    const countryEl = document.getElementById('in-country');
-    const country = countryEl ? countryEl.value : '한국';
-    const meridian = getMeridian(country);
+    const { country, city } = this._getPlace();
+    const trueSolarTime = document.getElementById('in-true-solar')?.checked ?? false;
+    const solarHours = document.getElementById('in-solar-hours')?.checked ?? false;
+    const jasi = document.getElementById('in-jasi')?.value || 'jeong';
+    const daeunConvention = document.getElementById('in-daeun')?.value || 'exact';
+    const ageSystem = document.getElementById('in-age')?.value || 'korean';
+    const gongmang = document.getElementById('in-gongmang')?.value || 'day';
 
     // Validate required fields
     if (isNaN(year) || isNaN(month) || isNaN(day)) {
@@ -54,6 +173,6 @@ export class FormHandler {
       return null;
     }
 
-    return { year, month, day, hour, minute, gender, calendar, longitude, meridian };
+    return { year, month, day, hour, minute, gender, calendar, isLeapMonth, longitude, country, city, trueSolarTime, solarHours, jasi, daeunConvention, ageSystem, gongmang };
   }
 }
@@ -2,7 +2,7 @@ import { ohengStrengthAtAngle, allBranchInfluences } from '../core/trig-engine.j
 import { stageToEnergy } from '../core/twelve-stage-matrix.js';
 import { generateOhengWaves } from '../core/oheng-waves.js';
 import { OHENG_COLORS } from '../viz/color-scales.js';
-import { formatPillar } from '../utils/format.js';
+import { formatPillar, formatAge } from '../utils/format.js';
 import { WaveformChart } from '../viz/waveform-chart.js';
 
 const JIJI_HANJA = ['子','丑','寅','卯','辰','巳','午','未','申','酉','戌','亥'];
@@ -44,13 +44,13 @@ export class FortuneModule {
       for (const d of daeunList) {
         const enhanced = this._enhancePeriod(d);
         const pillarInfo = this._getPillarDisplay(d);
-        const age = d.age ?? d.startAge ?? '?';
+        const age = formatAge(d.age ?? d.startAge ?? '?', fortuneData.ageSystem);
         const oheng = enhanced.oheng || {};
         const maxEl = this._getMaxElement(oheng);
         const color = maxEl ? (OHENG_COLORS[maxEl]?.main || '#888') : '#888';
 
         html += `<div class="fortune-daeun-card" style="border-top: 3px solid ${color}">
-          <span class="fortune-age">${age}세~</span>
+          <span class="fortune-age">${age}~</span>
           <span class="fortune-pillar">${pillarInfo}</span>
           <span class="fortune-ts">${d.ts || d.tsSelf || ''}</span>
         </div>`;
@@ -11,15 +11,24 @@
  * - PST (UTC-8): -120°
  * - GMT (UTC+0): 0°
  * - CET (UTC+1): 15°E
+ *
+ * The meridian is not fixed per country: offsets and summer time changed
+ * over the years, so the clock offset in force at the birth is looked up
+ * from the offline tz rules in data/timezone-rules.js (getOffsetAt).
  */
 
+import { RULES, ZONES } from '../data/timezone-rules.js';
+import { AstronomyUtils } from '../lib/sajuwiki/astronomy.js';
+import { KST_OFFSET_MINUTES } from '../lib/sajuwiki/constants.js';
+
 /**
- * Location data: countries with standard meridians and major cities.
+ * Location data: countries with their tz zone and major cities.
  * Longitude is in degrees (positive = East, negative = West).
+ * `cityZones` overrides the zone for cities outside the country's main zone.
  */
 export const LOCATIONS = {
   '한국': {
-    meridian: 135,
+    zone: 'Asia/Seoul',
     cities: {
       '서울': 126.98, '부산': 129.08, '대구': 128.60,
       '인천': 126.71, '광주': 126.85, '대전': 127.38,
@@ -29,7 +38,7 @@ export const LOCATIONS = {
     }
   },
   '일본': {
-    meridian: 135,
+    zone: 'Asia/Tokyo',
     cities: {
       '도쿄': 139.69, '오사카': 135.50, '나고야': 136.91,
       '삿포로': 141.35, '후쿠오카': 130.42, '교토': 135.77,
@@ -37,7 +46,7 @@ export const LOCATIONS = {
     }
   },
   '중국': {
-    meridian: 120,
+    zone: 'Asia/Shanghai',
     cities: {
       '베이징': 116.41, '상하이': 121.47, '광저우': 113.26,
       '선전': 114.06, '청두': 104.07, '시안': 108.94,
@@ -45,27 +54,28 @@ export const LOCATIONS = {
     }
   },
   '대만': {
-    meridian: 120,
+    zone: 'Asia/Taipei',
     cities: {
       '타이베이': 121.56, '가오슝': 120.31, '타이중': 120.68,
     }
   },
   '미국 동부': {
-    meridian: -75,
+    zone: 'America/New_York',
     cities: {
       '뉴욕': -74.01, '워싱턴DC': -77.04, '보스턴': -71.06,
       '필라델피아': -75.17, '마이애미': -80.19, '애틀랜타': -84.39,
     }
   },
   '미국 중부': {
-    meridian: -90,
+    zone: 'America/Chicago',
+    cityZones: { '디트로이트': 'America/Detroit' },
     cities: {
       '시카고': -87.63, '휴스턴': -95.37, '댈러스': -96.80,
       '미니애폴리스': -93.27, '디트로이트': -83.05,
     }
   },
   '미국 서부': {
-    meridian: -120,
+    zone: 'America/Los_Angeles',
     cities: {
       '로스앤젤레스': -118.24, '샌프란시스코': -122.42,
       '시애틀': -122.33, '포틀랜드': -122.68,
@@ -73,27 +83,28 @@ export const LOCATIONS = {
     }
   },
   '영국': {
-    meridian: 0,
+    zone: 'Europe/London',
     cities: {
       '런던': -0.12, '맨체스터': -2.24, '에든버러': -3.19,
       '버밍엄': -1.90, '리버풀': -2.99,
     }
   },
   '독일': {
-    meridian: 15,
+    zone: 'Europe/Berlin',
     cities: {
       '베를린': 13.41, '뮌헨': 11.58, '함부르크': 9.99,
       '프랑크푸르트': 8.68, '쾰른': 6.96,
     }
   },
   '프랑스': {
-    meridian: 15,
+    zone: 'Europe/Paris',
     cities: {
       '파리': 2.35, '마르세유': 5.37, '리옹': 4.83, '니스': 7.26,
     }
   },
   '캐나다': {
-    meridian: -75,
+    zone: 'America/Toronto',
+    cityZones: { '밴쿠버': 'America/Vancouver', '캘거리': 'America/Edmonton' },
     cities: {
       '토론토': -79.38, '밴쿠버': -123.12, '몬트리올': -73.57,
       '오타와': -75.70, '캘거리': -114.07,
@@ -101,13 +112,96 @@ export const LOCATIONS = {
   },
 };
 
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function wallMinutes(year, month, day, hour = 0, minute = 0) {
+  return Date.UTC(year, month - 1, day, hour, minute) / 60000;
+}
+
+function formatWall(minutes) {
+  const d = new Date(minutes * 60000);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())} ${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}`;
+}
+
+/** Resolve a rule's `on` field ('lastSun', 'Sun>=8', or a day) to a day of month. */
+function ruleDay(year, month, on) {
+  if (typeof on === 'number') return on;
+  if (on.startsWith('last')) {
+    const last = new Date(Date.UTC(year, month, 0));
+    const target = WEEKDAYS.indexOf(on.slice(4));
+    return last.getUTCDate() - (last.getUTCDay() - target + 7) % 7;
+  }
+  const [dow, ge] = on.split('>=');
+  const first = new Date(Date.UTC(year, month - 1, Number(ge)));
+  return Number(ge) + (WEEKDAYS.indexOf(dow) - first.getUTCDay() + 7) % 7;
+}
+
 /**
- * Get the standard meridian for a country name.
+ * Expand a rule set into chronological transitions around `year`, each with
+ * the wall-clock minute at which it takes effect (read on the clock in force
+ * just before the change, so a repeated autumn hour counts as summer time).
+ */
+function ruleTransitions(rules, year, standardOffset) {
+  const lines = [];
+  for (const [from, to, month, on, at, save] of rules) {
+    for (let y = Math.max(from, year - 10); y <= Math.min(to, year + 5); y++) {
+      const [, h, mi, type] = /^(\d+):(\d+)([su]?)$/.exec(at);
+      const base = wallMinutes(y, month, ruleDay(y, month, on)) + Number(h) * 60 + Number(mi);
+      lines.push({ base, type, save });
+    }
+  }
+  lines.sort((a, b) => a.base - b.base);
+
+  let prevSave = 0;
+  return lines.map(({ base, type, save }) => {
+    const wall = type === 's' ? base + prevSave
+      : type === 'u' ? base + standardOffset + prevSave
+      : base;
+    prevSave = save;
+    return { wall, save };
+  });
+}
+
+/**
+ * Look up the clock offset in force at a local wall-clock time.
+ *
  * @param {string} country - Country name (key of LOCATIONS)
- * @returns {number} Standard meridian in degrees
+ * @param {{ year, month, day, hour?, minute? }} localDateTime - Clock reading at the birthplace
+ * @param {{ city?: string, longitude?: number }} [place] - City picks a zone override;
+ *   longitude is used only for local mean time
+ * @returns {{ zone, utcOffsetMinutes, standardOffsetMinutes, dstMinutes, zoneLabel, dstRule }}
  */
-export function getMeridian(country) {
-  return LOCATIONS[country]?.meridian ?? 135;
+export function getOffsetAt(country, localDateTime, place = {}) {
+  const loc = LOCATIONS[country] ?? LOCATIONS['한국'];
+  const zone = loc.cityZones?.[place.city] ?? loc.zone;
+  const { year, month, day, hour = 12, minute = 0 } = localDateTime;
+  const t = wallMinutes(year, month, day, hour, minute);
+
+  const eras = ZONES[zone];
+  const [offset, ruleKey, , zoneLabel] = eras.find(([, , until]) => !until || t < wallMinutes(...until));
+  const standardOffsetMinutes = offset ?? (place.longitude ?? 127) * 4;
+
+  let dstMinutes = 0;
+  let dstRule = null;
+  if (ruleKey) {
+    const transitions = ruleTransitions(RULES[ruleKey], year, standardOffsetMinutes);
+    const i = transitions.findLastIndex(tr => tr.wall <= t);
+    if (i >= 0 && transitions[i].save) {
+      dstMinutes = transitions[i].save;
+      const end = transitions.slice(i + 1).find(tr => tr.save !== dstMinutes);
+      dstRule = `서머타임 +${dstMinutes / 60}시간 (${formatWall(transitions[i].wall)} ~ ${end ? formatWall(end.wall) : '?'})`;
+    }
+  }
+
+  return {
+    zone,
+    utcOffsetMinutes: standardOffsetMinutes + dstMinutes,
+    standardOffsetMinutes,
+    dstMinutes,
+    zoneLabel,
+    dstRule,
+  };
 }
 
 /**
@@ -126,18 +220,34 @@ export function longitudeCorrection(longitude, meridian = 135) {
  * Apply longitude correction to a birth date/time.
  * Returns adjusted hour and minute.
  *
+ * The clock offset in force for the birth date (getOffsetAt) sets the
+ * standard meridian, and any summer time hour is removed as well.
+ * With `trueSolarTime` (진태양시) the equation of time is added on top of
+ * the longitude shift, giving apparent rather than mean local solar time.
+ *
  * @param {number} year
  * @param {number} month
  * @param {number} day
  * @param {number} hour
  * @param {number} minute
  * @param {number} longitude
- * @param {number} [meridian=135] - Standard meridian for the timezone
- * @returns {{ year, month, day, hour, minute, correctionMinutes, originalTime, correctedTime }}
+ * @param {string} [country='한국'] - Country name (key of LOCATIONS)
+ * @param {string|null} [city=null] - City name, for countries spanning several zones
+ * @param {{ trueSolarTime?: boolean }} [options]
+ * @returns {{ year, month, day, hour, minute, correctionMinutes, longitudeMinutes, dstMinutes,
+ *            equationOfTimeMinutes, trueSolarTime, meridian, utcOffsetMinutes, zoneLabel, dstRule,
+ *            originalTime, correctedTime }}
  */
-export function applyLongitudeCorrection(year, month, day, hour, minute, longitude, meridian = 135) {
-  const correction = longitudeCorrection(longitude, meridian);
-  const totalMinutes = hour * 60 + minute + correction;
+export function applyLongitudeCorrection(year, month, day, hour, minute, longitude, country = '한국', city = null, options = {}) {
+  const { trueSolarTime = false } = options;
+  const clock = getOffsetAt(country, { year, month, day, hour, minute }, { city, longitude });
+
+  const standardMeridian = clock.standardOffsetMinutes / 4;
+  const eot = trueSolarTime
+    ? AstronomyUtils.equationOfTime(AstronomyUtils.julianDay(year, month, day, hour, minute - clock.utcOffsetMinutes))
+    : 0;
+  const correction = longitudeCorrection(longitude, standardMeridian) - clock.dstMinutes + eot;
+  const totalMinutes = Math.round(hour * 60 + minute + correction);
 
   let adjDay = day;
   let adjMonth = month;
@@ -180,6 +290,14 @@ export function applyLongitudeCorrection(year, month, day, hour, minute, longitu
     hour: adjHour,
     minute: adjMinute,
     correctionMinutes: Math.round(correction),
+    longitudeMinutes: Math.round(longitudeCorrection(longitude, standardMeridian)),
+    dstMinutes: -clock.dstMinutes,
+    equationOfTimeMinutes: Math.round(eot * 10) / 10,
+    trueSolarTime,
+    meridian: standardMeridian,
+    utcOffsetMinutes: clock.utcOffsetMinutes,
+    zoneLabel: clock.zoneLabel,
+    dstRule: clock.dstRule,
     originalTime: `${String(hour).padStart(2,'0')}:${String(minute).padStart(2,'0')}`,
     correctedTime: `${String(adjHour).padStart(2,'0')}:${String(adjMinute).padStart(2,'0')}`,
   };
@@ -189,3 +307,131 @@ export function applyLongitudeCorrection(year, month, day, hour, minute, longitu
  * Common Korean city longitudes (backward compatibility).
  */
 export const KOREAN_CITIES = LOCATIONS['한국'].cities;
+
+/**
+ * UT instant (epoch ms) of local apparent noon or midnight on a civil date.
+ * The equation of time is re-evaluated once at the first estimate.
+ */
+function apparentTransitMs(year, month, day, hourOfTransit, longitude) {
+  const base = Date.UTC(year, month - 1, day, hourOfTransit);
+  let ms = base - longitude * 4 * 60000;
+  for (let i = 0; i < 2; i++) {
+    const eot = AstronomyUtils.equationOfTime(AstronomyUtils.dateToJD(ms));
+    ms = base - (longitude * 4 + eot) * 60000;
+  }
+  return ms;
+}
+
+/**
+ * Apparent solar hour frame for a birth: 시진 boundaries measured from the
+ * actual local apparent midnight and noon of the birth date and place, so
+ * 오시 is centred on true solar noon instead of 12:00 on the clock.
+ *
+ * Clock time between apparent midnight and noon (and noon and the next
+ * midnight) is mapped linearly onto 00:00-12:00 (12:00-24:00) solar time.
+ * `solarOffsetMinutes` is what to add to the KST wall-clock reading of the
+ * birth instant to get that solar time; SajuCalculator.calculate and
+ * timeToHourAngle take it to place the hour pillar.
+ *
+ * @param {number} year
+ * @param {number} month
+ * @param {number} day
+ * @param {number} hour
+ * @param {number} minute
+ * @param {number} longitude
+ * @param {string} [country='한국']
+ * @param {string|null} [city=null]
+ * @returns {{ kst: { year, month, day, hour, minute }, solarOffsetMinutes, solarTime,
+ *            apparentNoon, apparentMidnight, utcOffsetMinutes }}
+ */
+export function getApparentSolarFrame(year, month, day, hour, minute, longitude, country = '한국', city = null) {
+  const clock = getOffsetAt(country, { year, month, day, hour, minute }, { city, longitude });
+  const t = Date.UTC(year, month - 1, day, hour, minute) - clock.utcOffsetMinutes * 60000;
+
+  // 출생 순간을 감싸는 태양일 찾기 (진자정 ~ 다음 진자정)
+  let base = new Date(Date.UTC(year, month - 1, day));
+  const frameFor = (d) => ({
+    date: d,
+    midnight: apparentTransitMs(d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate(), 0, longitude),
+    noon: apparentTransitMs(d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate(), 12, longitude),
+    nextMidnight: apparentTransitMs(d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate() + 1, 0, longitude),
+  });
+  let frame = frameFor(base);
+  if (t < frame.midnight) frame = frameFor(new Date(base.getTime() - 86400000));
+  else if (t >= frame.nextMidnight) frame = frameFor(new Date(base.getTime() + 86400000));
+
+  const solarMinutes = t < frame.noon
+    ? 720 * (t - frame.midnight) / (frame.noon - frame.midnight)
+    : 720 + 720 * (t - frame.noon) / (frame.nextMidnight - frame.noon);
+  const solarWall = frame.date.getTime() + solarMinutes * 60000;
+
+  const kstWall = Math.floor((t + KST_OFFSET_MINUTES * 60000) / 60000) * 60000;
+  const toCivil = (ms) => {
+    const d = new Date(ms);
+    return {
+      year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(),
+      hour: d.getUTCHours(), minute: d.getUTCMinutes(),
+    };
+  };
+  const hhmm = (ms) => {
+    const d = new Date(ms);
+    return `${String(d.getUTCHours()).padStart(2,'0')}:${String(d.getUTCMinutes()).padStart(2,'0')}`;
+  };
+  const toClock = (ms) => hhmm(ms + clock.utcOffsetMinutes * 60000);
+
+  return {
+    kst: toCivil(kstWall),
+    solarOffsetMinutes: (solarWall - kstWall) / 60000,
+    solarTime: hhmm(solarWall),
+    apparentNoon: toClock(frame.noon),
+    apparentMidnight: toClock(frame.midnight),
+    utcOffsetMinutes: clock.utcOffsetMinutes,
+  };
+}
+
+/**
+ * Calculator input for a clock-time birth: the real birth instant as a KST
+ * reading plus the hour-boundary shift for the day and hour pillars.
+ *
+ * Year and month pillars follow 절입 at the actual instant, so the birth is
+ * converted to KST from the clock offset in force (not from the corrected
+ * time). The corrected local time — longitude (+ equation of time) from
+ * applyLongitudeCorrection, or the apparent solar frame with `solarHours` —
+ * only moves the day and hour boundaries, via `solarOffsetMinutes`.
+ *
+ * @param {number} year
+ * @param {number} month
+ * @param {number} day
+ * @param {number} hour
+ * @param {number} minute
+ * @param {number} longitude
+ * @param {string} [country='한국']
+ * @param {string|null} [city=null]
+ * @param {{ trueSolarTime?: boolean, solarHours?: boolean }} [options]
+ * @returns {{ kst: { year, month, day, hour, minute }, solarOffsetMinutes, correctionInfo }}
+ *   correctionInfo: applyLongitudeCorrection() result (+ solarFrame with solarHours)
+ */
+export function getSajuMoment(year, month, day, hour, minute, longitude, country = '한국', city = null, options = {}) {
+  const { trueSolarTime = false, solarHours = false } = options;
+
+  if (solarHours) {
+    const frame = getApparentSolarFrame(year, month, day, hour, minute, longitude, country, city);
+    return {
+      kst: frame.kst,
+      solarOffsetMinutes: frame.solarOffsetMinutes,
+      correctionInfo: {
+        ...applyLongitudeCorrection(year, month, day, hour, minute, longitude, country, city, { trueSolarTime: true }),
+        solarFrame: frame,
+      },
+    };
+  }
+
+  const corrected = applyLongitudeCorrection(year, month, day, hour, minute, longitude, country, city, { trueSolarTime });
+  const kstWall = Date.UTC(year, month - 1, day, hour, minute) + (KST_OFFSET_MINUTES - corrected.utcOffsetMinutes) * 60000;
+  const correctedWall = Date.UTC(corrected.year, corrected.month - 1, corrected.day, corrected.hour, corrected.minute);
+  return {
+    kst: AstronomyUtils.dateToCivil(kstWall, 0),
+    solarOffsetMinutes: (correctedWall - kstWall) / 60000,
+    correctionInfo: corrected,
+  };
+}
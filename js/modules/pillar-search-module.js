@@ -0,0 +1,143 @@
+/**
+ * pillar-search-module.js — 사주 역산 패널
+ * 년·월·일·시주(일부만 가능)를 받아 해당하는 출생 시각 구간을 찾고,
+ * 구간을 고르면 그 시각으로 개인 분석을 실행한다.
+ */
+
+import { findDatesForPillars } from '../lib/sajuwiki/calculator.js';
+import { AstronomyUtils } from '../lib/sajuwiki/astronomy.js';
+import { JASI_CONVENTIONS, DEFAULT_JASI } from '../lib/sajuwiki/constants.js';
+
+const KEYS = ['year', 'month', 'day', 'hour'];
+const LABELS = { year: '년주', month: '월주', day: '일주', hour: '시주' };
+
+function pad2(n) {
+  return String(n).padStart(2, '0');
+}
+
+function formatWall(c) {
+  return `${c.year}.${c.month}.${c.day} ${pad2(c.hour)}:${pad2(c.minute)}`;
+}
+
+export class PillarSearchModule {
+  /**
+   * @param {string|HTMLElement} container
+   * @param {Object} [options]
+   * @param {Function} [options.onSelect] - ({ year, month, day, hour, minute, jasi }) 구간 선택 시.
+   *   시주를 찾지 않았으면 hour는 null (시간 미상), jasi는 검색에 쓴 자시 기준
+   */
+  constructor(container, options = {}) {
+    this.container = typeof container === 'string'
+      ? document.getElementById(container)
+      : container;
+    this.onSelect = options.onSelect ?? null;
+    this._results = [];
+    this._hasHour = false;
+    this._jasi = DEFAULT_JASI;
+
+    this._renderForm();
+  }
+
+  _renderForm() {
+    if (!this.container) return;
+
+    const inputs = KEYS.map(key => `
+      <div class="form-group">
+        <label>${LABELS[key]}</label>
+        <input type="text" class="ps-input" data-ps-key="${key}" maxlength="2" placeholder="${{ year: '庚午', month: '辛巳', day: '甲子', hour: '丙寅' }[key]}">
+      </div>`).join('');
+
+    const jasiOptions = Object.entries(JASI_CONVENTIONS).map(([key, { label }]) =>
+      `<option value="${key}"${key === DEFAULT_JASI ? ' selected' : ''}>${label}</option>`).join('');
+
+    this.container.innerHTML = `
+      <form class="ps-form">
+        <div class="form-row">${inputs}</div>
+        <div class="form-row form-row-options">
+          <div class="form-group">
+            <label>검색 범위</label>
+            <div class="ps-range">
+              <input type="number" class="ps-from" value="1900" min="1800" max="2200">
+              <span>~</span>
+              <input type="number" class="ps-to" value="2100" min="1800" max="2200">
+            </div>
+          </div>
+          <div class="form-group">
+            <label>자시</label>
+            <select class="ps-jasi" title="23시대의 일주 기준">${jasiOptions}</select>
+          </div>
+        </div>
+        <button type="submit" class="btn-calculate">날짜 찾기</button>
+      </form>
+      <div class="ps-results"></div>`;
+
+    this.container.querySelector('.ps-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this._search();
+    });
+    this.container.querySelector('.ps-results').addEventListener('click', (e) => {
+      const row = e.target.closest('[data-ps-idx]');
+      if (row && this.onSelect) this.onSelect(this._pick(this._results[Number(row.dataset.psIdx)]));
+    });
+  }
+
+  _search() {
+    const pattern = {};
+    for (const el of this.container.querySelectorAll('.ps-input')) {
+      if (el.value.trim()) pattern[el.dataset.psKey] = el.value.trim();
+    }
+    const from = parseInt(this.container.querySelector('.ps-from').value);
+    const to = parseInt(this.container.querySelector('.ps-to').value);
+    const jasi = this.container.querySelector('.ps-jasi').value || DEFAULT_JASI;
+    const out = this.container.querySelector('.ps-results');
+
+    try {
+      const { results, truncated } = findDatesForPillars(pattern, { from, to, jasi });
+      this._results = results;
+      this._jasi = jasi;
+      this._hasHour = pattern.hour !== undefined;
+      this._renderResults(results, truncated);
+    } catch (err) {
+      this._results = [];
+      out.innerHTML = `<p class="ps-empty">${err.details?.reason ?? err.message}</p>`;
+    }
+  }
+
+  _renderResults(results, truncated) {
+    const out = this.container.querySelector('.ps-results');
+    if (results.length === 0) {
+      out.innerHTML = '<p class="ps-empty">범위 안에 일치하는 날짜가 없습니다.</p>';
+      return;
+    }
+
+    let html = '<table class="stt-table ps-table"><thead><tr><th>구간 (KST)</th><th>사주</th></tr></thead><tbody>';
+    results.forEach((r, i) => {
+      const pillars = KEYS.filter(k => r.pillars[k]).map(k => r.pillars[k]).join(' ');
+      html += `
+        <tr class="ps-row" data-ps-idx="${i}" title="이 시각으로 분석">
+          <td>${formatWall(r.from)} ~ ${formatWall(r.to)}</td>
+          <td class="ps-pillars">${pillars}</td>
+        </tr>`;
+    });
+    html += '</tbody></table>';
+    if (truncated) {
+      html += `<p class="ps-empty">결과가 많아 앞의 ${results.length}개만 표시합니다. 기둥을 더 입력하거나 범위를 좁혀 주세요.</p>`;
+    }
+    out.innerHTML = html;
+  }
+
+  /**
+   * 구간 한가운데 시각 (검색에 쓴 자시 기준과 함께)
+   * 시주를 찾지 않았고 그날 정오(시간 미상 계산 기준)가 구간 안이면 날짜만 넘긴다
+   */
+  _pick(result) {
+    const start = result.start.getTime();
+    const end = result.end.getTime();
+    const mid = AstronomyUtils.dateToCivil((start + end) / 2);
+    const noon = AstronomyUtils.civilToDate(mid.year, mid.month, mid.day, 12, 0).getTime();
+
+    return !this._hasHour && noon >= start && noon < end
+      ? { year: mid.year, month: mid.month, day: mid.day, hour: null, minute: null, jasi: this._jasi }
+      : { ...mid, jasi: this._jasi };
+  }
+}
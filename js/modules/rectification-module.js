@@ -0,0 +1,169 @@
+/**
+ * rectification-module.js — 사건 기반 출생 시각 보정 패널
+ * 인생 사건(연도·범주)을 입력받아 범위 안의 출생 시각 후보를 점수순으로 보여주고,
+ * 후보를 고르면 그 시각으로 개인 분석을 다시 실행한다.
+ */
+
+import { rankBirthTimes, EVENT_CATEGORIES } from '../core/rectification.js';
+import { getSajuMoment } from './longitude-correction.js';
+import { LunarCalendar } from '../lib/sajuwiki/lunar-calendar.js';
+
+function parseClock(text) {
+  const [h, m] = text.split(':').map(Number);
+  return h * 60 + (m || 0);
+}
+
+export class RectificationModule {
+  /**
+   * @param {string|HTMLElement} container
+   * @param {Object} [options]
+   * @param {Function} [options.onSelect] - ({ year, month, day, hour, minute }) 후보 선택 시
+   *   (양력 시계 시각)
+   */
+  constructor(container, options = {}) {
+    this.container = typeof container === 'string'
+      ? document.getElementById(container)
+      : container;
+    this.onSelect = options.onSelect ?? null;
+    this._birth = null;
+    this._windows = [];
+
+    this._renderForm();
+  }
+
+  /**
+   * 마지막으로 분석한 입력(폼 데이터)을 기준 출생일로 삼는다
+   * @param {Object} data - FormHandler.getData() 결과 (날짜 입력)
+   */
+  setBirth(data) {
+    let { year, month, day } = data;
+    if (data.calendar === 'lunar') {
+      ({ year, month, day } = LunarCalendar.toSolar(year, month, day, data.isLeapMonth));
+    }
+    this._birth = { ...data, year, month, day };
+    if (this.container) this.container.querySelector('.rc-results').innerHTML = '';
+  }
+
+  _renderForm() {
+    if (!this.container) return;
+
+    this.container.innerHTML = `
+      <form class="rc-form">
+        <div class="rc-events"></div>
+        <button type="button" class="rc-add">+ 사건 추가</button>
+        <div class="form-row form-row-options">
+          <div class="form-group">
+            <label>출생 시각 범위</label>
+            <div class="ps-range">
+              <input type="time" class="rc-from" value="00:00">
+              <span>~</span>
+              <input type="time" class="rc-to" value="23:59">
+            </div>
+          </div>
+          <div class="form-group">
+            <label>간격 (분)</label>
+            <input type="number" class="rc-step" value="10" min="1" max="120">
+          </div>
+        </div>
+        <button type="submit" class="btn-calculate">출생 시각 추정</button>
+      </form>
+      <div class="rc-results"></div>`;
+
+    this._addEvent();
+    this.container.querySelector('.rc-add').addEventListener('click', () => this._addEvent());
+    this.container.querySelector('.rc-events').addEventListener('click', (e) => {
+      const btn = e.target.closest('.rc-remove');
+      if (btn) btn.closest('.rc-event').remove();
+    });
+    this.container.querySelector('.rc-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this._rank();
+    });
+    this.container.querySelector('.rc-results').addEventListener('click', (e) => {
+      const row = e.target.closest('[data-rc-idx]');
+      if (row && this.onSelect) {
+        const minutes = parseClock(this._windows[Number(row.dataset.rcIdx)].from);
+        const { year, month, day } = this._birth;
+        this.onSelect({ year, month, day, hour: Math.floor(minutes / 60), minute: minutes % 60 });
+      }
+    });
+  }
+
+  _addEvent() {
+    const options = Object.entries(EVENT_CATEGORIES)
+      .map(([key, c]) => `<option value="${key}">${c.label}</option>`).join('');
+    const row = document.createElement('div');
+    row.className = 'rc-event';
+    row.innerHTML = `
+      <input type="number" class="rc-year" placeholder="연도" min="1800" max="2200">
+      <input type="number" class="rc-month" placeholder="월" min="1" max="12">
+      <select class="rc-category">${options}</select>
+      <button type="button" class="rc-remove" title="삭제">×</button>`;
+    this.container.querySelector('.rc-events').appendChild(row);
+  }
+
+  _readEvents() {
+    const events = [];
+    for (const row of this.container.querySelectorAll('.rc-event')) {
+      const year = parseInt(row.querySelector('.rc-year').value);
+      if (!year) continue;
+      const month = parseInt(row.querySelector('.rc-month').value) || null;
+      events.push({ year, month, category: row.querySelector('.rc-category').value });
+    }
+    return events;
+  }
+
+  _rank() {
+    const out = this.container.querySelector('.rc-results');
+    if (!this._birth) {
+      out.innerHTML = '<p class="ps-empty">먼저 위에서 생년월일을 입력해 분석해 주세요.</p>';
+      return;
+    }
+
+    // 개인 분석(SingleChart.analyze)과 같은 보정: 년·월주는 실제 출생 순간, 일·시주는 보정 시각
+    const b = this._birth;
+    const toSajuTime = (hour, minute) => {
+      const { kst, solarOffsetMinutes } = getSajuMoment(
+        b.year, b.month, b.day, hour, minute, b.longitude, b.country, b.city,
+        { trueSolarTime: b.trueSolarTime, solarHours: b.solarHours }
+      );
+      return { ...kst, solarOffsetMinutes };
+    };
+
+    try {
+      const { windows } = rankBirthTimes(b, this._readEvents(), {
+        from: parseClock(this.container.querySelector('.rc-from').value || '00:00'),
+        to: parseClock(this.container.querySelector('.rc-to').value || '23:59'),
+        step: parseInt(this.container.querySelector('.rc-step').value) || 10,
+        toSajuTime,
+      });
+      this._windows = windows;
+      this._renderResults(windows);
+    } catch (err) {
+      this._windows = [];
+      out.innerHTML = `<p class="ps-empty">${err.details?.reason ?? err.message}</p>`;
+    }
+  }
+
+  _renderResults(windows) {
+    const out = this.container.querySelector('.rc-results');
+    let html = '<table class="stt-table rc-table"><thead><tr><th>순위</th><th>출생 시각</th><th>시주</th><th>점수</th><th>근거</th></tr></thead><tbody>';
+    windows.forEach((w, i) => {
+      const evidence = w.evidence.map(e => {
+        const label = `${e.event.year}${e.event.month ? `.${e.event.month}` : ''} ${EVENT_CATEGORIES[e.event.category].label}`;
+        const reasons = e.reasons.length ? e.reasons.join(', ') : '해당 없음';
+        return `<div class="rc-evidence"><strong>${label}</strong> ${e.points}점 — ${reasons}</div>`;
+      }).join('');
+      html += `
+        <tr class="ps-row" data-rc-idx="${i}" title="이 시각으로 분석">
+          <td>${i + 1}</td>
+          <td>${w.from === w.to ? w.from : `${w.from} ~ ${w.to}`}</td>
+          <td class="ps-pillars">${w.hourPillar}</td>
+          <td class="rc-score">${w.score}</td>
+          <td>${evidence}</td>
+        </tr>`;
+    });
+    html += '</tbody></table>';
+    out.innerHTML = html;
+  }
+}
@@ -12,12 +12,30 @@ import { FortuneOverlayChart } from '../viz/fortune-overlay-chart.js';
 import { FortuneModule } from './fortune-module.js';
 import { FortuneTimeSeriesChart } from '../viz/fortune-timeseries-chart.js';
 import { FortuneExplorer } from '../viz/fortune-explorer.js';
+import { SolarTermTable } from '../viz/solar-term-table.js';
+import { IljinStrip } from '../viz/iljin-strip.js';
+import { HourlyFortuneChart } from '../viz/hourly-fortune-chart.js';
+import { HourCandidatesTable } from '../viz/hour-candidates-table.js';
+import { OhengSipsungPanel } from '../viz/oheng-sipsung-panel.js';
+import { HeatmapChart } from '../viz/heatmap-chart.js';
 import { generateOhengWaves, generateToWave, generateCheonganWaves } from '../core/oheng-waves.js';
-import { computeProfile } from '../core/fortune-scorer.js';
-import { generateFortuneTimeSeries, generateMonthlyDetail, monthlyToChartData, computeDaeunAngle } from '../core/fortune-timeseries.js';
-import { REF_YEAR, REF_YEAR_IDX, YUKSHIP_GAPJA } from '../lib/sajuwiki/constants.js';
-import { applyLongitudeCorrection } from './longitude-correction.js';
+import { computeProfile, gongmangScoreOptions } from '../core/fortune-scorer.js';
+import { generateFortuneTimeSeries, generateMonthlyDetail, generateDailyDetail, generateHourlyDetail, monthlyToChartData, computeDaeunAngle, findActiveDaeun } from '../core/fortune-timeseries.js';
+import { REF_YEAR, REF_YEAR_IDX, YUKSHIP_GAPJA, JASI_CONVENTIONS, KST_OFFSET_MINUTES } from '../lib/sajuwiki/constants.js';
+import { getSajuMoment } from './longitude-correction.js';
 import { appState } from '../core/state.js';
+import { formatAge } from '../utils/format.js';
+import { LunarCalendar } from '../lib/sajuwiki/lunar-calendar.js';
+import { RelationDetector, ageAt } from '../lib/sajuwiki/calculator.js';
+import { AstronomyUtils } from '../lib/sajuwiki/astronomy.js';
+
+/**
+ * 지금의 KST 날짜·시각 (일진·시운은 KST 날짜로 나뉜다)
+ * @param {number} [shiftMinutes=0] - 시운처럼 하루가 전날 23:00에 시작하면 60
+ */
+function nowKST(shiftMinutes = 0) {
+  return AstronomyUtils.dateToCivil(Date.now() + shiftMinutes * 60000, KST_OFFSET_MINUTES);
+}
 
 export class SingleChart {
   constructor() {
@@ -29,6 +47,14 @@ export class SingleChart {
     this.decadeChart = new FortuneTimeSeriesChart('fortune-decade-chart', { width: 900, height: 380 });
     this.yearChart = new FortuneTimeSeriesChart('fortune-year-chart', { width: 900, height: 380 });
     this.fortuneExplorer = new FortuneExplorer('fortune-explorer');
+    this.solarTermTable = new SolarTermTable('solar-term-table');
+    this.hourCandidatesTable = new HourCandidatesTable('hour-candidates');
+    this.iljinStrip = new IljinStrip('iljin-strip', {
+      onSelect: (day) => this._selectSiunDate(this._iljinYear, this._iljinMonth, day),
+    });
+    this.hourlyChart = new HourlyFortuneChart('hourly-fortune-chart', { width: 900, height: 340 });
+    this.natalPanel = new OhengSipsungPanel('natal-oheng-sipsung');
+    this.natalMatrix = new HeatmapChart('natal-matrix');
     this._feCircularChart = null;
     this._feFortuneOverlayChart = null;
 
@@ -37,10 +63,15 @@ export class SingleChart {
     this._fortuneTimeSeriesData = null;
     this._tsMode = 'oheng';
     this._natalAngles = null;
+    this._scoreOptions = gongmangScoreOptions();
 
     // 대운/연간 네비게이션 상태
     this._currentDecadeIdx = 0;
     this._currentYear = new Date().getFullYear();
+    this._termYear = this._currentYear;
+    this._iljinYear = nowKST().year;
+    this._iljinMonth = nowKST().month;
+    this._siunDate = null;
 
     this._setupTimeSeriesToggle();
     this._setupDetailNav();
@@ -78,6 +109,22 @@ export class SingleChart {
       this._currentYear++;
       this._renderYearChart();
     });
+    document.getElementById('iljin-prev')?.addEventListener('click', () => this.iljinStrip.scrollByDays(-1));
+    document.getElementById('iljin-next')?.addEventListener('click', () => this.iljinStrip.scrollByDays(1));
+    document.getElementById('iljin-month-prev')?.addEventListener('click', () => this._moveIljinMonth(-1));
+    document.getElementById('iljin-month-next')?.addEventListener('click', () => this._moveIljinMonth(1));
+    document.getElementById('siun-date')?.addEventListener('change', (e) => {
+      const [year, month, day] = e.target.value.split('-').map(Number);
+      if (year && month && day) this._selectSiunDate(year, month, day);
+    });
+    document.getElementById('term-prev')?.addEventListener('click', () => {
+      this._termYear--;
+      this._renderSolarTermTable();
+    });
+    document.getElementById('term-next')?.addEventListener('click', () => {
+      this._termYear++;
+      this._renderSolarTermTable();
+    });
   }
 
   _getDaeunList() {
@@ -86,38 +133,45 @@ export class SingleChart {
   }
 
   analyze(data) {
-    let { year, month, day, hour, minute, gender, calendar, longitude, meridian } = data;
-    meridian = meridian ?? 135;
+    if (data.pillars) return this._analyzePillars(data);
+
+    let { year, month, day, hour, minute, gender, calendar, isLeapMonth = false, longitude, country, city, trueSolarTime, solarHours, jasi, daeunConvention, ageSystem, gongmang, noCorrection = false } = data;
     const hasTime = hour !== null && hour !== undefined;
 
     // Lunar to solar conversion if needed
-    if (calendar === 'lunar' && typeof KoreanLunarCalendar !== 'undefined') {
-      const cal = new KoreanLunarCalendar();
-      if (cal.setLunarDate(year, month, day, false)) {
-        const solar = cal.getSolarCalendar();
-        year = solar.year;
-        month = solar.month;
-        day = solar.day;
-      }
+    // 없는 윤달·날짜는 LunarCalendar가 INVALID_DATE로 거부한다
+    let lunar;
+    if (calendar === 'lunar') {
+      lunar = { year, month, day, isLeapMonth };
+      ({ year, month, day } = LunarCalendar.toSolar(year, month, day, isLeapMonth));
+    } else {
+      lunar = LunarCalendar.fromSolar(year, month, day);
     }
+    this._showBirthDates({ year, month, day }, lunar, calendar);
+    this._setDateSections(true);
 
     // Apply longitude correction if time is known
     let adjYear = year, adjMonth = month, adjDay = day;
     let adjHour = hour, adjMinute = minute ?? 0;
     let correctionInfo = null;
-
-    if (hasTime) {
-      const corrected = applyLongitudeCorrection(year, month, day, hour, minute ?? 0, longitude, meridian);
-      adjYear = corrected.year;
-      adjMonth = corrected.month;
-      adjDay = corrected.day;
-      adjHour = corrected.hour;
-      adjMinute = corrected.minute;
-      correctionInfo = corrected;
+    let solarOffsetMinutes = 0;
+
+    // noCorrection: 사주 역산 결과처럼 이미 사주 기준 시각인 입력은 보정하지 않는다
+    // 년·월주는 실제 출생 순간(KST 환산), 일·시주는 보정한 지방시(또는 진태양시 시진)로 읽는다
+    if (hasTime && !noCorrection) {
+      const moment = getSajuMoment(year, month, day, hour, minute ?? 0, longitude, country, city, { trueSolarTime, solarHours });
+      ({ year: adjYear, month: adjMonth, day: adjDay, hour: adjHour, minute: adjMinute } = moment.kst);
+      solarOffsetMinutes = moment.solarOffsetMinutes;
+      correctionInfo = moment.correctionInfo;
     }
 
-    const bm = new BirthMoment(adjYear, adjMonth, adjDay, adjHour, adjMinute, gender, longitude);
+    // 기둥은 KST로 바꾼 시각으로, 나이는 출생지 달력의 생일로 센다 (해외 출생은 KST 날짜·연도가 다를 수 있다)
+    const bm = new BirthMoment(adjYear, adjMonth, adjDay, adjHour, adjMinute, gender, longitude, {
+      jasi, daeunConvention, ageSystem, solarOffsetMinutes, birthDate: { year, month, day }
+    });
+    const birthYear = bm.birthDate.year;
     this._birthMoment = bm;
+    this._scoreOptions = gongmangScoreOptions(gongmang);
 
     const chartData = bm.getChartData();
     this._chartData = chartData;
@@ -138,55 +192,37 @@ export class SingleChart {
     this._natalAngles = natalAngles;
 
     // 1. Pillar display (with self-pillar twelve-stage)
-    this.pillarDisplay.render(chartData.discrete, hasTime);
-
-    // 2. 천간 오행 파형 (stem markers follow branch relative position)
-    const cheonganWaveData = generateCheonganWaves(360);
-    const stemData = {};
-    for (const key of ['year', 'month', 'day', 'hour']) {
-      const idx60 = chartData.discrete?.idxs?.[key];
-      if (idx60 != null) {
-        stemData[key] = { idx60, branchAngle: cont?.[key]?.angle };
-      }
-    }
-    this.cheonganWaveformChart.render(cheonganWaveData, stemData);
+    this.pillarDisplay.render(chartData.discrete, hasTime, chartData.shinsal, chartData.gongmang);
+    this._renderChartSummary(chartData.yongsin);
 
-    // 4. 지지 오행 파형 — all 4 pillar birth angles on one graph + 토 sub-graph
-    const waveData = generateOhengWaves(360);
-    const birthAngles = {
-      year: cont?.year?.angle,
-      month: cont?.month?.angle,
-      day: cont?.day?.angle,
-      hour: cont?.hour?.angle,
-    };
-    const toStrengths = generateToWave(360);
-    this.waveformChart.render(waveData, birthAngles, toStrengths);
+    // 2~4. 천간·지지 오행 파형
+    this._renderWaveforms(chartData);
 
     // 5. 운세 시계열 그래프
     try {
       const tsData = generateFortuneTimeSeries(
         chartData.discrete, hasTime, chartData.daeun,
-        bm.year, bm.year, bm.year + 80, natalAngles
+        birthYear, birthYear, birthYear + 80, natalAngles, this._scoreOptions
       );
       this.fortuneTimeSeriesChart.render(tsData, 'oheng');
       this._fortuneTimeSeriesData = tsData;
 
       // 현재 대운 인덱스 찾기
       const daeunList = this._getDaeunList();
-      const currentAge = new Date().getFullYear() - bm.year + 1;
-      this._currentDecadeIdx = 0;
-      for (let i = daeunList.length - 1; i >= 0; i--) {
-        const dAge = daeunList[i].age ?? daeunList[i].startAge;
-        if (dAge != null && currentAge >= dAge) {
-          this._currentDecadeIdx = i;
-          break;
-        }
-      }
+      const currentDaeun = findActiveDaeun(daeunList, new Date(), birthYear);
+      this._currentDecadeIdx = currentDaeun ? daeunList.indexOf(currentDaeun) : 0;
       this._currentYear = new Date().getFullYear();
 
-      // 대운 10년 + 연간 12개월 차트
+      // 대운 10년 + 연간 12개월 차트 + 이번 달 일진
       this._renderDecadeChart();
       this._renderYearChart();
+      const today = nowKST();
+      this._iljinYear = today.year;
+      this._iljinMonth = today.month;
+      this._renderIljinStrip();
+      // 23시대는 다음날 시운 차트의 첫 시진
+      const siunToday = nowKST(60);
+      this._selectSiunDate(siunToday.year, siunToday.month, siunToday.day);
 
       // 운세 탐색기
       try {
@@ -203,11 +239,11 @@ export class SingleChart {
         }
         this._feCircularChart.render(chartData);
 
-        const feSaeun = bm.computeSaeun(bm.year, bm.year + 80);
+        const feSaeun = bm.computeSaeun(birthYear, birthYear + 80);
         const feFortuneData = {
           daeun: Array.isArray(chartData.daeun) ? chartData.daeun : (chartData.daeun?.list || []),
           saeun: Array.isArray(feSaeun) ? feSaeun : (feSaeun?.list || []),
-          birthYear: bm.year,
+          birthYear,
         };
         // 초기 렌더링: 현재 연도의 interactions 포함
         const initYear = new Date().getFullYear();
@@ -227,13 +263,165 @@ export class SingleChart {
       console.warn('Fortune timeseries rendering failed:', e);
     }
 
+    // 7. 24절기 표 (출생 연도부터)
+    this._termYear = bm.year;
+    this._renderSolarTermTable();
+
+    // 시간 미상이면 가능한 시주 후보 비교
+    this._renderHourCandidates(bm);
+
     // 8. Correction info
-    this._showCorrectionInfo(correctionInfo);
+    this._showCorrectionInfo(correctionInfo, chartData.discrete);
+
+    document.getElementById('results').style.display = '';
+    return chartData;
+  }
+
+  /**
+   * 사주 기둥만으로 분석 (생년월일 미상)
+   * 기둥으로 정해지는 원국 분석은 날짜 입력과 같고, 연속 각도는 지지 중심으로 근사한다.
+   * 날짜가 있어야 하는 대운 시기·세운·24절기 패널은 숨기고 원국 분석 패널을 대신 보인다.
+   */
+  _analyzePillars(data) {
+    const bm = BirthMoment.fromPillars(data.pillars, data.gender);
+    // 있을 수 없는 팔자는 여기서 INVALID_INPUT
+    const chartData = bm.getChartData();
+    const hasTime = bm.hasTime;
+    this._birthMoment = bm;
+    this._chartData = chartData;
+    this._fortuneTimeSeriesData = null;
+    this._scoreOptions = gongmangScoreOptions();
+
+    appState.set('personA', data);
+    appState.set('birthMomentA', bm);
+    appState.set('chartDataA', chartData);
+    appState.set('correctionInfo', null);
+
+    const cont = chartData.continuous;
+    const natalAngles = {
+      year: cont.year?.angle,
+      month: cont.month?.angle,
+      day: cont.day?.angle,
+      hour: cont.hour?.angle,
+    };
+    this._natalAngles = natalAngles;
+
+    this._showPillarInput(chartData.discrete, hasTime);
+    this._showCorrectionInfo(null);
+    this._setDateSections(false);
+
+    this.pillarDisplay.render(chartData.discrete, hasTime, chartData.shinsal, chartData.gongmang);
+    this._renderNatalPanel(chartData, hasTime, natalAngles);
+    this._renderWaveforms(chartData);
 
     document.getElementById('results').style.display = '';
     return chartData;
   }
 
+  /** 천간 오행 파형 + 지지 오행 파형 (네 기둥의 연속 각도 표시) */
+  _renderWaveforms(chartData) {
+    const cont = chartData.continuous;
+
+    // 천간 오행 파형 (stem markers follow branch relative position)
+    const cheonganWaveData = generateCheonganWaves(360);
+    const stemData = {};
+    for (const key of ['year', 'month', 'day', 'hour']) {
+      const idx60 = chartData.discrete?.idxs?.[key];
+      if (idx60 != null) {
+        stemData[key] = { idx60, branchAngle: cont?.[key]?.angle };
+      }
+    }
+    this.cheonganWaveformChart.render(cheonganWaveData, stemData);
+
+    // 지지 오행 파형 — all 4 pillar birth angles on one graph + 토 sub-graph
+    const waveData = generateOhengWaves(360);
+    const birthAngles = {
+      year: cont?.year?.angle,
+      month: cont?.month?.angle,
+      day: cont?.day?.angle,
+      hour: cont?.hour?.angle,
+    };
+    const toStrengths = generateToWave(360);
+    this.waveformChart.render(waveData, birthAngles, toStrengths);
+  }
+
+  /**
+   * 날짜가 있어야 하는 패널(24절기, 운세 시계열, 대운·연간 상세, 신 사주 차트) 표시 여부
+   * 숨길 때는 원국 분석 패널을 대신 보인다
+   */
+  _setDateSections(visible) {
+    document.querySelectorAll('[data-needs-date]').forEach(el => {
+      el.style.display = visible ? '' : 'none';
+    });
+    const natalPanel = document.getElementById('natal-panel');
+    if (natalPanel) natalPanel.style.display = visible ? 'none' : '';
+    if (!visible) {
+      const explorer = document.getElementById('fortune-explorer-wrapper');
+      const fortunePillars = document.getElementById('fe-fortune-pillars');
+      if (explorer) explorer.style.display = 'none';
+      if (fortunePillars) fortunePillars.style.display = 'none';
+    }
+  }
+
+  /** 사주명식 아래 격국·용신 요약 (기둥 입력은 원국 분석 패널에 같은 요약이 있다) */
+  _renderChartSummary(yongsin) {
+    const el = document.getElementById('chart-summary');
+    if (el) el.innerHTML = yongsin ? OhengSipsungPanel.summaryHTML(yongsin) : '';
+  }
+
+  /** 원국 분석 패널: 오행·십성·격국·용신, 합충형파해, 대운 순서, 십이운성 매트릭스 */
+  _renderNatalPanel(chartData, hasTime, natalAngles) {
+    const discrete = chartData.discrete;
+
+    try {
+      const profile = computeProfile(discrete, hasTime, {}, natalAngles);
+      this.natalPanel.render(profile, chartData.yongsin);
+    } catch (e) {
+      console.warn('Natal profile rendering failed:', e);
+    }
+
+    const relationsEl = document.getElementById('natal-relations');
+    if (relationsEl) {
+      const relations = RelationDetector.detect(discrete, hasTime);
+      relationsEl.innerHTML = relations.length
+        ? relations.map(r => {
+          const cls = r.cat === '합' ? 'combine' : r.cat === '충' ? 'clash' : 'conflict';
+          return `<span class="fe-badge ${cls}">${r.lb} ${r.desc}</span>`;
+        }).join('')
+        : '<span class="natal-empty">원국 합충형파해 없음</span>';
+    }
+
+    const daeunEl = document.getElementById('natal-daeun');
+    if (daeunEl) {
+      const daeun = chartData.daeun;
+      const order = this._getDaeunList().map(d => d.pillar).join(' → ');
+      daeunEl.innerHTML = `
+        <span class="natal-daeun-label">대운 ${daeun.forward ? '순행' : '역행'} · 시작 나이 미상</span>
+        <span class="natal-daeun-order">${order}</span>`;
+    }
+
+    try {
+      this.natalMatrix.render(chartData.matrix);
+    } catch (e) {
+      console.warn('Twelve-stage matrix rendering failed:', e);
+    }
+  }
+
+  /** 사주 기둥 입력 안내 (날짜 대신) */
+  _showPillarInput(discrete, hasTime) {
+    const el = document.getElementById('birth-dates');
+    if (!el) return;
+
+    const keys = hasTime ? ['year', 'month', 'day', 'hour'] : ['year', 'month', 'day'];
+    const suffix = { year: '년', month: '월', day: '일', hour: '시' };
+    const pillars = keys.map(k => `${discrete.pillars[k]}${suffix[k]}`).join(' ');
+
+    el.innerHTML = `
+      <div>사주 기둥 입력: ${pillars}${hasTime ? '' : ' (시간 미상)'} — 생년월일 미상</div>
+      <div class="birth-dates-note">연속 각도는 각 지지의 중심으로 근사했습니다. 대운 시작 나이·세운·24절기는 날짜가 있어야 계산됩니다.</div>`;
+    el.style.display = '';
+  }
+
   _renderDecadeChart() {
     if (!this._fortuneTimeSeriesData || !this._birthMoment) return;
     const bm = this._birthMoment;
@@ -245,18 +433,23 @@ export class SingleChart {
 
     const d = daeunList[idx];
     const dAge = d.age ?? d.startAge ?? 1;
-    const startYear = bm.year + dAge - 1;
+    const startYear = d.calYear ?? bm.birthDate.year + dAge - 1;
     const endYear = startYear + 9;
     const pillar = d.pillar || '';
 
-    // 라벨 업데이트
+    // 라벨 업데이트 (교운 시각을 알면 그 순간까지)
+    let since = `${startYear}~${endYear}`;
+    if (d.start) {
+      const t = AstronomyUtils.dateToCivil(d.start);
+      since = `${t.year}.${t.month}.${t.day} ${String(t.hour).padStart(2, '0')}:${String(t.minute).padStart(2, '0')} 교운`;
+    }
     const label = document.getElementById('decade-label');
-    if (label) label.textContent = `${pillar} 대운 (${dAge}~${dAge + 9}세, ${startYear}~${endYear})`;
+    if (label) label.textContent = `${pillar} 대운 (${formatAge(`${dAge}~${dAge + 9}`, bm.ageSystem)}, ${since})`;
 
     try {
       const decadeData = generateFortuneTimeSeries(
         chartData.discrete, hasTime, chartData.daeun,
-        bm.year, startYear, endYear, this._natalAngles
+        bm.birthDate.year, startYear, endYear, this._natalAngles, this._scoreOptions
       );
       this.decadeChart.render(decadeData, this._tsMode);
     } catch (e) {
@@ -270,18 +463,8 @@ export class SingleChart {
     const chartData = this._chartData;
     const hasTime = bm.hasTime;
     const year = this._currentYear;
-
-    // 해당 연도의 활성 대운 찾기
-    const daeunList = this._getDaeunList();
-    const koreanAge = year - bm.year + 1;
-    let activeDaeun = null;
-    for (let i = daeunList.length - 1; i >= 0; i--) {
-      const dAge = daeunList[i].age ?? daeunList[i].startAge;
-      if (dAge != null && koreanAge >= dAge) {
-        activeDaeun = daeunList[i];
-        break;
-      }
-    }
+    const { activeDaeun, daeunAngle } = this._activeDaeunIn(year);
+    const age = ageAt(bm.birthDate, { year }, bm.ageSystem);
 
     // 세운 idx60
     const saeunIdx = ((REF_YEAR_IDX + (year - REF_YEAR)) % 60 + 60) % 60;
@@ -289,17 +472,14 @@ export class SingleChart {
 
     // 라벨 업데이트
     const label = document.getElementById('year-label');
-    if (label) label.textContent = `${year}년 ${saeunPillar} (${koreanAge}세)`;
+    if (label) label.textContent = `${year}년 ${saeunPillar} (${formatAge(age, bm.ageSystem)})`;
 
     try {
       const natal = this._fortuneTimeSeriesData?.natal;
-      const daeunForward = this._chartData?.daeun?.forward ?? true;
-      const daeunAngle = activeDaeun
-        ? computeDaeunAngle(koreanAge, activeDaeun, daeunForward)
-        : null;
       const monthlyData = generateMonthlyDetail(
         chartData.discrete, hasTime,
-        activeDaeun?.idx ?? null, saeunIdx, year, this._natalAngles, daeunAngle
+        activeDaeun?.idx ?? null, saeunIdx, year, this._natalAngles, daeunAngle, chartData.daeun,
+        this._scoreOptions
       );
       const monthlyChartData = monthlyToChartData(monthlyData, natal || { oheng: { percent: {} }, sipsung: { grouped: {} } });
       this.yearChart.render(monthlyChartData, this._tsMode);
@@ -308,6 +488,134 @@ export class SingleChart {
     }
   }
 
+  /**
+   * 해당 연도의 세는 나이, 그 해(7월 1일 표본)에 걸린 대운과 연속 각도.
+   * 교운 시각을 알면 월·일·시 단위 차트는 chartData.daeun으로 표본마다 다시 찾는다.
+   */
+  _activeDaeunIn(year) {
+    const birthYear = this._birthMoment.birthDate.year;
+    const koreanAge = year - birthYear + 1;
+    const at = AstronomyUtils.civilToDate(year, 7, 1);
+    const activeDaeun = findActiveDaeun(this._getDaeunList(), at, birthYear);
+    const forward = this._chartData?.daeun?.forward ?? true;
+    const daeunAngle = activeDaeun
+      ? computeDaeunAngle(activeDaeun.start ? at : koreanAge, activeDaeun, forward)
+      : null;
+    return { koreanAge, activeDaeun, daeunAngle };
+  }
+
+  _moveIljinMonth(delta) {
+    const idx = this._iljinYear * 12 + (this._iljinMonth - 1) + delta;
+    this._iljinYear = Math.floor(idx / 12);
+    this._iljinMonth = idx % 12 + 1;
+    this._renderIljinStrip();
+  }
+
+  _renderIljinStrip() {
+    if (!this._birthMoment || !this._chartData || this._birthMoment.pillars) return;
+    const chartData = this._chartData;
+    const year = this._iljinYear;
+    const month = this._iljinMonth;
+    const { activeDaeun, daeunAngle } = this._activeDaeunIn(year);
+
+    const now = nowKST();
+    const isThisMonth = year === now.year && month === now.month;
+    const title = document.getElementById('iljin-title');
+    if (title) title.textContent = isThisMonth ? '이번 달 일진' : `${month}월 일진`;
+    const label = document.getElementById('iljin-label');
+    if (label) label.textContent = `${year}년 ${month}월`;
+
+    try {
+      const daily = generateDailyDetail(
+        chartData.discrete, this._birthMoment.hasTime,
+        activeDaeun?.idx ?? null, year, month, this._natalAngles,
+        daeunAngle, chartData.daeun, this._scoreOptions
+      );
+      this.iljinStrip.render(daily, year, month);
+    } catch (e) {
+      console.warn('Iljin strip rendering failed:', e);
+    }
+  }
+
+  _selectSiunDate(year, month, day) {
+    this._siunDate = { year, month, day };
+    const input = document.getElementById('siun-date');
+    if (input) input.value = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    this._renderHourlyFortune();
+  }
+
+  _renderHourlyFortune() {
+    if (!this._birthMoment || !this._chartData || !this._siunDate || this._birthMoment.pillars) return;
+    const chartData = this._chartData;
+    const { year, month, day } = this._siunDate;
+    const { activeDaeun, daeunAngle } = this._activeDaeunIn(year);
+    // 억부(또는 특수격)와 조후를 합친 종합용신으로 강조
+    const yongsin = chartData.yongsin?.종합용신 ?? chartData.yongsin?.용신 ?? null;
+
+    // 오늘이면 현재 시각 표시 (KST, X축은 전날 23:00부터이므로 한 시간 당겨 읽는다:
+    // 23시대는 다음날 차트의 처음)
+    const now = nowKST(60);
+    const isToday = year === now.year && month === now.month && day === now.day;
+    const nowMinutes = isToday ? now.hour * 60 + now.minute : null;
+
+    try {
+      const hourly = generateHourlyDetail(
+        chartData.discrete, this._birthMoment.hasTime,
+        activeDaeun?.idx ?? null, year, month, day, this._natalAngles,
+        daeunAngle, chartData.daeun, 10, this._scoreOptions
+      );
+      this.hourlyChart.render(hourly, { yongsin, nowMinutes });
+      this._renderSiunHours(hourly.hours, yongsin);
+    } catch (e) {
+      console.warn('Hourly fortune rendering failed:', e);
+    }
+  }
+
+  /** 12시진 카드: 시각 · 시주 · 십성 · 운성 · 용신 비율 (용신이 강한 세 시진 강조) */
+  _renderSiunHours(hours, yongsin) {
+    const el = document.getElementById('siun-hours');
+    if (!el) return;
+
+    const top = new Set(yongsin
+      ? [...hours].sort((a, b) => b.oheng.percent[yongsin] - a.oheng.percent[yongsin]).slice(0, 3)
+      : []);
+
+    el.innerHTML = hours.map(h => `
+      <div class="siun-hour ${top.has(h) ? 'siun-top' : ''}">
+        <div class="siun-time">${h.start}~${h.end}</div>
+        <div class="siun-pillar">${h.pillar}</div>
+        <div class="siun-tengod">${h.tgStem} / ${h.tgBranch} · ${h.ts}</div>
+        ${yongsin ? `<div class="siun-yongsin">${yongsin} ${h.oheng.percent[yongsin].toFixed(1)}%</div>` : ''}
+      </div>`).join('');
+  }
+
+  _renderHourCandidates(bm) {
+    const panel = document.getElementById('hour-candidates-panel');
+    if (!panel) return;
+    try {
+      const report = bm.computeHourCandidates();
+      panel.style.display = report ? '' : 'none';
+      this.hourCandidatesTable.render(report);
+    } catch (e) {
+      panel.style.display = 'none';
+      console.warn('Hour candidates rendering failed:', e);
+    }
+  }
+
+  _renderSolarTermTable() {
+    const birthKST = this._chartData?.discrete?.birthKST;
+    if (!birthKST) return;
+
+    const label = document.getElementById('term-label');
+    if (label) label.textContent = `${this._termYear}년`;
+
+    try {
+      this.solarTermTable.render(this._termYear, birthKST);
+    } catch (e) {
+      console.warn('Solar term table rendering failed:', e);
+    }
+  }
+
   _renderFortune(bm, chartData) {
     const fortuneEl = document.getElementById('fortune-timeline');
     if (!fortuneEl) return;
@@ -315,12 +623,13 @@ export class SingleChart {
     try {
       const daeun = chartData.daeun;
       const currentYear = new Date().getFullYear();
-      const saeun = bm.computeSaeun(Math.max(bm.year, currentYear - 5), currentYear + 20);
+      const saeun = bm.computeSaeun(Math.max(bm.birthDate?.year ?? 0, currentYear - 5), currentYear + 20);
 
       this.fortuneModule.renderTimeline(fortuneEl, {
         daeun: Array.isArray(daeun) ? daeun : (daeun?.list || []),
         saeun: Array.isArray(saeun) ? saeun : (saeun?.list || []),
         startAge: daeun?.startAge || 0,
+        ageSystem: daeun?.ageSystem,
       }, bm);
     } catch (e) {
       console.warn('Fortune rendering failed:', e);
@@ -328,12 +637,55 @@ export class SingleChart {
     }
   }
 
-  _showCorrectionInfo(correctionInfo) {
+  /** 입력한 날짜와 변환된 날짜(양력·음력)를 함께 표시 */
+  _showBirthDates(solar, lunar, calendar) {
+    const el = document.getElementById('birth-dates');
+    if (!el) return;
+
+    const solarText = `양력 ${solar.year}년 ${solar.month}월 ${solar.day}일`;
+    const lunarText = `음력 ${lunar.year}년 ${lunar.isLeapMonth ? '윤' : ''}${lunar.month}월 ${lunar.day}일`;
+
+    el.textContent = calendar === 'lunar'
+      ? `${lunarText} → ${solarText}`
+      : `${solarText} (${lunarText})`;
+    el.style.display = '';
+  }
+
+  _showCorrectionInfo(correctionInfo, discrete) {
     const el = document.getElementById('correction-info');
     if (!el) return;
 
+    const lines = [];
     if (correctionInfo) {
-      el.textContent = `경도 보정: ${correctionInfo.originalTime} → ${correctionInfo.correctedTime} (${correctionInfo.correctionMinutes > 0 ? '+' : ''}${correctionInfo.correctionMinutes}분)`;
+      const signed = (m) => `${m > 0 ? '+' : ''}${m}분`;
+      lines.push(
+        `시각 보정: ${correctionInfo.originalTime} → ${correctionInfo.correctedTime} (${signed(correctionInfo.correctionMinutes)})` +
+          (correctionInfo.solarFrame ? '' : ' — 일·시주 기준, 년·월주는 실제 출생 순간 기준')
+      );
+      const meridian = Math.round(correctionInfo.meridian * 100) / 100;
+      lines.push(`적용 시간대: ${correctionInfo.zoneLabel} · 기준 경도 ${meridian}° (경도 ${signed(correctionInfo.longitudeMinutes)})`);
+      if (correctionInfo.trueSolarTime) {
+        lines.push(`진태양시: 균시차 ${signed(correctionInfo.equationOfTimeMinutes)} (태양의 실제 위치 반영)`);
+      }
+      if (correctionInfo.solarFrame) {
+        const f = correctionInfo.solarFrame;
+        lines.push(`시진 경계: 진태양시 (진자정 ${f.apparentMidnight} · 남중 ${f.apparentNoon}, 출생 태양시 ${f.solarTime}) — 년·월주는 실제 출생 순간 기준`);
+      }
+      if (correctionInfo.dstRule) {
+        lines.push(`${correctionInfo.dstRule} → ${signed(correctionInfo.dstMinutes)}`);
+      }
+    }
+    // 자시 기준은 보정이 없어도 (사주 역산 결과 등) 표시
+    if (discrete?.jasiConvention) {
+      const alt = discrete.jasiAlternative;
+      const altNote = alt.dayChanged
+        ? ` · ${JASI_CONVENTIONS[alt.convention].label} 기준이면 일주 ${discrete.pillars.day} → ${alt.dayPillar}`
+        : '';
+      lines.push(`자시 기준: ${JASI_CONVENTIONS[discrete.jasiConvention].label}${altNote}`);
+    }
+
+    if (lines.length > 0) {
+      el.innerHTML = lines.map(line => `<div>${line}</div>`).join('');
       el.style.display = '';
     } else {
       el.style.display = 'none';
@@ -26,6 +26,26 @@ export function formatDate(year, month, day, hour, minute) {
   return s;
 }
 
+/**
+ * 나이 라벨: 세는 나이 '8세', 만 나이 '만 7세'
+ * @param {number|string} age - 나이 또는 '7~16' 같은 범위
+ * @param {string} [system='korean'] - AGE_SYSTEMS 키
+ */
+export function formatAge(age, system = 'korean') {
+  return system === 'international' ? `만 ${age}세` : `${age}세`;
+}
+
+/**
+ * 신살 배지 라벨과 CSS 클래스
+ * 12신살은 기준(년지·일지)을 붙인다: '역마(년)'
+ * @param {Object} s - ShinsalAnalyzer 결과 항목
+ */
+export function formatShinsal(s) {
+  const basis = s.cat === '12신살' ? `(${{ year: '년', day: '일' }[s.basis]})` : '';
+  const cls = { 길신: 'gilsin', 흉살: 'hyungsal', '12신살': 'twelve' }[s.cat];
+  return { label: `${s.name}${basis}`, cls };
+}
+
 export function ohengName(idx) {
   return ['목', '화', '토', '금', '수'][idx];
 }
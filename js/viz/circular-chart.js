@@ -87,6 +87,11 @@ export class CircularChart {
     // Center: empty circle
     this._drawCenter(centerRadius);
 
+    // 공망: 일주(진하게)·년주(옅게) 기준 빈 지지
+    if (chartData.gongmang) {
+      this._drawGongmang(chartData.gongmang, rings[3].inner, maxR, centerRadius);
+    }
+
     // Aspect lines for relationships
     if (this.showRelations && chartData.discrete) {
       this._drawRelations(chartData, rings);
@@ -253,6 +258,37 @@ export class CircularChart {
     this.svg.appendChild(g);
   }
 
+  _drawGongmang(gongmang, innerR, outerR, centerRadius) {
+    const g = svgEl('g', { class: 'gongmang', 'pointer-events': 'none' });
+    const bases = [['year', '년주', 0.06], ['day', '일주', 0.14]];
+
+    for (const [basis, label, opacity] of bases) {
+      for (const b of gongmang[basis] || []) {
+        const path = svgEl('path', {
+          d: arcPath(this.cx, this.cy, innerR, outerR, b * 30 - 15, b * 30 + 15),
+          fill: '#000', opacity: String(opacity),
+          stroke: '#666', 'stroke-width': 1, 'stroke-dasharray': '4,3',
+        });
+        path.innerHTML = `<title>${JIJI_HANJA[b]} 공망 (${label} 기준)</title>`;
+        g.appendChild(path);
+
+        if (basis === 'day') {
+          const pt = pointOnCircle(this.cx, this.cy, centerRadius * 0.72, b * 30);
+          const text = svgEl('text', {
+            x: pt.x, y: pt.y,
+            'text-anchor': 'middle', 'dominant-baseline': 'central',
+            fill: '#666', 'font-size': this.size <= 360 ? '14' : '18',
+            'font-family': "'Noto Serif KR', serif",
+          });
+          text.textContent = '空';
+          g.appendChild(text);
+        }
+      }
+    }
+
+    this.svg.appendChild(g);
+  }
+
   _drawRelations(chartData, rings) {
     // Detect 합/충 between pillars using branch indices
     const disc = chartData.discrete;
@@ -9,7 +9,7 @@
  */
 
 import { OHENG_COLORS } from './color-scales.js';
-import { formatPillar } from '../utils/format.js';
+import { formatPillar, formatAge, formatShinsal } from '../utils/format.js';
 import { getTwelveStage, stageToEnergy } from '../core/twelve-stage-matrix.js';
 import { SajuCalculator } from '../lib/sajuwiki/calculator.js';
 import { CHEONGAN, JIJI, JIJANGGAN } from '../lib/sajuwiki/constants.js';
@@ -196,7 +196,7 @@ export class FortuneExplorer {
     const nearest = t < 0.5 ? entryA : entryB;
 
     // 헤더 갱신
-    this._yearLabel.textContent = `${nearest.year}년 (${nearest.age}세)`;
+    this._yearLabel.textContent = `${nearest.year}년 (${formatAge(nearest.age, this._data.ageSystem)})`;
     const daeunStr = nearest.daeun ? `${nearest.daeun.pillar} 대운` : '';
     const saeunStr = nearest.saeun ? `${nearest.saeun.pillar} 세운` : '';
     this._pillarLabel.textContent = [daeunStr, saeunStr].filter(Boolean).join(' · ');
@@ -209,7 +209,7 @@ export class FortuneExplorer {
     this._renderFortuneBars(interpolated);
 
     // 합충 이벤트
-    this._renderInteractions(nearest.interactions);
+    this._renderInteractions(nearest.interactions, nearest.shinsal, nearest.johu);
 
     // 운세 기둥 카드 갱신
     this._updateFortunePillars(nearest);
@@ -397,20 +397,28 @@ export class FortuneExplorer {
     this._fortuneBars.innerHTML = html;
   }
 
-  _renderInteractions(interactions) {
-    if (!interactions || interactions.length === 0) {
+  _renderInteractions(interactions, shinsal = [], johu = null) {
+    const johuBadge = _johuBadge(johu);
+    if ((!interactions || interactions.length === 0) && shinsal.length === 0 && !johuBadge) {
       this._interactionsEl.innerHTML = '';
       return;
     }
 
-    const badges = interactions.map(i => {
+    const badges = (interactions || []).map(i => {
       if (i.type === '합충상쇄') {
         return `<span class="fe-badge conflict">${i.desc} (${i.source})</span>`;
       }
+      if (i.type === '공망') {
+        return `<span class="fe-badge void">${i.desc} (${i.source}→${i.target})</span>`;
+      }
       const isClash = i.type.includes('충');
       const cls = isClash ? 'fe-badge clash' : 'fe-badge combine';
       return `<span class="${cls}">${i.desc} (${i.source}↔${i.target})</span>`;
-    }).join('');
+    }).join('') + shinsal.map(s => {
+      const { label, cls } = formatShinsal(s);
+      const where = s.with ? `${s.pos}↔${s.with}` : s.pos;
+      return `<span class="fe-badge ${cls}" title="${s.rule}">${label} (${where})</span>`;
+    }).join('') + johuBadge;
 
     this._interactionsEl.innerHTML = badges;
   }
@@ -424,6 +432,18 @@ function _el(tag, cls) {
   return el;
 }
 
+/** 조후 배지: 급하던 조후가 풀리거나 조후 오행이 2%p 이상 움직일 때만 */
+function _johuBadge(johu) {
+  if (!johu) return '';
+  const sign = johu.delta > 0 ? '+' : '';
+  if (johu.relieved) {
+    return `<span class="fe-badge johu">조후 해소 (${johu.el} ${sign}${johu.delta.toFixed(1)})</span>`;
+  }
+  if (Math.abs(johu.delta) < 2) return '';
+  const cls = johu.delta > 0 ? 'johu' : 'johu neg';
+  return `<span class="fe-badge ${cls}">조후 ${johu.el} ${sign}${johu.delta.toFixed(1)}</span>`;
+}
+
 function _barRow(label, pct, color, delta, detail, isSipsung) {
   const labelCls = isSipsung ? 'osp-bar-label osp-sip-label' : 'osp-bar-label';
   const labelStyle = isSipsung ? '' : ` style="color:${color}"`;
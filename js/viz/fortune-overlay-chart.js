@@ -1,6 +1,8 @@
 import { CircularChart } from './circular-chart.js';
 import { svgEl, arcPath, pointOnCircle } from './svg-utils.js';
 import { ohengColor, branchToElement, RELATION_COLORS } from './color-scales.js';
+import { AstronomyUtils } from '../lib/sajuwiki/astronomy.js';
+import { DAEUN_SPAN_MS } from '../core/fortune-timeseries.js';
 
 const JIJI_HANJA = ['子','丑','寅','卯','辰','巳','午','未','申','酉','戌','亥'];
 
@@ -179,6 +181,9 @@ export class FortuneOverlayChart extends CircularChart {
 
     // Resolve fortune entries — current entry uses time-based progression
     const now = this._targetYear ? null : new Date();
+    // 대운 with exact transition instants (start): switch at that instant.
+    // Slider mode samples the middle of the year (July 1, as the time series does).
+    const at = now ?? AstronomyUtils.civilToDate(currentYear, 7, 1);
 
     // 세운: 현재 ±5년으로 제한 (너무 많은 엔트리가 차트를 어지럽히므로)
     let filteredEntries = entries;
@@ -190,18 +195,28 @@ export class FortuneOverlayChart extends CircularChart {
     }
 
     const points = [];
-    for (const entry of filteredEntries) {
+    for (const [i, entry] of filteredEntries.entries()) {
       const idx60 = resolveIdx60(entry);
       if (idx60 == null) continue;
       const branchIdx = idx60 % 12;
       const branchCenter = branchIdx * 30;
-      const startAge = entry.startAge ?? entry.age ?? null;
+      const startAge = entry.koreanAge ?? entry.startAge ?? entry.age ?? null;
       const year = entry.year ?? entry.calYear ?? null;
 
       let isCurrent = false;
       let angle;
 
-      if (type === 'daeun' && currentAge != null && startAge != null) {
+      if (type === 'daeun' && entry.start) {
+        const end = filteredEntries[i + 1]?.start ?? new Date(entry.start.getTime() + DAEUN_SPAN_MS);
+        isCurrent = at >= entry.start && at < end;
+        if (isCurrent) {
+          const progression = (at - entry.start) / (end - entry.start);
+          const offset = (progression - 0.5) * 24;
+          angle = ((branchCenter + offset) % 360 + 360) % 360;
+        } else {
+          angle = idx60ToContinuousAngle(idx60);
+        }
+      } else if (type === 'daeun' && currentAge != null && startAge != null) {
         isCurrent = currentAge >= startAge && currentAge < startAge + 10;
         if (isCurrent) {
           let progression;
@@ -323,7 +338,7 @@ export class FortuneOverlayChart extends CircularChart {
     // fortune→natal interactions만 필터 (원국 내부는 _drawRelations에서 처리)
     const fortuneInteractions = interactions.filter(ix =>
       (ix.source === 'daeun' || ix.source === 'saeun') &&
-      pillarKeys.includes(ix.target)
+      pillarKeys.includes(ix.target) && ix.type !== '공망'
     );
     if (fortuneInteractions.length === 0) return;
 
@@ -11,6 +11,7 @@
 
 import { setupCanvas, drawSmoothLine, drawDashedLine } from './canvas-utils.js';
 import { OHENG_COLORS } from './color-scales.js';
+import { formatAge } from '../utils/format.js';
 
 const OHENG_KEYS = ['목', '화', '토', '금', '수'];
 
@@ -131,9 +132,9 @@ export class FortuneTimeSeriesChart {
       ctx.stroke();
     }
 
-    // ── 3. 대운 경계 수직선 ──
+    // ── 3. 대운 경계 수직선 (교운 시각이 있으면 그 순간 위치) ──
     for (const b of boundaries) {
-      const bYear = b.year;
+      const bYear = b.position ?? b.year;
       if (bYear < minYear || bYear > maxYear) continue;
       const x = toX(bYear);
       ctx.strokeStyle = 'rgba(0,0,0,0.12)';
@@ -238,7 +239,7 @@ export class FortuneTimeSeriesChart {
           } else {
             const daeunLabel = entry.daeun ? `대운:${entry.daeun.pillar}` : '';
             const saeunLabel = `세운:${entry.saeun.pillar}`;
-            headerText = `${hoverYear}년 (${entry.age}세) ${daeunLabel} ${saeunLabel}`;
+            headerText = `${hoverYear}년 (${formatAge(entry.age, data.ageSystem)}) ${daeunLabel} ${saeunLabel}`;
           }
 
           ctx.fillStyle = 'rgba(0,0,0,0.6)';
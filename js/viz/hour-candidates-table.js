@@ -0,0 +1,105 @@
+/**
+ * ===================================================================
+ * hour-candidates-table.js — 시간 미상 시주 후보 표
+ * ===================================================================
+ * 출생 시각을 모를 때 가능한 12시진(+ 23시대 자시)의 시주를 모두 놓고,
+ * 시에 관계없이 같은 값(일간·강약·용신 등)과 시에 따라 바뀌는 값
+ * (십성 수·합충·오행 비율)을 나눠 보여준다.
+ */
+
+import { CHEONGAN, CHEONGAN_OHENG } from '../lib/sajuwiki/constants.js';
+
+const OHENG_KEYS = ['목', '화', '토', '금', '수'];
+const GROUP_KEYS = ['비겁', '식상', '재성', '관성', '인성'];
+
+const FIELDS = [
+  { key: 'dayMaster', label: '일간' },
+  { key: 'strength', label: '신강/신약' },
+  { key: 'yongsin', label: '용신' },
+  { key: 'tenGods', label: '십성 수' },
+  { key: 'relations', label: '합충' },
+  { key: 'oheng', label: '오행 비율' },
+];
+
+/** 후보들에서 가장 흔한 값 (다른 칸 강조 기준) */
+function mode(values) {
+  const counts = new Map();
+  for (const v of values) counts.set(v, (counts.get(v) || 0) + 1);
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+}
+
+export class HourCandidatesTable {
+  constructor(containerId) {
+    this.container = typeof containerId === 'string'
+      ? document.getElementById(containerId)
+      : containerId;
+  }
+
+  /**
+   * @param {Object} report - BirthMoment.computeHourCandidates() 결과
+   */
+  render(report) {
+    if (!this.container) return;
+    if (!report) {
+      this.container.innerHTML = '';
+      return;
+    }
+
+    const { candidates, invariant, invariantAll } = report;
+    const same = candidates.filter(c => !c.late);
+    const late = candidates.find(c => c.late);
+
+    // ── 요약: 불변 / 가변 ──
+    const fixed = [];
+    const varying = [];
+    for (const f of FIELDS) {
+      const v = invariant[f.key];
+      if (v === undefined) {
+        varying.push(f.label);
+      } else if (f.key === 'dayMaster') {
+        fixed.push(`일간 ${v}${CHEONGAN_OHENG[CHEONGAN.indexOf(v)]}`);
+      } else if (typeof v === 'string') {
+        fixed.push(f.key === 'yongsin' ? `용신 ${v}` : v);
+      } else {
+        fixed.push(f.label);
+      }
+    }
+
+    let html = '<div class="hc-summary">';
+    html += `<div><span class="hc-tag hc-fixed">시와 무관</span> ${fixed.length ? fixed.join(' · ') : '없음'}</div>`;
+    html += `<div><span class="hc-tag hc-varying">시에 따라 변함</span> ${varying.length ? varying.join(' · ') : '없음'}</div>`;
+    if (late && invariantAll.dayPillar === undefined) {
+      html += `<div class="hc-note">23시대(자시 후반)에 태어났다면 일주가 ${invariant.dayPillar} → ${late.dayPillar}로 바뀝니다.</div>`;
+    }
+    html += '</div>';
+
+    // ── 후보 표 ──
+    const modes = {
+      strength: mode(same.map(c => c.strength)),
+      yongsin: mode(same.map(c => c.yongsin)),
+    };
+    const diff = (c, key) => (modes[key] !== undefined && c[key] !== modes[key] ? 'hc-diff' : '');
+
+    html += '<div class="hc-scroll"><table class="stt-table hc-table"><thead><tr>';
+    html += '<th>시진</th><th>시주</th><th>일주</th><th>강약</th><th>용신</th>';
+    html += GROUP_KEYS.map(g => `<th class="hc-num">${g}</th>`).join('');
+    html += OHENG_KEYS.map(e => `<th class="hc-num">${e}%</th>`).join('');
+    html += '<th>합충</th></tr></thead><tbody>';
+
+    for (const c of candidates) {
+      html += `<tr class="${c.late ? 'hc-late' : ''}">`;
+      html += `<td><span class="hc-branch">${c.label}</span> <span class="stt-time">${c.range}</span></td>`;
+      html += `<td class="hc-pillar">${c.hourPillar}</td>`;
+      html += `<td class="hc-pillar ${c.dayPillar !== invariant.dayPillar ? 'hc-diff' : ''}">${c.dayPillar}</td>`;
+      html += `<td class="${diff(c, 'strength')}">${c.strength}</td>`;
+      html += `<td class="${diff(c, 'yongsin')}">${c.yongsin}</td>`;
+      html += GROUP_KEYS.map(g => `<td class="hc-num">${c.tenGods[g]}</td>`).join('');
+      html += OHENG_KEYS.map(e => `<td class="hc-num">${c.oheng[e]}</td>`).join('');
+      html += `<td class="hc-relations">${c.relations.join(', ') || '-'}</td>`;
+      html += '</tr>';
+    }
+    html += '</tbody></table></div>';
+
+    this.container.innerHTML = html;
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * ===================================================================
+ * hourly-fortune-chart.js — 시운 24시간 Canvas 차트
+ * ===================================================================
+ * X축: 시각 (전날 23:00 자시 ~ 23:00, 12시진 띠)
+ * Y축: 오행 비율의 하루 평균 대비 변화 (%p)
+ *
+ * 시운 변화는 원국·대운·세운에 비해 작으므로 절대 비율 대신
+ * 하루 평균에서 벗어난 정도를 그린다. 용신 오행은 굵게, 용신이
+ * 가장 강한 시진은 띠를 강조한다.
+ */
+
+import { setupCanvas, drawSmoothLine, drawDashedLine } from './canvas-utils.js';
+import { OHENG_COLORS } from './color-scales.js';
+
+const OHENG_KEYS = ['목', '화', '토', '금', '수'];
+
+export class HourlyFortuneChart {
+  constructor(containerId, options = {}) {
+    this.container = typeof containerId === 'string'
+      ? document.getElementById(containerId)
+      : containerId;
+    this.width = options.width || 900;
+    this.height = options.height || 340;
+    this.padding = { top: 48, right: 36, bottom: 64, left: 60 };
+    this.canvas = null;
+    this.ctx = null;
+  }
+
+  /**
+   * @param {Object} hourly - generateHourlyDetail() 결과
+   * @param {Object} [options]
+   * @param {string} [options.yongsin] - 용신 오행 (강조)
+   * @param {number|null} [options.nowMinutes] - 현재 시각 (23:00부터 경과 분), 오늘이 아니면 null
+   */
+  render(hourly, options = {}) {
+    if (!this.container) return;
+
+    if (!this.canvas) {
+      this.canvas = document.createElement('canvas');
+      this.canvas.style.borderRadius = '12px';
+      this.canvas.style.background = '#ffffff';
+      this.container.innerHTML = '';
+      this.container.appendChild(this.canvas);
+    }
+
+    this.ctx = setupCanvas(this.canvas, this.width, this.height);
+    this._draw(hourly, options.yongsin ?? null, options.nowMinutes ?? null);
+  }
+
+  _draw(hourly, yongsin, nowMinutes) {
+    const ctx = this.ctx;
+    const { top, right, bottom, left } = this.padding;
+    const w = this.width - left - right;
+    const h = this.height - top - bottom;
+    const { curve, hours } = hourly;
+
+    ctx.clearRect(0, 0, this.width, this.height);
+    if (!curve || curve.length < 2) return;
+
+    // 오행별 하루 평균 대비 편차
+    const mean = {};
+    for (const k of OHENG_KEYS) {
+      mean[k] = curve.reduce((s, c) => s + (c.oheng[k] || 0), 0) / curve.length;
+    }
+    let maxAbs = 0.5;
+    for (const c of curve) {
+      for (const k of OHENG_KEYS) maxAbs = Math.max(maxAbs, Math.abs(c.oheng[k] - mean[k]));
+    }
+    const range = Math.ceil(maxAbs * 2) / 2;
+
+    const toX = (minutes) => left + (minutes / 1440) * w;
+    const toY = (val) => top + h / 2 - (val / range) * (h / 2);
+
+    // ── 1. 시진 띠 + 용신 최고 시진 ──
+    const best = yongsin
+      ? hours.reduce((a, b) => ((b.oheng.percent[yongsin] ?? 0) > (a.oheng.percent[yongsin] ?? 0) ? b : a))
+      : null;
+
+    for (const hr of hours) {
+      const x0 = toX(hr.branch * 120);
+      const x1 = toX(hr.branch * 120 + 120);
+      if (hr === best) {
+        ctx.fillStyle = 'rgba(255, 215, 0, 0.18)';
+        ctx.fillRect(x0, top, x1 - x0, h);
+      } else if (hr.branch % 2 === 1) {
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.025)';
+        ctx.fillRect(x0, top, x1 - x0, h);
+      }
+
+      ctx.fillStyle = hr === best ? '#8A6D00' : 'rgba(0,0,0,0.55)';
+      ctx.font = `${hr === best ? 'bold ' : ''}16px "Noto Serif KR", serif`;
+      ctx.textAlign = 'center';
+      ctx.fillText(hr.pillar, (x0 + x1) / 2, top + h + 22);
+      ctx.fillStyle = 'rgba(0,0,0,0.35)';
+      ctx.font = '12px "Noto Sans KR", sans-serif';
+      ctx.fillText(hr.start, x0, top + h + 42);
+    }
+    ctx.fillText(hours[0].start, left + w, top + h + 42);
+
+    // ── 2. 0 기준선 + Y축 눈금 ──
+    ctx.strokeStyle = 'rgba(0,0,0,0.25)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(left, toY(0));
+    ctx.lineTo(left + w, toY(0));
+    ctx.stroke();
+
+    ctx.fillStyle = 'rgba(0,0,0,0.4)';
+    ctx.font = '12px "Noto Sans KR", sans-serif';
+    ctx.textAlign = 'right';
+    for (const v of [-range, 0, range]) {
+      ctx.fillText(`${v > 0 ? '+' : ''}${v.toFixed(1)}`, left - 8, toY(v) + 4);
+    }
+
+    // ── 3. 현재 시각 ──
+    if (nowMinutes != null && nowMinutes >= 0 && nowMinutes <= 1440) {
+      drawDashedLine(ctx, toX(nowMinutes), top, top + h, '#D4A800', [3, 2]);
+    }
+
+    // ── 4. 오행 곡선 (용신 마지막에 굵게) ──
+    const order = OHENG_KEYS.filter(k => k !== yongsin);
+    if (yongsin) order.push(yongsin);
+    for (const k of order) {
+      const points = curve.map(c => ({ x: toX(c.minutes), y: toY(c.oheng[k] - mean[k]) }));
+      const color = OHENG_COLORS[k]?.main || '#888';
+      ctx.globalAlpha = k === yongsin || !yongsin ? 1 : 0.35;
+      drawSmoothLine(ctx, points, color, k === yongsin ? 3 : 1.5);
+      ctx.globalAlpha = 1;
+    }
+
+    // ── 5. 범례 ──
+    let lx = left;
+    ctx.font = '14px "Noto Sans KR", sans-serif';
+    ctx.textAlign = 'left';
+    for (const k of OHENG_KEYS) {
+      ctx.fillStyle = OHENG_COLORS[k]?.main || '#888';
+      ctx.fillRect(lx, 18, 14, 4);
+      const label = k === yongsin ? `${k} (용신)` : k;
+      ctx.fillText(label, lx + 18, 25);
+      lx += ctx.measureText(label).width + 40;
+    }
+    ctx.fillStyle = 'rgba(0,0,0,0.4)';
+    ctx.textAlign = 'right';
+    ctx.fillText('하루 평균 대비 (%p)', left + w, 25);
+  }
+}
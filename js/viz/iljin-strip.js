@@ -0,0 +1,110 @@
+/**
+ * ===================================================================
+ * iljin-strip.js — 한 달 일진 스트립
+ * ===================================================================
+ * 날짜별 일진 카드를 가로로 늘어놓고 하루씩 스크롤한다.
+ * 카드: 날짜 · 일진 · 십성(천간/지지) · 십이운성 · 원국과의 합충 · 가장 크게 변한 오행
+ */
+
+import { formatPillar } from '../utils/format.js';
+import { OHENG } from '../lib/sajuwiki/constants.js';
+
+const WEEKDAYS = ['일', '월', '화', '수', '목', '금', '토'];
+const POS_LABEL = { year: '년', month: '월', day: '일', hour: '시', daeun: '대운', saeun: '세운', wolun: '월운' };
+
+/** 일진이 낀 합충만 (원국·대운·세운끼리의 것은 매일 같으므로 뺀다) */
+function iljinInteractions(interactions) {
+  return interactions
+    .filter(i => i.type !== '합충상쇄' && (i.source === 'iljin' || i.target === 'iljin'))
+    .map(i => {
+      const other = i.source === 'iljin' ? i.target : i.source;
+      const isClash = i.type.includes('충');
+      const text = i.desc === '충' ? `${POS_LABEL[other] ?? other} ${i.type}` : `${POS_LABEL[other] ?? other} ${i.desc}`;
+      return `<span class="fe-badge ${isClash ? 'clash' : 'combine'}">${text}</span>`;
+    })
+    .join('');
+}
+
+/** 원국 대비 가장 크게 변한 오행 */
+function topDelta(delta) {
+  let best = null;
+  for (const e of OHENG) {
+    const d = delta.oheng[e] ?? 0;
+    if (!best || Math.abs(d) > Math.abs(best.d)) best = { e, d };
+  }
+  if (!best || best.d === 0) return '';
+  return `<span class="iljin-delta ${best.d > 0 ? 'pos' : 'neg'}">${best.e} ${best.d > 0 ? '+' : ''}${best.d.toFixed(1)}</span>`;
+}
+
+export class IljinStrip {
+  /**
+   * @param {string|HTMLElement} containerId
+   * @param {Object} [options]
+   * @param {Function} [options.onSelect] - (day) 카드 클릭 시
+   */
+  constructor(containerId, options = {}) {
+    this.container = typeof containerId === 'string'
+      ? document.getElementById(containerId)
+      : containerId;
+    this.onSelect = options.onSelect ?? null;
+    this._track = null;
+
+    this.container?.addEventListener('click', (e) => {
+      const card = e.target.closest('[data-iljin-day]');
+      if (card && this.onSelect) this.onSelect(Number(card.dataset.iljinDay));
+    });
+  }
+
+  /**
+   * @param {Array} daily - generateDailyDetail() 결과
+   * @param {number} year
+   * @param {number} month
+   */
+  render(daily, year, month) {
+    if (!this.container) return;
+
+    const firstWeekday = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+    let html = '<div class="iljin-track">';
+    for (const d of daily) {
+      const p = formatPillar(d.idx);
+      const weekday = (firstWeekday + d.day - 1) % 7;
+      const classes = ['iljin-card'];
+      if (d.isToday) classes.push('iljin-today');
+      if (weekday === 0) classes.push('iljin-sun');
+      if (weekday === 6) classes.push('iljin-sat');
+
+      html += `
+        <div class="${classes.join(' ')}" data-iljin-day="${d.day}">
+          <div class="iljin-date">${month}/${d.day} (${WEEKDAYS[weekday]})</div>
+          <div class="iljin-pillar"><span class="iljin-hanja">${p.hanja}</span> ${p.kr}</div>
+          <div class="iljin-tengod">${d.tgStem} / ${d.tgBranch}</div>
+          <div class="iljin-stage">${d.ts}</div>
+          ${topDelta(d.delta)}
+          <div class="iljin-interactions">${iljinInteractions(d.interactions)}</div>
+        </div>`;
+    }
+    html += '</div>';
+
+    this.container.innerHTML = html;
+    this._track = this.container.querySelector('.iljin-track');
+
+    // 오늘(없으면 1일)을 맨 앞으로
+    const today = daily.find(d => d.isToday);
+    this.scrollToDay(today ? today.day : 1, false);
+  }
+
+  /** 해당 날짜 카드를 스트립 맨 앞으로 */
+  scrollToDay(day, smooth = true) {
+    const card = this._track?.querySelector(`[data-iljin-day="${day}"]`);
+    if (!card) return;
+    this._track.scrollTo({ left: card.offsetLeft - this._track.offsetLeft, behavior: smooth ? 'smooth' : 'auto' });
+  }
+
+  /** 하루씩 스크롤 (days < 0이면 앞으로) */
+  scrollByDays(days) {
+    const card = this._track?.querySelector('.iljin-card');
+    if (!card) return;
+    const gap = parseFloat(getComputedStyle(this._track).columnGap) || 0;
+    this._track.scrollBy({ left: days * (card.offsetWidth + gap), behavior: 'smooth' });
+  }
+}
@@ -3,7 +3,7 @@
  * oheng-sipsung-panel.js — 오행/십성 요약 패널
  * ===================================================================
  * 원국의 오행/십성 분포를 수평 바 차트로 표시하고,
- * 신강/신약 및 용신 분석 결과를 요약한다.
+ * 격국, 신강/신약(종격·화기격), 억부·조후용신 분석 결과를 요약한다.
  */
 
 import { OHENG_COLORS } from './color-scales.js';
@@ -77,19 +77,60 @@ export class OhengSipsungPanel {
 
     html += '</div>';
 
-    // ── 용신 요약 ──
-    if (yongsin) {
-      const strength = yongsin.isStrong ? '신강' : '신약';
-      const yongsinEl = yongsin.yongsin || '—';
-      const reason = yongsin.reason || '';
+    // ── 격국·용신 요약 ──
+    if (yongsin) html += OhengSipsungPanel.summaryHTML(yongsin);
+
+    this.container.innerHTML = html;
+  }
+
+  /**
+   * 격국·용신 요약 (원국 요약 줄에도 쓴다)
+   * @param {Object} yongsin - YongsinAnalyzer 결과
+   */
+  static summaryHTML(yongsin) {
+    let html = '';
+
+    const gyeok = yongsin.격국;
+    if (gyeok) {
+      const badgeCls = gyeok.성패 === '성격' ? 'formed' : 'broken';
       html += `
-        <div class="osp-yongsin">
-          <span class="osp-yongsin-badge ${yongsin.isStrong ? 'strong' : 'weak'}">${strength}</span>
-          <span class="osp-yongsin-text">용신: <strong>${yongsinEl}</strong></span>
-          ${reason ? `<span class="osp-yongsin-reason">${reason}</span>` : ''}
+        <div class="osp-yongsin osp-gyeokguk">
+          <span class="osp-yongsin-badge ${badgeCls}">${gyeok.성패}</span>
+          <span class="osp-yongsin-text">격국: <strong>${gyeok.격국}</strong></span>
+          <span class="osp-yongsin-reason">${gyeok.rule} · ${gyeok.성패설명}</span>
         </div>`;
     }
 
-    this.container.innerHTML = html;
+    // 종격·화기격이면 신강/신약 대신 특수격 이름
+    const strength = yongsin.strength?.strength || '중화';
+    const special = yongsin.특수격;
+    const badgeCls = special ? 'special' : ({ 신강: 'strong', 신약: 'weak' }[strength] || '');
+    const yongsinEl = yongsin.용신 || '—';
+    const reason = yongsin.용신설명 || '';
+    html += `
+      <div class="osp-yongsin">
+        <span class="osp-yongsin-badge ${badgeCls}">${special ? special.격국 : strength}</span>
+        <span class="osp-yongsin-text">용신: <strong>${yongsinEl}</strong></span>
+        ${reason ? `<span class="osp-yongsin-reason">${reason}</span>` : ''}
+      </div>`;
+
+    const johu = yongsin.조후;
+    if (johu) {
+      const seasonCls = { 한: 'cold', 열: 'hot' }[johu.season] || '';
+      const seasonLabel = { 한: '한랭', 열: '조열' }[johu.season] || '평절';
+      html += `
+        <div class="osp-yongsin osp-johu">
+          <span class="osp-yongsin-badge ${seasonCls}">${seasonLabel}</span>
+          <span class="osp-yongsin-text">조후: <strong>${johu.용신}</strong> (${johu.stem})</span>
+          <span class="osp-yongsin-reason">${johu.설명}</span>
+        </div>
+        <div class="osp-yongsin osp-combined">
+          <span class="osp-yongsin-badge ${johu.urgent && !special ? 'hot' : ''}">${special ? '특수격 우선' : johu.urgent ? '조후 우선' : '억부 우선'}</span>
+          <span class="osp-yongsin-text">종합: <strong>${yongsin.종합용신}</strong></span>
+          <span class="osp-yongsin-reason">${yongsin.종합설명}</span>
+        </div>`;
+    }
+
+    return html;
   }
 }
@@ -2,9 +2,10 @@
  * pillar-display.js — Traditional 4-pillar HTML renderer
  * Renders 시주/일주/월주/년주 in right-to-left traditional layout.
  * Shows each pillar's OWN stem-branch twelve-stage (not day-stem-based).
+ * 신살 (ShinsalAnalyzer.detect) and 공망 are shown as badges under each pillar.
  */
 
-import { formatPillar } from '../utils/format.js';
+import { formatPillar, formatShinsal } from '../utils/format.js';
 import { getTwelveStage, stageToEnergy, ENERGY_MAP } from '../core/twelve-stage-matrix.js';
 
 const PILLAR_LABELS = ['시주', '일주', '월주', '년주'];
@@ -23,6 +24,30 @@ function ohengColor(elIdx) {
   return colors[elIdx] || '#e8e8f0';
 }
 
+const JIJI_KR = ['자', '축', '인', '묘', '진', '사', '오', '미', '신', '유', '술', '해'];
+
+/** 이 기둥 지지가 공망이면 배지 (일주·년주 기준, 기준 기둥 자신은 제외) */
+function gongmangBadges(gongmang, key, branchIdx) {
+  if (!gongmang) return '';
+  return [['day', '공망', '일주'], ['year', '공망(년)', '년주']]
+    .filter(([basis]) => basis !== key && gongmang[basis]?.includes(branchIdx))
+    .map(([basis, label, basisLabel]) => {
+      const rule = `${basisLabel} 기준 ${gongmang[basis].map(b => JIJI_KR[b]).join('·')} 공망`;
+      return `<span class="shinsal-badge gongmang" title="${rule}">${label}</span>`;
+    }).join('');
+}
+
+/** 이 기둥에 걸린 신살 (원진·귀문관살은 짝 기둥에도 표시) + 공망 */
+function shinsalBadges(shinsal, key, extra = '') {
+  const own = shinsal.filter(s => s.pos === key || s.with === key);
+  if (own.length === 0 && !extra) return '';
+  const badges = own.map(s => {
+    const { label, cls } = formatShinsal(s);
+    return `<span class="shinsal-badge ${cls}" title="${s.rule}">${label}</span>`;
+  }).join('');
+  return `<div class="pillar-shinsal">${extra}${badges}</div>`;
+}
+
 export class PillarDisplay {
   constructor(container) {
     this.container = typeof container === 'string'
@@ -30,7 +55,13 @@ export class PillarDisplay {
       : container;
   }
 
-  render(discreteResult, hasTime) {
+  /**
+   * @param {Object} discreteResult - SajuCalculator.calculate() result
+   * @param {boolean} hasTime
+   * @param {Array} [shinsal=[]] - ShinsalAnalyzer.detect() result
+   * @param {Object|null} [gongmang=null] - { day: [b, b], year: [b, b] } void branches
+   */
+  render(discreteResult, hasTime, shinsal = [], gongmang = null) {
     const pillars = ['hour', 'day', 'month', 'year'];
     let html = '<div class="pillar-grid">';
 
@@ -73,6 +104,7 @@ export class PillarDisplay {
           <span class="pillar-ts-name">${stage}</span>
           <span class="pillar-ts-bar"><span class="pillar-ts-fill" style="width:${energyPct}%"></span></span>
         </div>
+        ${shinsalBadges(shinsal, key, gongmangBadges(gongmang, key, branchIdx))}
       </div>`;
     }
 
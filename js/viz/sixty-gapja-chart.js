@@ -82,6 +82,12 @@ export class SixtyGapjaChart {
     const centerRadius = rings[3].inner - 10;
     this._drawCenter(centerRadius);
 
+    // 6-1. 공망: 일주가 속한 순 바로 다음 두 칸 (순에서 빠진 두 지지)
+    const dayIdx = chartData.discrete?.idxs?.day;
+    if (dayIdx !== undefined && dayIdx !== null) {
+      this._drawGongmang(dayIdx, rings[3].inner, maxR);
+    }
+
     // 7. Append SVG to container
     this.container.appendChild(this.svg);
   }
@@ -214,6 +220,35 @@ export class SixtyGapjaChart {
     this.svg.appendChild(g);
   }
 
+  /* ------------------------------------------------------------------ */
+  /*  공망 (void branches of the day pillar's decade)                    */
+  /* ------------------------------------------------------------------ */
+
+  _drawGongmang(dayIdx, innerR, outerR) {
+    const g = svgEl('g', { class: 'gongmang', 'pointer-events': 'none' });
+    const sectorDeg = 6;
+    const sunStart = dayIdx - (dayIdx % 10);
+
+    // 일주가 속한 순(10칸) 바깥 테두리
+    g.appendChild(svgEl('path', {
+      d: arcPath(this.cx, this.cy, outerR + 2, outerR + 5, sunStart * sectorDeg - 3, (sunStart + 10) * sectorDeg - 3),
+      fill: '#B8860B', opacity: '0.6',
+    }));
+
+    for (const i of [sunStart + 10, sunStart + 11]) {
+      const idx = i % 60;
+      const path = svgEl('path', {
+        d: arcPath(this.cx, this.cy, innerR, outerR, idx * sectorDeg - sectorDeg / 2, idx * sectorDeg + sectorDeg / 2),
+        fill: '#000', opacity: '0.14',
+        stroke: '#666', 'stroke-width': 0.8, 'stroke-dasharray': '3,2',
+      });
+      path.innerHTML = `<title>${JIJI_HANJA[idx % 12]} 공망 (일주 기준)</title>`;
+      g.appendChild(path);
+    }
+
+    this.svg.appendChild(g);
+  }
+
   /* ------------------------------------------------------------------ */
   /*  Center: empty circle                                               */
   /* ------------------------------------------------------------------ */
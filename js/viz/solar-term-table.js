@@ -0,0 +1,84 @@
+/**
+ * ===================================================================
+ * solar-term-table.js — 24절기 표
+ * ===================================================================
+ * 한 해의 절(節)·중기(中氣) 시각을 사주 월(지지)별로 나란히 보여주고,
+ * 출생 순간을 앞뒤로 감싸는 두 절기를 강조한다.
+ */
+
+import { getSolarTermsForYear } from '../lib/sajuwiki/calculator.js';
+import { AstronomyUtils } from '../lib/sajuwiki/astronomy.js';
+import { JIJI } from '../lib/sajuwiki/constants.js';
+
+function pad2(n) {
+  return String(n).padStart(2, '0');
+}
+
+function formatTerm(date, withYear = false) {
+  const t = AstronomyUtils.dateToCivil(date);
+  const md = `${t.month}/${t.day} ${pad2(t.hour)}:${pad2(t.minute)}`;
+  return withYear ? `${t.year}/${md}` : md;
+}
+
+/**
+ * 출생 순간 직전·직후 절기
+ * 연초·연말 출생은 앞뒤 해의 절기까지 이어서 찾는다
+ * @param {Date|number} birth
+ * @returns {{ prev: Object, next: Object }}
+ */
+export function findBracketingTerms(birth) {
+  const ms = typeof birth === 'number' ? birth : birth.getTime();
+  const year = AstronomyUtils.dateToCivil(ms).year;
+  const terms = [year - 1, year, year + 1].flatMap(y => getSolarTermsForYear(y));
+
+  const i = terms.findIndex(t => t.date.getTime() > ms);
+  return { prev: terms[i - 1], next: terms[i] };
+}
+
+export class SolarTermTable {
+  constructor(containerId) {
+    this.container = typeof containerId === 'string'
+      ? document.getElementById(containerId)
+      : containerId;
+  }
+
+  /**
+   * @param {number} year - 표시할 양력 연도
+   * @param {Date|number} [birth] - 출생 순간 (해당 연도에 있으면 앞뒤 절기 강조)
+   */
+  render(year, birth) {
+    if (!this.container) return;
+
+    const terms = getSolarTermsForYear(year);
+    const bracket = birth != null ? findBracketingTerms(birth) : null;
+    const isMarked = (t) => bracket != null && (t === bracket.prev || t === bracket.next);
+
+    let html = '<table class="stt-table"><thead><tr>' +
+      '<th>월</th><th>절(節)</th><th>중기(中氣)</th></tr></thead><tbody>';
+
+    // 소한·대한(축월)부터 대설·동지(자월)까지 두 절기씩 한 줄
+    for (let i = 0; i < terms.length; i += 2) {
+      const jeol = terms[i];
+      const junggi = terms[i + 1];
+      const branch = JIJI[(jeol.month + 1) % 12];
+      const cell = (t) => `
+        <td class="${isMarked(t) ? 'stt-marked' : ''}">
+          <span class="stt-name">${t.name}</span>
+          <span class="stt-time">${formatTerm(t.date)}</span>
+        </td>`;
+      html += `<tr><th class="stt-month">${branch}월</th>${cell(jeol)}${cell(junggi)}</tr>`;
+    }
+    html += '</tbody></table>';
+
+    if (bracket?.prev && bracket?.next) {
+      const { prev, next } = bracket;
+      html += `
+        <div class="stt-bracket">
+          출생: <strong>${prev.name}</strong> (${formatTerm(prev.date, true)}) 이후,
+          <strong>${next.name}</strong> (${formatTerm(next.date, true)}) 이전
+        </div>`;
+    }
+
+    this.container.innerHTML = html;
+  }
+}